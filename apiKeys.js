@@ -0,0 +1,384 @@
+import Database from "better-sqlite3";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { config } from "./config.js";
+import { AppError } from "./errors.js";
+
+/*
+ * API keys and what each of them has used, kept in a local SQLite
+ * database (API_KEYS_DB, ./data/keys.db by default).
+ *
+ * Only a SHA-256 hash of every key is stored; the key itself is shown
+ * once, when it is issued. Usage is counted per key and UTC day:
+ * - audio_seconds     : recordings processed, which the daily
+ *                       audio-minute quota is checked against (a run
+ *                       that fails gives its seconds back)
+ * - stt_seconds       : audio sent to speech recognition
+ * - translation_chars : characters sent to the translator
+ * - tts_chars         : characters spoken by TTS
+ * whether or not the cache answered the provider calls.
+ *
+ * Keys without limits of their own get RATE_LIMIT_PER_MINUTE (60) and
+ * DAILY_AUDIO_MINUTES (60).
+ */
+
+const KEY_PREFIX = "ak_";
+
+let db;
+
+function getDb() {
+  if (db) return db;
+
+  const file = config().storage.apiKeysDb;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id                  TEXT PRIMARY KEY,
+      name                TEXT NOT NULL,
+      key_hash            TEXT NOT NULL UNIQUE,
+      key_prefix          TEXT NOT NULL,
+      rate_limit          INTEGER,
+      daily_audio_minutes REAL,
+      created_at          TEXT NOT NULL,
+      last_used_at        TEXT,
+      revoked_at          TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS api_key_usage (
+      key_id            TEXT NOT NULL REFERENCES api_keys (id),
+      day               TEXT NOT NULL,
+      requests          INTEGER NOT NULL DEFAULT 0,
+      audio_seconds     REAL NOT NULL DEFAULT 0,
+      stt_seconds       REAL NOT NULL DEFAULT 0,
+      translation_chars INTEGER NOT NULL DEFAULT 0,
+      tts_chars         INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (key_id, day)
+    );
+  `);
+
+  return db;
+}
+
+function defaultRateLimit() {
+  return config().limits.rateLimitPerMinute;
+}
+
+function defaultDailyAudioMinutes() {
+  return config().limits.dailyAudioMinutes;
+}
+
+function hashKey(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Optional positive number; null means "use the default"
+function toLimit(value, field) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw badRequest(`${field} must be a positive number`);
+  }
+  return number;
+}
+
+function toKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    rateLimit: row.rate_limit ?? defaultRateLimit(),
+    dailyAudioMinutes: row.daily_audio_minutes ?? defaultDailyAudioMinutes(),
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+function toUsage(row) {
+  return {
+    day: row.day,
+    requests: row.requests,
+    audioSeconds: round(row.audio_seconds),
+    sttSeconds: round(row.stt_seconds),
+    translationChars: row.translation_chars,
+    ttsChars: row.tts_chars,
+  };
+}
+
+function round(seconds) {
+  return Math.round(seconds * 100) / 100;
+}
+
+/**
+ * Issues a new key. The returned `secret` is the key itself and cannot
+ * be looked up again.
+ * @param {{ name: string, rateLimit?: number, dailyAudioMinutes?: number }} options
+ *   `rateLimit` is in requests per minute.
+ * @returns {Object} The key's details plus `secret`.
+ */
+export function issueKey({ name, rateLimit, dailyAudioMinutes } = {}) {
+  if (typeof name !== "string" || !name.trim()) {
+    throw badRequest("name is required");
+  }
+
+  const secret = KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  const row = {
+    id: uuidv4(),
+    name: name.trim(),
+    key_hash: hashKey(secret),
+    key_prefix: secret.slice(0, KEY_PREFIX.length + 6),
+    rate_limit: toLimit(rateLimit, "rateLimit"),
+    daily_audio_minutes: toLimit(dailyAudioMinutes, "dailyAudioMinutes"),
+    created_at: new Date().toISOString(),
+    last_used_at: null,
+    revoked_at: null,
+  };
+
+  getDb()
+    .prepare(
+      `INSERT INTO api_keys (
+        id, name, key_hash, key_prefix, rate_limit, daily_audio_minutes,
+        created_at
+      ) VALUES (
+        @id, @name, @key_hash, @key_prefix, @rate_limit, @daily_audio_minutes,
+        @created_at
+      )`
+    )
+    .run(row);
+
+  return { ...toKey(row), secret };
+}
+
+/**
+ * Lists all keys, revoked ones included, with today's usage.
+ */
+export function listKeys() {
+  const rows = getDb()
+    .prepare(
+      `SELECT k.*, u.day, u.requests, u.audio_seconds, u.stt_seconds,
+              u.translation_chars, u.tts_chars
+       FROM api_keys k
+       LEFT JOIN api_key_usage u ON u.key_id = k.id AND u.day = ?
+       ORDER BY k.created_at DESC`
+    )
+    .all(today());
+
+  return rows.map((row) => ({
+    ...toKey(row),
+    today: row.day ? toUsage(row) : { day: today(), ...emptyUsage() },
+  }));
+}
+
+export function getKey(id) {
+  const row = getDb().prepare("SELECT * FROM api_keys WHERE id = ?").get(id);
+  return row ? toKey(row) : null;
+}
+
+/**
+ * Revokes a key; requests with it are refused from then on.
+ * @returns {boolean} false if there is no such (active) key.
+ */
+export function revokeKey(id) {
+  return (
+    getDb()
+      .prepare(
+        "UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL"
+      )
+      .run(new Date().toISOString(), id).changes > 0
+  );
+}
+
+/**
+ * The active key a client presented, or null if it is unknown or
+ * revoked. Counts the request towards the key's usage.
+ * @param {string} secret The key as sent by the client.
+ */
+export function authenticateKey(secret) {
+  if (!secret?.startsWith(KEY_PREFIX)) return null;
+
+  const row = getDb()
+    .prepare("SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL")
+    .get(hashKey(secret));
+  if (!row) return null;
+
+  getDb()
+    .prepare("UPDATE api_keys SET last_used_at = ? WHERE id = ?")
+    .run(new Date().toISOString(), row.id);
+  addUsage(row.id, { requests: 1 });
+
+  return toKey(row);
+}
+
+// Adds to today's counters of a key
+function addUsage(
+  keyId,
+  {
+    requests = 0,
+    audioSeconds = 0,
+    sttSeconds = 0,
+    translationChars = 0,
+    ttsChars = 0,
+  }
+) {
+  getDb()
+    .prepare(
+      `INSERT INTO api_key_usage (
+        key_id, day, requests, audio_seconds, stt_seconds,
+        translation_chars, tts_chars
+      ) VALUES (@keyId, @day, @requests, @audioSeconds, @sttSeconds,
+                @translationChars, @ttsChars)
+      ON CONFLICT (key_id, day) DO UPDATE SET
+        requests = requests + excluded.requests,
+        audio_seconds = audio_seconds + excluded.audio_seconds,
+        stt_seconds = stt_seconds + excluded.stt_seconds,
+        translation_chars = translation_chars + excluded.translation_chars,
+        tts_chars = tts_chars + excluded.tts_chars`
+    )
+    .run({
+      keyId,
+      day: today(),
+      requests,
+      audioSeconds,
+      sttSeconds,
+      translationChars,
+      ttsChars,
+    });
+}
+
+/**
+ * Counts a recording against the key's daily audio-minute quota, or
+ * throws daily_quota_exceeded (429) if it does not fit in what is left
+ * of today's minutes. Nothing is counted without a key (auth disabled).
+ * @param {?Object} key The request's key (authenticateKey).
+ * @param {number} seconds Length of the recording.
+ */
+export function chargeAudio(key, seconds) {
+  if (!key) return;
+
+  const db = getDb();
+  db.transaction(() => {
+    const used =
+      db
+        .prepare(
+          "SELECT audio_seconds FROM api_key_usage WHERE key_id = ? AND day = ?"
+        )
+        .get(key.id, today())?.audio_seconds ?? 0;
+
+    if (used + seconds > key.dailyAudioMinutes * 60) {
+      throw new AppError(
+        `This recording would go over the key's daily quota of ${key.dailyAudioMinutes} audio minutes`,
+        { code: "daily_quota_exceeded" }
+      );
+    }
+    addUsage(key.id, { audioSeconds: seconds });
+  })();
+}
+
+/**
+ * Gives back seconds chargeAudio counted, for a run that failed. Comes
+ * off today's count, which never goes below zero.
+ * @param {?Object} key The request's key; ignored when null.
+ * @param {number} seconds
+ */
+export function refundAudio(key, seconds) {
+  if (!key) return;
+
+  getDb()
+    .prepare(
+      `UPDATE api_key_usage SET audio_seconds = MAX(0, audio_seconds - ?)
+       WHERE key_id = ? AND day = ?`
+    )
+    .run(seconds, key.id, today());
+}
+
+/**
+ * Charges a recording (chargeAudio), runs `fn` with it and gives the
+ * seconds back should `fn` fail, so only runs that produce a result
+ * count against the quota.
+ * @template T
+ * @param {?Object} key The request's key.
+ * @param {number} seconds Length of the recording.
+ * @param {() => Promise<T>} fn The run.
+ * @returns {Promise<T>}
+ * @throws {AppError} daily_quota_exceeded (429), before `fn` runs.
+ */
+export async function withAudioCharge(key, seconds, fn) {
+  chargeAudio(key, seconds);
+  try {
+    return await fn();
+  } catch (error) {
+    refundAudio(key, seconds);
+    throw error;
+  }
+}
+
+/**
+ * Records what a pipeline run consumed (a result's `usage`) for a key.
+ * @param {?Object} key The request's key; ignored when null.
+ * @param {{ sttSeconds?: number, translationChars?: number, ttsChars?: number }} [usage]
+ */
+export function recordUsage(key, usage) {
+  if (!key || !usage) return;
+
+  const { sttSeconds, translationChars, ttsChars } = usage;
+  addUsage(key.id, { sttSeconds, translationChars, ttsChars });
+}
+
+function emptyUsage() {
+  return {
+    requests: 0,
+    audioSeconds: 0,
+    sttSeconds: 0,
+    translationChars: 0,
+    ttsChars: 0,
+  };
+}
+
+/**
+ * A key's usage per day, oldest first, with totals over the range.
+ * @param {string} id The key ID.
+ * @param {{ from?: string, to?: string }} [range] Days as YYYY-MM-DD,
+ *   inclusive; the last 30 days by default.
+ */
+export function getUsage(id, { from, to } = {}) {
+  const isDay = (day) => /^\d{4}-\d{2}-\d{2}$/.test(day || "");
+  if ((from && !isDay(from)) || (to && !isDay(to))) {
+    throw badRequest("from and to must be dates as YYYY-MM-DD");
+  }
+
+  to ||= today();
+  from ||= new Date(Date.parse(to) - 29 * 86400000).toISOString().slice(0, 10);
+
+  const days = getDb()
+    .prepare(
+      `SELECT * FROM api_key_usage
+       WHERE key_id = ? AND day BETWEEN ? AND ? ORDER BY day`
+    )
+    .all(id, from, to)
+    .map(toUsage);
+
+  const totals = emptyUsage();
+  for (const day of days) {
+    for (const field of Object.keys(totals)) totals[field] += day[field];
+  }
+  totals.audioSeconds = round(totals.audioSeconds);
+  totals.sttSeconds = round(totals.sttSeconds);
+
+  return { from, to, days, totals };
+}
@@ -0,0 +1,175 @@
+import { PassThrough, Readable } from "stream";
+import { decodeToPcm } from "./audioPreprocess.js";
+import { ffmpegCommand } from "./ffmpegBinaries.js";
+import { pcmToWav } from "./wavHelper.js";
+
+/*
+ * Output formats for translated speech.
+ *
+ * TTS adapters hand back WAV, which is large for mobile users on poor
+ * connections, so callers may ask for a compressed format instead
+ * (?format=mp3&bitrate=32&sampleRate=24000). Audio is transcoded with the
+ * bundled ffmpeg through stdin/stdout. Bitrates are in kbps.
+ */
+
+const COMMON_SAMPLE_RATES = [
+  8000, 11025, 16000, 22050, 24000, 32000, 44100, 48000,
+];
+
+export const AUDIO_FORMATS = {
+  wav: {
+    mimeType: "audio/wav",
+    extension: "wav",
+    sampleRates: COMMON_SAMPLE_RATES,
+  },
+  mp3: {
+    mimeType: "audio/mpeg",
+    extension: "mp3",
+    codec: "libmp3lame",
+    container: "mp3",
+    bitrate: { default: 48, min: 8, max: 320 },
+    sampleRates: COMMON_SAMPLE_RATES,
+  },
+  ogg: {
+    mimeType: "audio/ogg",
+    extension: "ogg",
+    codec: "libopus",
+    container: "ogg",
+    bitrate: { default: 24, min: 6, max: 256 },
+    sampleRates: [8000, 12000, 16000, 24000, 48000],
+  },
+  m4a: {
+    mimeType: "audio/mp4",
+    extension: "m4a",
+    codec: "aac",
+    container: "ipod",
+    bitrate: { default: 48, min: 16, max: 320 },
+    sampleRates: COMMON_SAMPLE_RATES,
+  },
+};
+
+// Other names clients use for the same formats
+const FORMAT_ALIASES = { opus: "ogg", aac: "m4a", mpeg: "mp3" };
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Form fields and query strings arrive as strings
+function parseInteger(name, value) {
+  const number = Number(value);
+  if (value === "" || !Number.isInteger(number)) {
+    throw badRequest(`${name} must be a whole number`);
+  }
+  return number;
+}
+
+/**
+ * Validates output options from a request, before any provider is paid.
+ * Without a format the speech stays WAV, as the TTS adapter produced it.
+ * @param {{ format?: string, bitrate?: string|number, sampleRate?: string|number }} params
+ * @returns {{ format: string, bitrate: ?number, sampleRate: ?number, mimeType: string, extension: string }}
+ */
+export function resolveOutputOptions({ format, bitrate, sampleRate } = {}) {
+  format ||= "wav";
+  // Repeated query parameters arrive as arrays
+  if (typeof format !== "string") {
+    throw badRequest("format must be a single format name");
+  }
+  format = format.toLowerCase();
+  // Own keys only: "constructor" and friends are not formats
+  if (Object.hasOwn(FORMAT_ALIASES, format)) format = FORMAT_ALIASES[format];
+
+  const spec = Object.hasOwn(AUDIO_FORMATS, format)
+    ? AUDIO_FORMATS[format]
+    : null;
+  if (!spec) {
+    throw badRequest(
+      `Unsupported output format: ${format} (use ${Object.keys(
+        AUDIO_FORMATS
+      ).join(", ")})`
+    );
+  }
+
+  if (bitrate != null && bitrate !== "") {
+    if (!spec.bitrate) throw badRequest(`${format} has no bitrate setting`);
+    bitrate = parseInteger("bitrate", bitrate);
+    const { min, max } = spec.bitrate;
+    if (bitrate < min || bitrate > max) {
+      throw badRequest(`${format} bitrate must be between ${min} and ${max}`);
+    }
+  } else {
+    bitrate = spec.bitrate?.default ?? null;
+  }
+
+  if (sampleRate != null && sampleRate !== "") {
+    sampleRate = parseInteger("sampleRate", sampleRate);
+    if (!spec.sampleRates.includes(sampleRate)) {
+      throw badRequest(
+        `${format} sample rate must be one of: ${spec.sampleRates.join(", ")}`
+      );
+    }
+  } else {
+    sampleRate = null;
+  }
+
+  return {
+    format,
+    bitrate,
+    sampleRate,
+    mimeType: spec.mimeType,
+    extension: spec.extension,
+  };
+}
+
+/**
+ * Transcodes synthesized speech into the requested output format.
+ * WAV at its own sample rate is passed through untouched.
+ * @param {Buffer} audio Speech from a TTS adapter (WAV).
+ * @param {Object} [options] Resolved options (resolveOutputOptions).
+ * @returns {Promise<{ audio: Buffer, mimeType: string, extension: string, format: string }>}
+ */
+export async function encodeAudio(audio, options = resolveOutputOptions()) {
+  const { format, bitrate, sampleRate, mimeType, extension } = options;
+  const spec = AUDIO_FORMATS[format];
+
+  if (format === "wav") {
+    if (sampleRate) {
+      const wavBlob = pcmToWav(
+        await decodeToPcm(audio, sampleRate),
+        sampleRate
+      );
+      audio = Buffer.from(await wavBlob.arrayBuffer());
+    }
+    return { audio, mimeType, extension, format };
+  }
+
+  const encoded = await new Promise((resolve, reject) => {
+    const chunks = [];
+    const output = new PassThrough();
+
+    output.on("data", (chunk) => chunks.push(chunk));
+    output.on("end", () => resolve(Buffer.concat(chunks)));
+
+    let command = ffmpegCommand(Readable.from([audio]))
+      .audioCodec(spec.codec)
+      .audioBitrate(bitrate)
+      .audioChannels(1)
+      .format(spec.container)
+      .on("error", (err) => {
+        reject(err);
+      });
+
+    if (sampleRate) command = command.audioFrequency(sampleRate);
+    // mp4 writes its index last, which a pipe cannot seek back to
+    if (format === "m4a") {
+      command = command.outputOptions("-movflags", "frag_keyframe+empty_moov");
+    }
+
+    command.pipe(output, { end: true });
+  });
+
+  return { audio: encoded, mimeType, extension, format };
+}
@@ -1,11 +1,17 @@
-import ffmpeg from "fluent-ffmpeg";
-import ffmpegPath from "ffmpeg-static";
-import fs from "fs";
-import { v4 as uuidv4 } from "uuid";
-import path from "path";
+import { PassThrough, Readable } from "stream";
+import {
+  buildFilterChain,
+  DEFAULT_PROFILE,
+  DSP_PROFILES,
+  suggestProfile,
+} from "./dspProfiles.js";
+import { MediaError } from "./errors.js";
+import { ffmpegCommand } from "./ffmpegBinaries.js";
+import { detectSpeechSegments, frameLevels } from "./vad.js";
+import { pcmToWav } from "./wavHelper.js";
 
-// Set FFmpeg binary path
-ffmpeg.setFfmpegPath(ffmpegPath);
+// What the pipeline works in from upload to STT
+const SPEECH_SAMPLE_RATE = 16000;
 
 /**
  * Audio DSP Preprocessing Function
@@ -13,54 +19,201 @@ ffmpeg.setFfmpegPath(ffmpegPath);
  * Input  : Raw audio buffer (from frontend upload)
  * Output : Cleaned audio buffer (WAV, 16kHz, mono)
  *
- * Processing applied:
- * - Noise reduction
+ * Processing applied (tuned per profile, see dspProfiles.js):
  * - Band-pass filtering (speech range)
- * - Silence removal
+ * - Noise reduction
+ * - Silence removal (leading silence; skipped with `keepTiming` so that
+ *   timestamps still line up with the original recording)
+ * - Compression (phone profile)
  * - Volume normalization
+ *
+ * `params` are resolved profile parameters; the standard profile's
+ * by default. Runs through ffmpeg's stdin/stdout, so the recording never
+ * touches the disk.
  */
-export async function preprocessAudioDSP(inputBuffer) {
-  return new Promise((resolve, reject) => {
-    try {
-      const id = uuidv4();
-      const tempDir = "./temp";
-
-      if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir);
-      }
-
-      const inputPath = path.join(tempDir, `raw_${id}.wav`);
-      const outputPath = path.join(tempDir, `clean_${id}.wav`);
-
-      // Write raw buffer to file
-      fs.writeFileSync(inputPath, inputBuffer);
-
-      ffmpeg(inputPath)
-        .audioFilters([
-          "highpass=f=80", // Remove low-frequency hum
-          "lowpass=f=8000", // Remove high-frequency noise
-          "afftdn", // Noise reduction
-          "silenceremove=1:0:-50dB", // Remove silent parts
-          "loudnorm", // Normalize volume
-        ])
-        .audioFrequency(16000) // STT-friendly sample rate
-        .audioChannels(1) // Mono audio
-        .format("wav")
-        .on("end", () => {
-          const cleanedBuffer = fs.readFileSync(outputPath);
-
-          // Cleanup temp files
-          fs.unlinkSync(inputPath);
-          fs.unlinkSync(outputPath);
-
-          resolve(cleanedBuffer);
-        })
-        .on("error", (err) => {
-          reject(err);
-        })
-        .save(outputPath);
-    } catch (error) {
-      reject(error);
+export async function preprocessAudioDSP(
+  inputBuffer,
+  { keepTiming = false, params = DSP_PROFILES[DEFAULT_PROFILE].params } = {}
+) {
+  const pcm = await decodeToPcm(
+    inputBuffer,
+    SPEECH_SAMPLE_RATE,
+    buildFilterChain(keepTiming ? { ...params, trimSilence: false } : params)
+  );
+  return toWav(pcm);
+}
+
+/**
+ * Audio Track Extraction
+ * ----------------------
+ * Input  : Path of an audio or video file (mp4, mkv, webm, mp3, ...)
+ * Output : Its first audio track as WAV (16-bit PCM, 16kHz, mono)
+ *
+ * Every upload ends up in this one internal format, so DSP filters see
+ * the same sample rate whatever the source (8kHz AMR calls would
+ * otherwise reject the lowpass of most profiles).
+ *
+ * Reads from a file (see tempFiles.js) because containers like mp4 keep
+ * their index at the end, which ffmpeg cannot reach on a pipe; the audio
+ * comes back over stdout. With `maxSeconds`, decoding stops after that
+ * much audio.
+ */
+export async function extractAudioTrack(inputPath, { maxSeconds } = {}) {
+  try {
+    return toWav(
+      await decode(inputPath, SPEECH_SAMPLE_RATE, [], { maxSeconds })
+    );
+  } catch (err) {
+    if (/does not contain any stream/.test(err.message)) {
+      throw new MediaError(
+        "no_audio_track",
+        "The uploaded file has no audio track",
+        422
+      );
     }
+    throw err;
+  }
+}
+
+/**
+ * Decodes any ffmpeg-readable audio buffer to raw PCM
+ * ---------------------------------------------------
+ * Input  : Audio buffer in a streamable container (webm, ogg, wav, mp3...)
+ * Output : Int16Array of mono 16-bit samples at `sampleRate`
+ *
+ * Works entirely through stdin/stdout, so it is cheap enough to call
+ * repeatedly on a growing live recording. Optional ffmpeg audio `filters`
+ * run on the way (e.g. tempo changes, see voiceSettings.js).
+ */
+export function decodeToPcm(inputBuffer, sampleRate = 16000, filters = []) {
+  return decode(Readable.from([inputBuffer]), sampleRate, filters);
+}
+
+// `input` is a readable stream or a file path
+function decode(input, sampleRate, filters = [], { maxSeconds } = {}) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const output = new PassThrough();
+
+    output.on("data", (chunk) => chunks.push(chunk));
+    output.on("end", () => {
+      const pcm = Buffer.concat(chunks);
+      // Copy into a fresh, 2-byte aligned buffer for the Int16Array view
+      const aligned = pcm.buffer.slice(
+        pcm.byteOffset,
+        pcm.byteOffset + (pcm.length & ~1)
+      );
+      resolve(new Int16Array(aligned));
+    });
+
+    const command = ffmpegCommand(input)
+      .noVideo()
+      .audioFilters(filters)
+      .audioFrequency(sampleRate)
+      .audioChannels(1)
+      .format("s16le");
+    if (maxSeconds) command.duration(maxSeconds);
+
+    command
+      .on("error", (err) => {
+        reject(err);
+      })
+      .pipe(output, { end: true });
   });
 }
+
+/**
+ * Audio Analysis
+ * --------------
+ * Input  : Audio buffer in a streamable container
+ * Output : Duration, loudness, noise floor, clipping, speech ratio and
+ *          the DSP profile that suits the recording best
+ */
+export async function analyzeAudio(inputBuffer) {
+  const sampleRate = 16000;
+  const pcm = await decodeToPcm(inputBuffer, sampleRate);
+  const loudness = await measureLoudness(inputBuffer);
+
+  const duration = pcm.length / sampleRate;
+  const levels = frameLevels(pcm, sampleRate);
+  const sorted = [...levels].sort((a, b) => a - b);
+
+  let sumSquares = 0;
+  let clippedSamples = 0;
+  for (const sample of pcm) {
+    sumSquares += sample * sample;
+    // Resampling rounds hard-clipped peaks off slightly
+    if (Math.abs(sample) >= 32000) clippedSamples++;
+  }
+
+  const speech = detectSpeechSegments(pcm, sampleRate);
+  const speechSamples = speech.reduce((sum, s) => sum + s.end - s.start, 0);
+
+  const rms = Math.sqrt(sumSquares / (pcm.length || 1)) / 32768;
+  const analysis = {
+    duration: round(duration),
+    loudness: {
+      ...loudness,
+      rms: round(rms > 0 ? 20 * Math.log10(rms) : -120),
+    },
+    noiseFloor: round(
+      sorted.length ? sorted[Math.floor(sorted.length / 10)] : -120
+    ),
+    clipping: {
+      samples: clippedSamples,
+      ratio: round(clippedSamples / (pcm.length || 1), 5),
+    },
+    speechRatio: round(pcm.length ? speechSamples / pcm.length : 0),
+  };
+
+  return { ...analysis, suggestedProfile: suggestProfile(analysis) };
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// EBU R128 loudness through ffmpeg's loudnorm measurement pass, which
+// prints its findings as JSON on stderr
+function measureLoudness(inputBuffer) {
+  return new Promise((resolve, reject) => {
+    const stderr = [];
+
+    ffmpegCommand(Readable.from([inputBuffer]))
+      .audioFilters("loudnorm=print_format=json")
+      .format("null")
+      .on("stderr", (line) => stderr.push(line))
+      .on("error", (err) => {
+        reject(err);
+      })
+      .on("end", () => {
+        const text = stderr.join("\n");
+        const json = text.slice(
+          text.lastIndexOf("{"),
+          text.lastIndexOf("}") + 1
+        );
+
+        try {
+          const stats = JSON.parse(json);
+          // Silence measures as "-inf"
+          const value = (key) =>
+            Number.isFinite(Number(stats[key])) ? Number(stats[key]) : null;
+
+          resolve({
+            integrated: value("input_i"),
+            truePeak: value("input_tp"),
+            range: value("input_lra"),
+          });
+        } catch {
+          reject(new Error("Could not measure loudness"));
+        }
+      })
+      .save("-");
+  });
+}
+
+async function toWav(pcm) {
+  const wavBlob = pcmToWav(pcm, SPEECH_SAMPLE_RATE);
+  return Buffer.from(await wavBlob.arrayBuffer());
+}
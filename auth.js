@@ -0,0 +1,154 @@
+import crypto from "crypto";
+import { authenticateKey } from "./apiKeys.js";
+import { config } from "./config.js";
+import { AppError } from "./errors.js";
+import { logger } from "./logger.js";
+
+/*
+ * API key authentication and per-key rate limits.
+ *
+ * Clients send their key (see apiKeys.js) as "Authorization: Bearer ak_..."
+ * or "X-API-Key: ak_...". Where the browser cannot set headers
+ * (WebSocket, EventSource, <audio src>), ?api_key=ak_... works too.
+ * Each key may make its rate limit's worth of requests per minute.
+ *
+ * ADMIN_TOKEN unlocks the key administration and /api/test* routes, and
+ * is not rate limited. AUTH_ENABLED=false turns every check off, for
+ * local development only.
+ */
+
+const WINDOW_MS = 60 * 1000;
+
+// Requests per key in the current minute: key ID → { windowStart, count }
+const windows = new Map();
+
+export function isAuthEnabled() {
+  return config().auth.enabled;
+}
+
+function presentedToken(headers, query) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(headers.authorization || "");
+  return bearer?.[1] || headers["x-api-key"] || query.api_key || null;
+}
+
+// Compared as hashes, so the comparison takes as long for any token
+function isAdminToken(token) {
+  const { adminToken } = config().auth;
+  if (!adminToken || !token) return false;
+
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(adminToken));
+}
+
+function unauthorized(message) {
+  return new AppError(message, { code: "unauthorized" });
+}
+
+// Fixed one-minute windows; returns the seconds until the next window
+// when the key is over its limit
+function overRateLimit(key) {
+  const now = Date.now();
+  let window = windows.get(key.id);
+
+  if (!window || now - window.windowStart >= WINDOW_MS) {
+    window = { windowStart: now, count: 0 };
+    windows.set(key.id, window);
+  }
+  window.count++;
+
+  return window.count > key.rateLimit
+    ? Math.ceil((window.windowStart + WINDOW_MS - now) / 1000)
+    : 0;
+}
+
+/**
+ * Identifies the caller of a request or WebSocket connection from its
+ * headers and query string.
+ * @param {Object} headers Lower-case request headers.
+ * @param {Object} query Parsed query string.
+ * @returns {{ key: ?Object, admin: boolean }} `key` is null for the
+ *   admin and when authentication is off.
+ * @throws {AppError} unauthorized (401) or rate_limited (429, with
+ *   `retryAfter` in seconds).
+ */
+export function identifyCaller(headers, query) {
+  if (!isAuthEnabled()) return { key: null, admin: true };
+
+  const token = presentedToken(headers, query);
+  if (isAdminToken(token)) return { key: null, admin: true };
+  if (!token) {
+    throw unauthorized(
+      "An API key is required: send it as a Bearer token or X-API-Key header"
+    );
+  }
+
+  const key = authenticateKey(token);
+  if (!key) throw unauthorized("The API key is not valid or was revoked");
+
+  const retryAfter = overRateLimit(key);
+  if (retryAfter) {
+    logger.warn("rate limit reached", { keyId: key.id, limit: key.rateLimit });
+    const error = new AppError(
+      `Rate limit of ${key.rateLimit} requests per minute reached`,
+      { code: "rate_limited" }
+    );
+    error.retryAfter = retryAfter;
+    throw error;
+  }
+
+  return { key, admin: false };
+}
+
+/**
+ * Express middleware: rejects requests without a valid key (or the admin
+ * token) and sets `req.apiKey` and `req.isAdmin`. Paths in `publicPaths`
+ * (static prefixes, below where the middleware is mounted) pass without.
+ * @param {{ publicPaths?: string[] }} [options]
+ */
+export function authenticate({ publicPaths = [] } = {}) {
+  return (req, res, next) => {
+    if (publicPaths.some((prefix) => req.path.startsWith(prefix))) {
+      return next();
+    }
+
+    try {
+      const { key, admin } = identifyCaller(req.headers, req.query);
+      req.apiKey = key;
+      req.isAdmin = admin;
+      next();
+    } catch (error) {
+      if (error.retryAfter) res.setHeader("Retry-After", error.retryAfter);
+      next(error);
+    }
+  };
+}
+
+/**
+ * Express middleware for routes only the admin may use; runs after
+ * authenticate().
+ */
+export function requireAdmin(req, res, next) {
+  if (req.isAdmin) return next();
+  next(
+    unauthorized(
+      config().auth.adminToken
+        ? "This route needs the admin token"
+        : "Admin routes are disabled until ADMIN_TOKEN is set"
+    )
+  );
+}
+
+/**
+ * The URL with any api_key parameter masked, for logs.
+ * @param {string} url
+ */
+export function redactApiKey(url) {
+  return url.replace(/([?&]api_key=)[^&#]*/g, "$1***");
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, window] of windows) {
+    if (now - window.windowStart >= WINDOW_MS) windows.delete(id);
+  }
+}, WINDOW_MS).unref();
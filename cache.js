@@ -0,0 +1,284 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+import { observeCacheLookup } from "./metrics.js";
+
+/*
+ * Content-addressed cache for provider calls.
+ *
+ * Greetings and test clips go through the same paid calls again and
+ * again, so each provider-backed stage looks its inputs up first:
+ * - stt         : hash of the cleaned audio + language, hints, provider
+ * - translation : source text + language pair + provider
+ * - tts         : text + language, voice, style + provider (rate and
+ *                 pitch are applied afterwards, so they share entries)
+ *
+ * CACHE_BACKEND picks where entries live: "memory" (default), "disk"
+ * (CACHE_DIR, ./data/cache by default; survives restarts) or "off".
+ * Entries expire after CACHE_TTL_SECONDS (7 days by default); once the
+ * cache outgrows CACHE_MAX_MB (256 by default) the least recently used
+ * entries are dropped.
+ */
+
+export const CACHE_LAYERS = ["stt", "translation", "tts"];
+
+let store;
+
+function cacheSettings() {
+  return {
+    backend: config().cache.backend,
+    dir: config().cache.dir,
+    ttlMs: config().cache.ttlSeconds * 1000,
+    maxBytes: config().cache.maxMb * 1024 * 1024,
+  };
+}
+
+function getStore() {
+  if (store === undefined) {
+    const { backend, dir, maxBytes } = cacheSettings();
+    if (backend === "off") store = null;
+    else if (backend === "disk") store = createDiskStore(dir, maxBytes);
+    else if (backend === "memory") store = createMemoryStore(maxBytes);
+    else throw new Error(`Unknown CACHE_BACKEND: ${backend}`);
+  }
+  return store;
+}
+
+// Keeps entries in insertion order, most recently used last
+function createMemoryStore(maxBytes) {
+  const entries = new Map();
+  let size = 0;
+
+  const remove = (key) => {
+    size -= entries.get(key)?.length || 0;
+    entries.delete(key);
+  };
+
+  return {
+    async get(key) {
+      const value = entries.get(key);
+      if (value) {
+        entries.delete(key);
+        entries.set(key, value);
+      }
+      return value || null;
+    },
+    async set(key, value) {
+      remove(key);
+      entries.set(key, value);
+      size += value.length;
+      for (const oldest of entries.keys()) {
+        if (size <= maxBytes) break;
+        remove(oldest);
+      }
+    },
+    remove: async (key) => remove(key),
+  };
+}
+
+// One file per entry under dir/<first two hex digits>/. The index of
+// sizes and last use is rebuilt from the files on first access.
+function createDiskStore(dir, maxBytes) {
+  let index = null;
+  let size = 0;
+
+  const fileFor = (key) => path.join(dir, key.slice(0, 2), key);
+
+  const loadIndex = async () => {
+    if (index) return index;
+    index = new Map();
+
+    const shards = await fs.promises.readdir(dir).catch(() => []);
+    const files = [];
+    for (const shard of shards) {
+      for (const key of await fs.promises.readdir(path.join(dir, shard))) {
+        if (key.endsWith(".tmp")) continue;
+        const { size, mtimeMs } = await fs.promises.stat(fileFor(key));
+        files.push({ key, size, mtimeMs });
+      }
+    }
+
+    files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const { key, size: bytes } of files) {
+      index.set(key, bytes);
+      size += bytes;
+    }
+    return index;
+  };
+
+  const remove = async (key) => {
+    size -= index.get(key) || 0;
+    index.delete(key);
+    await fs.promises.rm(fileFor(key), { force: true });
+  };
+
+  return {
+    async get(key) {
+      await loadIndex();
+      if (!index.has(key)) return null;
+
+      try {
+        const value = await fs.promises.readFile(fileFor(key));
+        const bytes = index.get(key);
+        index.delete(key);
+        index.set(key, bytes);
+        return value;
+      } catch {
+        await remove(key);
+        return null;
+      }
+    },
+    async set(key, value) {
+      await loadIndex();
+      const file = fileFor(key);
+
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, value);
+      await fs.promises.rename(`${file}.tmp`, file);
+
+      size -= index.get(key) || 0;
+      index.delete(key);
+      index.set(key, value.length);
+      size += value.length;
+
+      for (const oldest of index.keys()) {
+        if (size <= maxBytes) break;
+        await remove(oldest);
+      }
+    },
+    async remove(key) {
+      await loadIndex();
+      await remove(key);
+    },
+  };
+}
+
+// Entries are a length-prefixed JSON header followed by the raw bytes of
+// any Buffers in the value (TTS audio), so audio is not base64-inflated.
+function encodeEntry(value, expiresAt) {
+  const buffers = [];
+  const data = JSON.stringify(value, function (field, item) {
+    // `item` is already Buffer#toJSON's output; `this[field]` is not
+    const original = this[field];
+    if (!Buffer.isBuffer(original)) return item;
+    buffers.push(original);
+    return { $buffer: buffers.length - 1 };
+  });
+
+  const header = Buffer.from(
+    JSON.stringify({
+      expiresAt,
+      lengths: buffers.map((buffer) => buffer.length),
+      data,
+    })
+  );
+  const prefix = Buffer.alloc(4);
+  prefix.writeUInt32BE(header.length);
+  return Buffer.concat([prefix, header, ...buffers]);
+}
+
+function decodeEntry(entry) {
+  const headerLength = entry.readUInt32BE(0);
+  const { expiresAt, lengths, data } = JSON.parse(
+    entry.subarray(4, 4 + headerLength).toString()
+  );
+
+  const offsets = [];
+  lengths.reduce((offset, length, i) => {
+    offsets[i] = offset;
+    return offset + length;
+  }, 4 + headerLength);
+
+  const value = JSON.parse(data, (field, item) =>
+    item && typeof item === "object" && "$buffer" in item
+      ? Buffer.from(
+          entry.subarray(
+            offsets[item.$buffer],
+            offsets[item.$buffer] + lengths[item.$buffer]
+          )
+        )
+      : item
+  );
+  return { expiresAt, value };
+}
+
+/**
+ * Content address of a provider call. Buffers among `parts` are hashed
+ * by their contents.
+ * @param {string} layer One of CACHE_LAYERS.
+ * @param {Array} parts Everything the provider's answer depends on.
+ * @returns {string} Hex SHA-256.
+ */
+export function cacheKey(layer, parts) {
+  const hash = crypto.createHash("sha256").update(layer);
+  for (const part of parts) {
+    hash.update("\0");
+    hash.update(Buffer.isBuffer(part) ? part : JSON.stringify(part ?? null));
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Returns the cached result of a provider call, or runs `compute` and
+ * caches what it returns. Cache failures never fail the call itself.
+ * @param {string} layer One of CACHE_LAYERS.
+ * @param {Array} parts Key parts (see cacheKey).
+ * @param {() => Promise<Object>} compute The provider call.
+ * @param {Object} [tally] Per-request record of hits and misses per layer
+ *   (see describeCache).
+ */
+export async function cached(layer, parts, compute, tally = {}) {
+  const record = (hit) => {
+    tally[layer] ??= { hits: 0, misses: 0 };
+    tally[layer][hit ? "hits" : "misses"]++;
+    observeCacheLookup(layer, hit);
+  };
+
+  const cache = getStore();
+  if (!cache) return compute();
+
+  const key = cacheKey(layer, parts);
+
+  try {
+    const entry = await cache.get(key);
+    if (entry) {
+      const { expiresAt, value } = decodeEntry(entry);
+      if (expiresAt > Date.now()) {
+        record(true);
+        return value;
+      }
+      await cache.remove(key);
+    }
+  } catch (error) {
+    logger.warn("cache read failed", { layer, error });
+  }
+
+  const value = await compute();
+  record(false);
+
+  try {
+    const { ttlMs } = cacheSettings();
+    await cache.set(key, encodeEntry(value, Date.now() + ttlMs));
+  } catch (error) {
+    logger.warn("cache write failed", { layer, error });
+  }
+
+  return value;
+}
+
+/**
+ * Summarizes a request's tally: per layer "hit" (every call came from the
+ * cache), "partial" or "miss". Layers that were not called are left out.
+ * @param {Object} tally
+ * @returns {Object<string, "hit"|"partial"|"miss">}
+ */
+export function describeCache(tally) {
+  return Object.fromEntries(
+    CACHE_LAYERS.filter((layer) => tally[layer]).map((layer) => {
+      const { hits, misses } = tally[layer];
+      return [layer, misses === 0 ? "hit" : hits === 0 ? "miss" : "partial"];
+    })
+  );
+}
@@ -0,0 +1,496 @@
+import dotenv from "dotenv";
+import fs from "fs";
+import { DSP_PROFILES } from "./dspProfiles.js";
+import { LANGUAGES } from "./languages.js";
+
+/*
+ * Server configuration, in one validated place.
+ *
+ * Every setting has a default, can be set in a JSON config file
+ * (CONFIG_FILE, ./config.json by default, see config.example.json) and
+ * can be overridden by its environment variable, which wins. A .env file
+ * is loaded into the environment first. Values are checked against the
+ * schema below; config() throws a ConfigError listing every problem, and
+ * the server refuses to start with one.
+ *
+ * Modules read config() when they need a value rather than at import,
+ * so tests can change the environment and call reloadConfig().
+ */
+
+dotenv.config();
+
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const TYPE_NAMES = {
+  string: "a string",
+  number: "a number",
+  integer: "a whole number",
+  boolean: "true or false",
+  list: "a list",
+  map: "a list of key=value pairs",
+};
+
+// Leaves of the schema: `type` and its default, the env variable that
+// overrides it, and optional bounds or allowed `values` (a function when
+// the list lives in another module)
+const SCHEMA = {
+  server: {
+    port: { type: "integer", env: "PORT", default: 5000, min: 1, max: 65535 },
+    corsOrigins: { type: "list", env: "CORS_ORIGINS", default: [] },
+    logLevel: {
+      type: "string",
+      env: "LOG_LEVEL",
+      default: "info",
+      values: LOG_LEVELS,
+    },
+    tempDir: { type: "string", env: "TEMP_DIR", default: null },
+  },
+  credentials: {
+    openaiApiKey: {
+      type: "string",
+      env: "OPENAI_API_KEY",
+      default: null,
+      secret: true,
+    },
+    geminiApiKey: {
+      type: "string",
+      env: "GEMINI_API_KEY",
+      default: null,
+      secret: true,
+    },
+    googleCloudProjectId: {
+      type: "string",
+      env: "GOOGLE_CLOUD_PROJECT_ID",
+      default: null,
+    },
+    googleApplicationCredentials: {
+      type: "string",
+      env: "GOOGLE_APPLICATION_CREDENTIALS",
+      default: null,
+    },
+  },
+  providers: {
+    langid: { type: "list", env: "LANGID_PROVIDER", default: ["openai"] },
+    stt: {
+      type: "list",
+      env: "STT_PROVIDER",
+      default: ["openai", "google-speech"],
+    },
+    translation: {
+      type: "list",
+      env: "TRANSLATION_PROVIDER",
+      default: ["google"],
+    },
+    tts: { type: "list", env: "TTS_PROVIDER", default: ["gemini"] },
+    retries: {
+      type: "integer",
+      env: "PROVIDER_RETRIES",
+      default: 2,
+      min: 0,
+    },
+    retryDelayMs: {
+      type: "number",
+      env: "PROVIDER_RETRY_DELAY_MS",
+      default: 500,
+      min: 0,
+    },
+    timeoutsMs: {
+      langid: {
+        type: "number",
+        env: "LANGID_TIMEOUT_MS",
+        default: 20000,
+        min: 1,
+      },
+      stt: { type: "number", env: "STT_TIMEOUT_MS", default: 60000, min: 1 },
+      translation: {
+        type: "number",
+        env: "TRANSLATION_TIMEOUT_MS",
+        default: 15000,
+        min: 1,
+      },
+      tts: { type: "number", env: "TTS_TIMEOUT_MS", default: 30000, min: 1 },
+    },
+  },
+  models: {
+    openaiStt: {
+      type: "string",
+      env: "OPENAI_STT_MODEL",
+      default: "gpt-4o-mini-transcribe",
+    },
+    // Only whisper-1 reports segment timings
+    openaiTimestampedStt: {
+      type: "string",
+      env: "OPENAI_TIMESTAMPED_STT_MODEL",
+      default: "whisper-1",
+    },
+    openaiLangid: {
+      type: "string",
+      env: "OPENAI_LANGID_MODEL",
+      default: "whisper-1",
+    },
+    geminiTts: {
+      type: "string",
+      env: "GEMINI_TTS_MODEL",
+      default: "gemini-2.5-flash-preview-tts",
+    },
+    googleTranslateLocation: {
+      type: "string",
+      env: "GOOGLE_TRANSLATE_LOCATION",
+      default: "global",
+    },
+  },
+  languages: {
+    defaultFrom: {
+      type: "string",
+      env: "DEFAULT_FROM",
+      default: "as",
+      values: () => ["auto", ...Object.keys(LANGUAGES)],
+    },
+    defaultTo: {
+      type: "string",
+      env: "DEFAULT_TO",
+      default: "en",
+      values: () => Object.keys(LANGUAGES),
+    },
+    // Default TTS voice per language code, over the registry's
+    // (languages.js); in env as "as=Puck,en=Kore"
+    voices: {
+      type: "map",
+      env: "TTS_VOICES",
+      default: {},
+      keys: () => Object.keys(LANGUAGES),
+    },
+  },
+  dsp: {
+    defaultProfile: {
+      type: "string",
+      env: "DSP_PROFILE",
+      default: "standard",
+      values: () => ["auto", ...Object.keys(DSP_PROFILES)],
+    },
+    segmentMaxSeconds: {
+      type: "number",
+      env: "SEGMENT_MAX_SECONDS",
+      default: 30,
+      min: 1,
+    },
+    segmentConcurrency: {
+      type: "integer",
+      env: "SEGMENT_CONCURRENCY",
+      default: 4,
+      min: 1,
+    },
+  },
+  media: {
+    // The bundled binaries when unset
+    ffmpegPath: { type: "string", env: "FFMPEG_PATH", default: null },
+    ffprobePath: { type: "string", env: "FFPROBE_PATH", default: null },
+  },
+  limits: {
+    uploadMaxMb: {
+      type: "number",
+      env: "UPLOAD_MAX_MB",
+      default: 100,
+      min: 0.001,
+    },
+    maxAudioMinutes: {
+      type: "number",
+      env: "MAX_AUDIO_MINUTES",
+      default: 60,
+      min: 0.01,
+    },
+    maxPipelinesPerClient: {
+      type: "integer",
+      env: "MAX_PIPELINES_PER_CLIENT",
+      default: 2,
+      min: 1,
+    },
+    rateLimitPerMinute: {
+      type: "integer",
+      env: "RATE_LIMIT_PER_MINUTE",
+      default: 60,
+      min: 1,
+    },
+    dailyAudioMinutes: {
+      type: "number",
+      env: "DAILY_AUDIO_MINUTES",
+      default: 60,
+      min: 0.01,
+    },
+  },
+  jobs: {
+    concurrency: {
+      type: "integer",
+      env: "JOB_CONCURRENCY",
+      default: 2,
+      min: 1,
+    },
+    queueMax: { type: "integer", env: "JOB_QUEUE_MAX", default: 20, min: 1 },
+    stageRetries: {
+      type: "integer",
+      env: "JOB_STAGE_RETRIES",
+      default: 2,
+      min: 0,
+    },
+  },
+  cache: {
+    backend: {
+      type: "string",
+      env: "CACHE_BACKEND",
+      default: "memory",
+      values: ["memory", "disk", "off"],
+    },
+    dir: { type: "string", env: "CACHE_DIR", default: "./data/cache" },
+    ttlSeconds: {
+      type: "number",
+      env: "CACHE_TTL_SECONDS",
+      default: 7 * 24 * 3600,
+      min: 1,
+    },
+    maxMb: { type: "number", env: "CACHE_MAX_MB", default: 256, min: 1 },
+  },
+  storage: {
+    historyEnabled: {
+      type: "boolean",
+      env: "HISTORY_ENABLED",
+      default: true,
+    },
+    historyDb: {
+      type: "string",
+      env: "HISTORY_DB",
+      default: "./data/history.db",
+    },
+    glossaryFile: {
+      type: "string",
+      env: "GLOSSARY_FILE",
+      default: "./data/glossary.json",
+    },
+    apiKeysDb: {
+      type: "string",
+      env: "API_KEYS_DB",
+      default: "./data/keys.db",
+    },
+  },
+  auth: {
+    enabled: { type: "boolean", env: "AUTH_ENABLED", default: true },
+    adminToken: {
+      type: "string",
+      env: "ADMIN_TOKEN",
+      default: null,
+      secret: true,
+    },
+  },
+  // Offline mode and the engines of the local providers
+  // (providers/localEngines.js)
+  local: {
+    enabled: { type: "boolean", env: "LOCAL_MODE", default: false },
+    whisperPath: {
+      type: "string",
+      env: "WHISPER_CPP_PATH",
+      default: "whisper-cli",
+    },
+    whisperModel: {
+      type: "string",
+      env: "WHISPER_MODEL",
+      default: "./models/ggml-base.bin",
+    },
+    whisperThreads: {
+      type: "integer",
+      env: "WHISPER_THREADS",
+      default: 2,
+      min: 1,
+    },
+    // Extra phrases over the bundled phrasebook, same layout
+    phrasebookFile: { type: "string", env: "PHRASEBOOK_FILE", default: null },
+    espeakPath: { type: "string", env: "ESPEAK_PATH", default: "espeak-ng" },
+  },
+  // What the offline stub providers answer with
+  stub: {
+    language: { type: "string", env: "STUB_LANGUAGE", default: "as" },
+    transcript: { type: "string", env: "STUB_TRANSCRIPT", default: null },
+  },
+};
+
+/**
+ * The configuration is invalid; `problems` lists every setting that is.
+ */
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n- ${problems.join("\n- ")}`);
+    this.name = this.constructor.name;
+    this.problems = problems;
+  }
+}
+
+const isLeaf = (node) => typeof node.type === "string";
+
+const listOf = (values) =>
+  typeof values === "function" ? values() : values || [];
+
+// Turns an env string or a config file value into the setting's type;
+// returns undefined when it cannot
+function coerce(setting, value, fromEnv) {
+  switch (setting.type) {
+    case "string":
+      return typeof value === "string" ? value : undefined;
+    case "number":
+    case "integer": {
+      const number = fromEnv ? Number(value) : value;
+      if (typeof number !== "number" || !Number.isFinite(number)) return;
+      if (setting.type === "integer" && !Number.isInteger(number)) return;
+      return number;
+    }
+    case "boolean":
+      if (!fromEnv) return typeof value === "boolean" ? value : undefined;
+      return { true: true, false: false }[value.toLowerCase()];
+    case "list":
+      if (fromEnv) value = value.split(",");
+      if (!Array.isArray(value)) return;
+      return value.map((item) => String(item).trim()).filter(Boolean);
+    case "map":
+      if (fromEnv) {
+        const pairs = value.split(",").map((pair) => pair.split("="));
+        if (pairs.some((pair) => pair.length !== 2)) return;
+        value = Object.fromEntries(
+          pairs.map(([key, item]) => [key.trim(), item.trim()])
+        );
+      }
+      if (typeof value !== "object" || Array.isArray(value)) return;
+      if (Object.values(value).some((item) => typeof item !== "string")) {
+        return;
+      }
+      return value;
+  }
+}
+
+function check(setting, value) {
+  if (setting.min !== undefined && value < setting.min) {
+    return `must be at least ${setting.min}`;
+  }
+  if (setting.max !== undefined && value > setting.max) {
+    return `must be at most ${setting.max}`;
+  }
+
+  const allowed = listOf(setting.values);
+  if (allowed.length && !allowed.includes(value)) {
+    return `must be one of ${allowed.join(", ")}`;
+  }
+
+  const keys = listOf(setting.keys);
+  const unknown = Object.keys(value || {}).filter((key) => !keys.includes(key));
+  if (keys.length && unknown.length) {
+    return `has unknown keys: ${unknown.join(", ")}`;
+  }
+}
+
+function readConfigFile(env, problems) {
+  const file = env.CONFIG_FILE || "./config.json";
+
+  if (!fs.existsSync(file)) {
+    if (env.CONFIG_FILE) problems.push(`CONFIG_FILE ${file} does not exist`);
+    return {};
+  }
+
+  try {
+    const contents = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (typeof contents !== "object" || Array.isArray(contents)) {
+      throw new Error("not a JSON object");
+    }
+    return contents;
+  } catch (error) {
+    problems.push(`${file} could not be read: ${error.message}`);
+    return {};
+  }
+}
+
+// Walks schema and file together; file keys the schema does not know are
+// reported, as they are most likely typos
+function resolve(schema, fileValues, env, problems, path = []) {
+  for (const key of Object.keys(fileValues || {})) {
+    if (!schema[key]) {
+      problems.push(`unknown setting ${[...path, key].join(".")}`);
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(schema).map(([key, node]) => {
+      const name = [...path, key].join(".");
+
+      if (!isLeaf(node)) {
+        return [
+          key,
+          resolve(node, fileValues?.[key], env, problems, [...path, key]),
+        ];
+      }
+
+      const fromEnv = env[node.env] !== undefined && env[node.env] !== "";
+      const raw = fromEnv ? env[node.env] : fileValues?.[key];
+      if (raw === undefined || raw === null) return [key, node.default];
+
+      const source = fromEnv ? node.env : name;
+      const value = coerce(node, raw, fromEnv);
+      const problem =
+        value === undefined
+          ? `must be ${TYPE_NAMES[node.type]}`
+          : check(node, value);
+      if (problem) {
+        problems.push(
+          node.secret
+            ? `${source} ${problem}`
+            : `${source} ${problem} (got ${JSON.stringify(raw)})`
+        );
+        return [key, node.default];
+      }
+      return [key, value];
+    })
+  );
+}
+
+/**
+ * Builds the configuration from defaults, the config file and `env`.
+ * @param {Object} [env] Environment variables; process.env by default.
+ * @returns {Object} The settings, shaped like SCHEMA.
+ * @throws {ConfigError}
+ */
+export function loadConfig(env = process.env) {
+  const problems = [];
+  const settings = resolve(
+    SCHEMA,
+    readConfigFile(env, problems),
+    env,
+    problems
+  );
+
+  if (problems.length) throw new ConfigError(problems);
+  return settings;
+}
+
+/**
+ * The environment variable behind a setting, for messages.
+ * @param {string} name Dotted setting name, e.g. "credentials.openaiApiKey".
+ * @returns {string} e.g. "OPENAI_API_KEY".
+ */
+export function envName(name) {
+  return name.split(".").reduce((node, key) => node?.[key], SCHEMA)?.env;
+}
+
+let current;
+
+/**
+ * The server's configuration, loaded on first use.
+ * @returns {Object} See SCHEMA for the settings.
+ * @throws {ConfigError}
+ */
+export function config() {
+  current ??= loadConfig();
+  return current;
+}
+
+/**
+ * Loads the configuration again, e.g. after tests changed the
+ * environment.
+ */
+export function reloadConfig() {
+  current = undefined;
+  return config();
+}
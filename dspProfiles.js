@@ -0,0 +1,210 @@
+/*
+ * DSP preprocessing profiles.
+ *
+ * Each profile is a set of tunable parameters for the ffmpeg filter chain
+ * in audioPreprocess.js. Requests pick a profile by name (or "auto", which
+ * analyzes the input first) and may override single parameters:
+ * - highpass / lowpass : band limits in Hz (0 = off)
+ * - denoise            : afftdn noise reduction in dB (0 = off)
+ * - noiseFloor         : afftdn noise floor estimate in dBFS
+ * - compress           : even out levels (quiet, distant phone speech)
+ * - trimSilence        : drop leading silence below silenceThreshold dBFS
+ * - loudness           : loudnorm integrated target in LUFS (null = off)
+ */
+
+import { config } from "./config.js";
+
+export const DEFAULT_PROFILE = "standard";
+
+export const DSP_PROFILES = {
+  standard: {
+    description: "The original all-round chain",
+    params: {
+      highpass: 80,
+      lowpass: 8000,
+      denoise: 12,
+      noiseFloor: -50,
+      compress: false,
+      trimSilence: true,
+      silenceThreshold: -50,
+      loudness: -24,
+    },
+  },
+  studio: {
+    description:
+      "Clean studio or headset recordings: touch as little as possible",
+    params: {
+      highpass: 60,
+      lowpass: 0,
+      denoise: 0,
+      noiseFloor: -50,
+      compress: false,
+      trimSilence: true,
+      silenceThreshold: -60,
+      loudness: -24,
+    },
+  },
+  phone: {
+    description: "Quiet, narrowband phone calls: telephone band, lifted levels",
+    params: {
+      highpass: 250,
+      lowpass: 3600,
+      denoise: 10,
+      noiseFloor: -45,
+      compress: true,
+      trimSilence: true,
+      silenceThreshold: -45,
+      loudness: -18,
+    },
+  },
+  outdoor: {
+    description: "Noisy markets, streets and vehicles: strong noise reduction",
+    params: {
+      highpass: 150,
+      lowpass: 6500,
+      denoise: 25,
+      noiseFloor: -30,
+      compress: false,
+      trimSilence: true,
+      silenceThreshold: -35,
+      loudness: -22,
+    },
+  },
+  none: {
+    description: "No processing, only conversion to 16 kHz mono",
+    params: {
+      highpass: 0,
+      lowpass: 0,
+      denoise: 0,
+      noiseFloor: -50,
+      compress: false,
+      trimSilence: false,
+      silenceThreshold: -50,
+      loudness: null,
+    },
+  },
+};
+
+// Accepted range per numeric parameter
+const RANGES = {
+  highpass: [0, 4000],
+  lowpass: [0, 8000],
+  denoise: [0, 97],
+  noiseFloor: [-80, -20],
+  silenceThreshold: [-90, -10],
+  loudness: [-70, -5],
+};
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Form fields arrive as strings, JSON bodies as numbers and booleans
+function parseParam(name, value) {
+  if (name === "compress" || name === "trimSilence") {
+    if (typeof value === "boolean") return value;
+    if (value === "true" || value === "false") return value === "true";
+    throw badRequest(`DSP parameter ${name} must be true or false`);
+  }
+
+  if (name === "loudness" && (value === null || value === "off")) return null;
+
+  const number = Number(value);
+  const [min, max] = RANGES[name];
+  if (
+    value === "" ||
+    !Number.isFinite(number) ||
+    number < min ||
+    number > max
+  ) {
+    throw badRequest(`DSP parameter ${name} must be between ${min} and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Resolves a profile name and parameter overrides into DSP settings.
+ * "auto" is passed through; the pipeline picks a profile after analysis.
+ * @param {string} [profile] Profile name, "auto", or empty for the
+ *   configured default (DSP_PROFILE, standard unless set).
+ * @param {Object|string} [overrides] Parameters that replace the profile's,
+ *   as an object or a JSON string (form fields, query strings).
+ * @returns {{ profile: string, params: Object }}
+ */
+export function resolveDspSettings(profile, overrides = {}) {
+  profile = profile || config().dsp.defaultProfile;
+
+  if (typeof overrides === "string") {
+    try {
+      overrides = JSON.parse(overrides);
+    } catch {
+      throw badRequest("dspParams must be a JSON object");
+    }
+  }
+
+  // Own keys only: "constructor" and friends are not profiles
+  if (profile !== "auto" && !Object.hasOwn(DSP_PROFILES, profile)) {
+    throw badRequest(`Unknown DSP profile: ${profile}`);
+  }
+
+  const params = {};
+  for (const [name, value] of Object.entries(overrides || {})) {
+    if (!Object.hasOwn(DSP_PROFILES[DEFAULT_PROFILE].params, name)) {
+      throw badRequest(`Unknown DSP parameter: ${name}`);
+    }
+    params[name] = parseParam(name, value);
+  }
+
+  if (profile === "auto") return { profile, params };
+  return { profile, params: { ...DSP_PROFILES[profile].params, ...params } };
+}
+
+/**
+ * Builds the ffmpeg audio filter chain for resolved parameters.
+ * @param {Object} params Profile parameters (see top of file).
+ * @returns {string[]}
+ */
+export function buildFilterChain(params) {
+  const filters = [];
+
+  if (params.highpass) filters.push(`highpass=f=${params.highpass}`);
+  if (params.lowpass) filters.push(`lowpass=f=${params.lowpass}`);
+  if (params.denoise) {
+    filters.push(`afftdn=nr=${params.denoise}:nf=${params.noiseFloor}`);
+  }
+  if (params.trimSilence) {
+    filters.push(`silenceremove=1:0:${params.silenceThreshold}dB`);
+  }
+  if (params.compress) {
+    filters.push("acompressor=threshold=0.05:ratio=4:attack=5:release=100");
+  }
+  if (params.loudness != null) filters.push(`loudnorm=I=${params.loudness}`);
+
+  return filters;
+}
+
+/**
+ * Picks a profile for a recording from its analysis (see analyzeAudio).
+ * @param {{ speechRatio: number, noiseFloor: number, loudness: { integrated: ?number } }} analysis
+ * @returns {string} Profile name.
+ */
+export function suggestProfile({ speechRatio, noiseFloor, loudness }) {
+  // Too little speech to judge by; stay with the all-round chain
+  if (speechRatio < 0.05) return DEFAULT_PROFILE;
+  if (noiseFloor > -40) return "outdoor";
+  if (loudness.integrated != null && loudness.integrated < -32) return "phone";
+  if (noiseFloor < -60) return "studio";
+  return DEFAULT_PROFILE;
+}
+
+/**
+ * Lists the profiles for clients (e.g. a settings panel).
+ */
+export function listDspProfiles() {
+  return Object.entries(DSP_PROFILES).map(([name, profile]) => ({
+    name,
+    ...profile,
+  }));
+}
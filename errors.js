@@ -0,0 +1,213 @@
+/*
+ * Typed API errors.
+ *
+ * `status` is the HTTP status the API answers with and `code` a stable,
+ * machine-readable name that clients can switch on (the frontend has a
+ * localized message for each, see errorMessages.js there). Plain errors
+ * with a `status` below 500 are our own request validation and are
+ * reported as invalid_request; anything else is internal_error, without
+ * the raw message.
+ */
+
+/**
+ * Every code the API answers with, its HTTP status and whether the same
+ * request may succeed if simply sent again.
+ */
+export const ERROR_CODES = {
+  // The request itself
+  invalid_request: { status: 400, retryable: false },
+  missing_file: { status: 400, retryable: false },
+  unsupported_language: { status: 400, retryable: false },
+  // The caller's API key (see auth.js)
+  unauthorized: { status: 401, retryable: false },
+  rate_limited: { status: 429, retryable: true },
+  daily_quota_exceeded: { status: 429, retryable: false },
+  // How much the caller asks of the server at once (see limits.js)
+  too_many_pipelines: { status: 429, retryable: true },
+  queue_full: { status: 429, retryable: true },
+  // The uploaded file (see media.js)
+  empty_file: { status: 400, retryable: false },
+  file_too_large: { status: 413, retryable: false },
+  audio_too_long: { status: 413, retryable: false },
+  unreadable_media: { status: 415, retryable: false },
+  unsupported_container: { status: 415, retryable: false },
+  unsupported_codec: { status: 415, retryable: false },
+  no_audio_track: { status: 422, retryable: false },
+  empty_audio: { status: 422, retryable: false },
+  corrupt_media: { status: 422, retryable: false },
+  // What was said
+  no_speech: { status: 422, retryable: false },
+  unsupported_detected_language: { status: 422, retryable: false },
+  // The providers behind each stage
+  quota_exceeded: { status: 429, retryable: true },
+  provider_timeout: { status: 504, retryable: true },
+  langid_failed: { status: 502, retryable: true },
+  stt_failed: { status: 502, retryable: true },
+  translation_failed: { status: 502, retryable: true },
+  tts_failed: { status: 502, retryable: true },
+  // Ours
+  processing_failed: { status: 500, retryable: true },
+  internal_error: { status: 500, retryable: true },
+};
+
+export class AppError extends Error {
+  /**
+   * @param {string} message Human-readable description.
+   * @param {{ status?: number, code?: string, cause?: Error }} [options]
+   *   `status` defaults to the code's (ERROR_CODES); `cause` is the
+   *   underlying error, logged but never sent to clients.
+   */
+  constructor(
+    message,
+    {
+      code = "internal_error",
+      status = ERROR_CODES[code]?.status ?? 500,
+      cause,
+    } = {}
+  ) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * The uploaded file cannot be used: unknown container or codec, corrupt
+ * data, no audio track, nothing to hear.
+ */
+export class MediaError extends AppError {
+  constructor(code, message, status = 415) {
+    super(message, { status, code });
+  }
+}
+
+/**
+ * What a client gets to see of an error: its status, code, a message
+ * safe to show and whether retrying may help.
+ * @param {Error} error
+ * @returns {{ status: number, code: string, message: string, retryable: boolean }}
+ */
+export function publicError(error) {
+  let { status, code, message } = error;
+
+  if (!(error instanceof AppError)) {
+    code = status < 500 ? "invalid_request" : "internal_error";
+  }
+  if (code === "internal_error") {
+    status = 500;
+    message = "Something went wrong on our side";
+  }
+
+  return {
+    status: status || 500,
+    code,
+    message,
+    retryable: ERROR_CODES[code]?.retryable ?? false,
+  };
+}
+
+const STAGE_FAILURES = {
+  dsp: ["processing_failed", "The audio could not be processed"],
+  langid: ["langid_failed", "The spoken language could not be identified"],
+  stt: ["stt_failed", "Speech recognition failed"],
+  translation: ["translation_failed", "Translation failed"],
+  tts: ["tts_failed", "Speech synthesis failed"],
+};
+
+/**
+ * Turns whatever a pipeline stage threw into a typed error. Our own
+ * errors pass through; provider errors become quota_exceeded or the
+ * stage's *_failed code, with the original kept as `cause`.
+ * @param {"dsp"|"langid"|"stt"|"translation"|"tts"} stage
+ * @param {Error} error
+ * @returns {AppError}
+ */
+export function stageError(stage, error) {
+  if (error instanceof AppError) return error;
+
+  if (isQuotaError(error)) {
+    return new AppError(
+      "The service is over its usage limit right now; try again later",
+      { code: "quota_exceeded", cause: error }
+    );
+  }
+
+  const [code, message] = STAGE_FAILURES[stage];
+  return new AppError(message, { code, cause: error });
+}
+
+// Rate limits and exhausted quotas look different for every provider
+function isQuotaError(error) {
+  return (
+    (error.status ?? error.response?.status) === 429 ||
+    error.code === 8 || // gRPC RESOURCE_EXHAUSTED
+    error.code === "insufficient_quota" ||
+    error.response?.data?.error?.status === "RESOURCE_EXHAUSTED"
+  );
+}
+
+/**
+ * Stable code for an error thrown by a provider SDK or HTTP call, for
+ * logs and metrics: the API's own error status where there is one
+ * (Google's "RESOURCE_EXHAUSTED", OpenAI's "insufficient_quota"), else
+ * gRPC or HTTP status, else the network error code (ECONNRESET).
+ * @param {Error} error
+ * @returns {string}
+ */
+export function providerErrorCode(error) {
+  if (error instanceof AppError) return error.code;
+
+  // Google REST APIs (Gemini, Translate) through axios
+  const googleStatus = error.response?.data?.error?.status;
+  if (googleStatus) return googleStatus;
+
+  // gRPC clients (Google Speech) use numeric status codes
+  if (typeof error.code === "number") return `grpc_${error.code}`;
+  if (/^APIConnection/.test(error.constructor?.name)) return "connection_error";
+  // OpenAI SDK errors carry the API's code; axios' own codes say less
+  // than the HTTP status
+  if (error.code && !error.isAxiosError) return String(error.code);
+
+  const httpStatus = error.status ?? error.response?.status;
+  if (httpStatus) return `http_${httpStatus}`;
+
+  return error.code || "unknown";
+}
+
+// Network failures worth another try
+const TRANSIENT_NETWORK_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+  "ENETUNREACH",
+];
+
+// gRPC DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, ABORTED, INTERNAL, UNAVAILABLE
+const TRANSIENT_GRPC_CODES = [4, 8, 10, 13, 14];
+
+/**
+ * Whether a failed provider call may succeed when simply repeated:
+ * timeouts, dropped connections, rate limits and server errors. Bad
+ * requests and missing credentials fail the same way every time.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  if (error.code === "provider_timeout") return true;
+  if (TRANSIENT_NETWORK_CODES.includes(error.code)) return true;
+  if (typeof error.code === "number") {
+    return TRANSIENT_GRPC_CODES.includes(error.code);
+  }
+  // The OpenAI SDK's errors for a lost or timed out connection (their
+  // `name` is plain "Error")
+  if (/^APIConnection(Timeout)?Error$/.test(error.constructor?.name)) {
+    return true;
+  }
+
+  const httpStatus = error.status ?? error.response?.status;
+  return [408, 425, 429].includes(httpStatus) || httpStatus >= 500;
+}
@@ -0,0 +1,28 @@
+import ffprobeInstaller from "@ffprobe-installer/ffprobe";
+import ffmpegStatic from "ffmpeg-static";
+import ffmpeg from "fluent-ffmpeg";
+import { config } from "./config.js";
+
+/*
+ * The ffmpeg and ffprobe binaries: the bundled ones (ffmpeg-static,
+ * @ffprobe-installer) unless FFMPEG_PATH / FFPROBE_PATH (media in
+ * config.js) name others, e.g. a system build with more codecs.
+ */
+
+export function ffmpegBinary() {
+  return config().media.ffmpegPath || ffmpegStatic;
+}
+
+export function ffprobeBinary() {
+  return config().media.ffprobePath || ffprobeInstaller.path;
+}
+
+/**
+ * A fluent-ffmpeg command using the configured binaries.
+ * @param {string|Readable} [input] File path or stream to read.
+ */
+export function ffmpegCommand(input) {
+  return ffmpeg(input)
+    .setFfmpegPath(ffmpegBinary())
+    .setFfprobePath(ffprobeBinary());
+}
@@ -1,6 +1,26 @@
+import { useEffect, useState } from "react";
+import HistoryPage from "./components/HistoryPage.jsx";
+import SettingsPage from "./components/SettingsPage.jsx";
 import TranslationInterface from "./components/TranslationInterface.jsx";
 
+// The nav links switch pages through the URL hash (#home, #history,
+// #settings)
+function useHashPage() {
+  const read = () => window.location.hash.slice(1) || "home";
+  const [page, setPage] = useState(read);
+
+  useEffect(() => {
+    const onHashChange = () => setPage(read());
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  return page;
+}
+
 function App() {
+  const page = useHashPage();
+
   return (
     <div className="min-h-screen bg-slate-900 text-slate-50 flex flex-col">
       <header className="border-b border-slate-800 bg-slate-950/80 backdrop-blur">
@@ -15,13 +35,13 @@ function App() {
             <a href="#home" className="text-slate-200 hover:text-white">
               Home
             </a>
-            {/* <a href="#history" className="text-slate-200 hover:text-white">
+            <a href="#history" className="text-slate-200 hover:text-white">
               History
             </a>
             <a href="#settings" className="text-slate-200 hover:text-white">
               Settings
             </a>
-            <button
+            {/* <button
               type="button"
               className="flex items-center rounded-full border border-slate-600 bg-slate-800 px-1 py-0.5"
             >
@@ -36,25 +56,51 @@ function App() {
         id="home"
         className="flex-1 max-w-6xl mx-auto px-4 py-10 flex flex-col gap-8"
       >
-        <div className="text-center">
-          <h1 className="text-3xl font-semibold text-slate-50">
-            Speak in Assamese. Hear it in English.
-          </h1>
-          <p className="mt-2 text-sm text-slate-300">
-            Tap the mic, speak naturally, and let AI translate your voice
-            instantly.
-          </p>
-        </div>
+        {page === "history" ? (
+          <>
+            <div className="text-center">
+              <h1 className="text-3xl font-semibold text-slate-50">History</h1>
+              <p className="mt-2 text-sm text-slate-300">
+                Search past translations in either language and replay the
+                recordings.
+              </p>
+            </div>
 
-        <div className="mx-auto w-full max-w-5xl">
-          <TranslationInterface />
-        </div>
+            <HistoryPage />
+          </>
+        ) : page === "settings" ? (
+          <>
+            <div className="text-center">
+              <h1 className="text-3xl font-semibold text-slate-50">Settings</h1>
+              <p className="mt-2 text-sm text-slate-300">
+                Choose the voice your translations are spoken in. Slow it down
+                if you find fast speech hard to follow.
+              </p>
+            </div>
+
+            <SettingsPage />
+          </>
+        ) : (
+          <>
+            <div className="text-center">
+              <h1 className="text-3xl font-semibold text-slate-50">
+                Speak in Assamese. Hear it in English.
+              </h1>
+              <p className="mt-2 text-sm text-slate-300">
+                Tap the mic, speak naturally, and let AI translate your voice
+                instantly. Pick another language pair to reply or to serve
+                neighbouring languages.
+              </p>
+            </div>
+
+            <div className="mx-auto w-full max-w-5xl">
+              <TranslationInterface />
+            </div>
+          </>
+        )}
       </main>
 
-      <footer
-        id="settings"
-        className="border-t border-slate-800 bg-slate-950/80 text-xs text-slate-400"
-      >
+      <footer className="border-t border-slate-800 bg-slate-950/80 text-xs text-slate-400">
         <div className="max-w-6xl mx-auto flex flex-col gap-1 px-4 py-4 sm:flex-row sm:items-center sm:justify-between">
           <span>© 2025 AI Powered - Assamese-to-English Speech Translator</span>
           <span>Contact: assamese-speech-translator@gmail.com</span>
@@ -0,0 +1,12 @@
+// The backend's API key, from VITE_API_KEY at build time. It ends up in
+// the bundle, so the frontend should get a key of its own with tight
+// limits (see apiKeys.js on the server).
+export const API_KEY = import.meta.env.VITE_API_KEY || "";
+
+// URLs the browser requests by itself (<audio src>, EventSource,
+// WebSocket) cannot carry the X-API-Key header; they pass it as ?api_key=
+export function withApiKey(url) {
+  if (!API_KEY) return url;
+  const separator = url.includes("?") ? "&" : "?";
+  return `${url}${separator}api_key=${encodeURIComponent(API_KEY)}`;
+}
@@ -1,4 +1,6 @@
 import { useState, useRef, useEffect } from 'react';
+import { API_KEY, withApiKey } from '../apiKey.js';
+import { API_BASE_URL } from '../config.js';
 
 const AudioRecorder = () => {
   const [isRecording, setIsRecording] = useState(false);
@@ -11,7 +13,7 @@ const AudioRecorder = () => {
   const audioChunksRef = useRef([]);
   const audioRef = useRef(null);
 
-  const API_BASE_URL = 'http://localhost:5000/api';
+  const headers = API_KEY ? { 'X-API-Key': API_KEY } : {};
 
   // Start recording
   const startRecording = async () => {
@@ -27,7 +29,7 @@ const AudioRecorder = () => {
       };
 
       mediaRecorderRef.current.onstop = () => {
-        const audioBlob = new Blob(audioChunksRef.current, { type: 'audio/wav' });
+        const audioBlob = new Blob(audioChunksRef.current, { type: 'audio/webm' });
         const audioUrl = URL.createObjectURL(audioBlob);
         setRecordedAudio({ blob: audioBlob, url: audioUrl });
       };
@@ -50,19 +52,20 @@ const AudioRecorder = () => {
     }
   };
 
-  // Upload audio to backend
+  // Upload audio to backend (runs the pipeline and records it in history)
   const uploadAudio = async () => {
     if (!recordedAudio) return;
 
     const formData = new FormData();
-    formData.append('audio', recordedAudio.blob, 'recording.wav');
+    formData.append('audio', recordedAudio.blob, 'recording.webm');
     
     setIsUploading(true);
     setError('');
 
     try {
-      const response = await fetch(`${API_BASE_URL}/upload`, {
+      const response = await fetch(`${API_BASE_URL}/translate-audio?response=json&audio=url&format=mp3&bitrate=32`, {
         method: 'POST',
+        headers,
         body: formData,
       });
 
@@ -83,13 +86,13 @@ const AudioRecorder = () => {
     }
   };
 
-  // Fetch list of uploaded audios
+  // Fetch list of uploaded audios (latest page of history)
   const fetchAudios = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/audios`);
+      const response = await fetch(`${API_BASE_URL}/history`, { headers });
       if (!response.ok) throw new Error('Failed to fetch audios');
       const data = await response.json();
-      setAudioList(data);
+      setAudioList(data.items.filter((entry) => entry.audio.includes('original')));
     } catch (err) {
       setError('Error fetching audio list: ' + err.message);
       console.error('Fetch audios error:', err);
@@ -101,7 +104,7 @@ const AudioRecorder = () => {
     if (audioRef.current) {
       audioRef.current.pause();
       audioRef.current.currentTime = 0;
-      audioRef.current.src = `${API_BASE_URL}/audio/${audioId}`;
+      audioRef.current.src = withApiKey(`${API_BASE_URL}/history/${audioId}/audio/original`);
       audioRef.current.play().catch(err => {
         setError('Error playing audio: ' + err.message);
       });
@@ -164,7 +167,7 @@ const AudioRecorder = () => {
                 className="flex justify-between items-center bg-slate-700 p-3 rounded-md hover:bg-slate-600 transition-colors"
               >
                 <span className="text-slate-200">
-                  {audio.originalname || `Audio ${audio.id}`}
+                  {audio.sourceText || `Audio ${audio.id}`}
                 </span>
                 <button
                   onClick={() => playAudio(audio.id)}
@@ -0,0 +1,28 @@
+// A failed request: what happened, what to do, and a retry button when
+// trying again can help. `error` comes from describeError.
+export default function ErrorNotice({ error, onRetry }) {
+  if (!error) return null;
+
+  return (
+    <div role="alert" style={{ marginTop: 12, color: "#fca5a5" }}>
+      <p>{error.message}</p>
+      <p style={{ fontSize: 14, opacity: 0.8 }}>{error.action}</p>
+      {error.retry && onRetry && (
+        <button
+          onClick={onRetry}
+          style={{
+            marginTop: 8,
+            padding: "6px 14px",
+            borderRadius: 999,
+            border: "1px solid #fca5a5",
+            background: "transparent",
+            color: "#fca5a5",
+            fontSize: 14,
+          }}
+        >
+          {error.retryLabel}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+import { useEffect, useRef, useState } from "react";
+import axios from "axios";
+import { withApiKey } from "../apiKey.js";
+import { API_BASE_URL } from "../config.js";
+
+const PAGE_SIZE = 10;
+
+const TRACKS = [
+  { kind: "original", label: "▶ Original" },
+  { kind: "cleaned", label: "▶ Cleaned" },
+  { kind: "output", label: "▶ Translation" },
+];
+
+export default function HistoryPage() {
+  const audioRef = useRef(null);
+
+  const [query, setQuery] = useState("");
+  const [search, setSearch] = useState("");
+  const [page, setPage] = useState(1);
+  const [history, setHistory] = useState({ items: [], total: 0 });
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  /* ---------------- LOAD PAGE ---------------- */
+  const loadHistory = async () => {
+    try {
+      setIsLoading(true);
+      setError("");
+      const { data } = await axios.get(`${API_BASE_URL}/history`, {
+        params: { q: search || undefined, page, pageSize: PAGE_SIZE },
+      });
+      setHistory(data);
+    } catch (err) {
+      console.error(err);
+      setError("Could not load history");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadHistory();
+  }, [search, page]);
+
+  const submitSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setSearch(query.trim());
+  };
+
+  /* ---------------- REPLAY / DELETE ---------------- */
+  const play = (id, kind) => {
+    const audio = audioRef.current;
+    audio.src = withApiKey(`${API_BASE_URL}/history/${id}/audio/${kind}`);
+    audio.play().catch((err) => console.error(err));
+  };
+
+  const remove = async (id) => {
+    if (!window.confirm("Delete this translation from history?")) return;
+
+    try {
+      await axios.delete(`${API_BASE_URL}/history/${id}`);
+      // Step back if the last entry of a page was removed
+      if (history.items.length === 1 && page > 1) setPage(page - 1);
+      else loadHistory();
+    } catch (err) {
+      console.error(err);
+      setError("Could not delete entry");
+    }
+  };
+
+  /* ---------------- UI ---------------- */
+  const pageCount = Math.max(1, Math.ceil(history.total / PAGE_SIZE));
+
+  return (
+    <div className="mx-auto w-full max-w-3xl">
+      <form onSubmit={submitSearch} className="mb-6 flex gap-2">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search in any language…"
+          className="flex-1 rounded-md border border-slate-700 bg-slate-800 px-3 py-2 text-slate-100"
+        />
+        <button
+          type="submit"
+          className="rounded-md bg-emerald-600 px-4 py-2 font-medium text-white hover:bg-emerald-700"
+        >
+          Search
+        </button>
+      </form>
+
+      <audio ref={audioRef} controls className="mb-6 w-full" />
+
+      {error && <p className="mb-4 text-red-400">{error}</p>}
+
+      {!isLoading && history.items.length === 0 && (
+        <p className="text-center text-slate-400">
+          {search ? "No translations match your search" : "No translations yet"}
+        </p>
+      )}
+
+      <ul className="space-y-3">
+        {history.items.map((entry) => (
+          <li key={entry.id} className="rounded-lg bg-slate-800 p-4">
+            <div className="mb-2 flex justify-between text-xs text-slate-400">
+              <span>
+                {entry.from} → {entry.to}
+                {entry.detectedConfidence != null &&
+                  ` (detected, ${Math.round(entry.detectedConfidence * 100)}%)`}
+              </span>
+              <span>{new Date(entry.createdAt).toLocaleString()}</span>
+            </div>
+
+            <p className="text-slate-100">{entry.sourceText}</p>
+            <p className="mt-1 text-emerald-300">{entry.translatedText}</p>
+
+            <div className="mt-3 flex flex-wrap gap-2 text-sm">
+              {TRACKS.filter(({ kind }) => entry.audio.includes(kind)).map(
+                ({ kind, label }) => (
+                  <button
+                    key={kind}
+                    onClick={() => play(entry.id, kind)}
+                    className="rounded bg-slate-700 px-3 py-1 text-white hover:bg-slate-600"
+                  >
+                    {label}
+                  </button>
+                )
+              )}
+              <button
+                onClick={() => remove(entry.id)}
+                className="ml-auto rounded px-3 py-1 text-red-400 hover:bg-slate-700"
+              >
+                Delete
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {history.total > PAGE_SIZE && (
+        <div className="mt-6 flex items-center justify-center gap-4 text-sm">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="rounded bg-slate-800 px-3 py-1 disabled:opacity-40"
+          >
+            ← Newer
+          </button>
+          <span>
+            Page {page} of {pageCount}
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pageCount}
+            className="rounded bg-slate-800 px-3 py-1 disabled:opacity-40"
+          >
+            Older →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+const selectStyle = {
+  padding: "6px 10px",
+  borderRadius: 8,
+  border: "1px solid #475569",
+  background: "#1e293b",
+  color: "#f8fafc",
+  fontSize: 14,
+};
+
+/* Source → target language selection with a swap button.
+   The source can also be "auto" to let the server detect it. */
+export default function LanguagePicker({
+  languages,
+  from,
+  to,
+  onChange,
+  disabled,
+}) {
+  const options = languages.map((language) => (
+    <option key={language.code} value={language.code}>
+      {language.nativeName} ({language.name})
+    </option>
+  ));
+
+  // Picking the language already on the other side swaps the two
+  const select = (side, code) => {
+    const other = side === "from" ? to : from;
+    const pair = side === "from" ? { from: code, to } : { from, to: code };
+
+    if (code === other && from !== "auto") {
+      onChange({ from: to, to: from });
+    } else {
+      onChange(pair);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        gap: 8,
+        marginTop: 12,
+      }}
+    >
+      <select
+        aria-label="Spoken language"
+        value={from}
+        disabled={disabled}
+        onChange={(e) => select("from", e.target.value)}
+        style={selectStyle}
+      >
+        <option value="auto">Detect language</option>
+        {options}
+      </select>
+
+      <button
+        type="button"
+        aria-label="Swap languages"
+        disabled={disabled || from === "auto"}
+        onClick={() => onChange({ from: to, to: from })}
+        style={{ ...selectStyle, cursor: "pointer" }}
+      >
+        ⇄
+      </button>
+
+      <select
+        aria-label="Translated language"
+        value={to}
+        disabled={disabled}
+        onChange={(e) => select("to", e.target.value)}
+        style={selectStyle}
+      >
+        {options}
+      </select>
+    </div>
+  );
+}
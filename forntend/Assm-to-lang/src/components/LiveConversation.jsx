@@ -0,0 +1,213 @@
+import { useEffect, useRef, useState } from "react";
+import ErrorNotice from "./ErrorNotice.jsx";
+import { withApiKey } from "../apiKey.js";
+import { STREAM_URL } from "../config.js";
+import { describeError } from "../errorMessages.js";
+import { voiceParams } from "../voicePreferences.js";
+
+// Compact mp3 speech instead of WAV for every utterance
+const OUTPUT_AUDIO = "format=mp3&bitrate=32";
+
+// How often MediaRecorder hands us a chunk to forward to the server (ms)
+const CHUNK_INTERVAL = 250;
+
+function openSocket(url) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(url);
+    socket.onopen = () => resolve(socket);
+    socket.onerror = () =>
+      reject(
+        Object.assign(new Error("WebSocket connection failed"), {
+          code: "network_error",
+        })
+      );
+  });
+}
+
+export default function LiveConversation({ from = "as", to = "en" }) {
+  const socketRef = useRef(null);
+  const mediaRecorderRef = useRef(null);
+  const playQueueRef = useRef([]);
+  const isPlayingRef = useRef(false);
+
+  const [isLive, setIsLive] = useState(false);
+  const [isFinishing, setIsFinishing] = useState(false);
+  const [utterances, setUtterances] = useState({});
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    return () => {
+      mediaRecorderRef.current?.stream.getTracks().forEach((t) => t.stop());
+      socketRef.current?.close();
+    };
+  }, []);
+
+  /* ---------------- PLAYBACK QUEUE ---------------- */
+  // Translated sentences play one after another, in the order they arrive
+  const playNext = () => {
+    const next = playQueueRef.current.shift();
+    if (!next) {
+      isPlayingRef.current = false;
+      return;
+    }
+
+    isPlayingRef.current = true;
+    const audio = new Audio(next);
+    audio.onended = playNext;
+    audio.onerror = playNext;
+    audio.play().catch(playNext);
+  };
+
+  const enqueueAudio = (base64, mimeType) => {
+    playQueueRef.current.push(`data:${mimeType};base64,${base64}`);
+    if (!isPlayingRef.current) playNext();
+  };
+
+  /* ---------------- SERVER MESSAGES ---------------- */
+  const updateUtterance = (id, fields) => {
+    setUtterances((prev) => ({ ...prev, [id]: { ...prev[id], ...fields } }));
+  };
+
+  const handleMessage = (event) => {
+    const message = JSON.parse(event.data);
+
+    switch (message.type) {
+      case "partial":
+        updateUtterance(message.utterance, { partial: message.text });
+        break;
+      case "transcript":
+        updateUtterance(message.utterance, { assamese: message.text });
+        break;
+      case "translation":
+        updateUtterance(message.utterance, { english: message.text });
+        break;
+      case "audio":
+        enqueueAudio(message.base64, message.mimeType);
+        break;
+      case "error":
+        if (message.utterance) {
+          updateUtterance(message.utterance, {
+            failed: describeError(message).message,
+          });
+        } else {
+          setError(describeError(message));
+        }
+        break;
+      case "done":
+        setIsFinishing(false);
+        break;
+      default:
+        break;
+    }
+  };
+
+  /* ---------------- START / STOP ---------------- */
+  const startLive = async () => {
+    try {
+      setError(null);
+      setUtterances({});
+
+      const query = new URLSearchParams({ from, to, ...voiceParams() });
+      const socket = await openSocket(
+        withApiKey(`${STREAM_URL}?${query}&${OUTPUT_AUDIO}`)
+      );
+      socket.onmessage = handleMessage;
+      socket.onerror = () => setError(describeError({ code: "network_error" }));
+      socket.onclose = () => setIsFinishing(false);
+      socketRef.current = socket;
+
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+
+      const mediaRecorder = new MediaRecorder(stream, {
+        mimeType: "audio/webm",
+      });
+
+      mediaRecorder.ondataavailable = (e) => {
+        if (e.data.size > 0 && socket.readyState === WebSocket.OPEN) {
+          socket.send(e.data);
+        }
+      };
+
+      // onstop fires after the last chunk, so the server gets everything
+      mediaRecorder.onstop = () => {
+        stream.getTracks().forEach((t) => t.stop());
+        if (socket.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify({ type: "stop" }));
+        }
+      };
+
+      mediaRecorder.start(CHUNK_INTERVAL);
+      mediaRecorderRef.current = mediaRecorder;
+      setIsLive(true);
+    } catch (err) {
+      console.error(err);
+      socketRef.current?.close();
+      setError(
+        describeError(
+          err.name === "NotAllowedError" ? { code: "microphone_denied" } : err
+        )
+      );
+    }
+  };
+
+  const stopLive = () => {
+    if (!mediaRecorderRef.current) return;
+    mediaRecorderRef.current.stop();
+    setIsLive(false);
+    setIsFinishing(true);
+  };
+
+  /* ---------------- UI ---------------- */
+  const entries = Object.entries(utterances).sort(([a], [b]) => a - b);
+
+  return (
+    <div style={{ maxWidth: 520, margin: "40px auto", textAlign: "center" }}>
+      <button
+        onClick={isLive ? stopLive : startLive}
+        disabled={isFinishing}
+        style={{
+          width: 100,
+          height: 100,
+          borderRadius: "50%",
+          fontSize: 32,
+          background: isLive ? "#ef4444" : "#0ea5e9",
+          color: "#fff",
+          border: "none",
+          cursor: isFinishing ? "not-allowed" : "pointer",
+          opacity: isFinishing ? 0.6 : 1,
+        }}
+      >
+        {isLive ? "■" : "🗣"}
+      </button>
+
+      <p style={{ marginTop: 10 }}>
+        {isLive && "Listening... pause between sentences"}
+        {!isLive && isFinishing && "Finishing last sentence... ⏳"}
+        {!isLive && !isFinishing && "Tap to start a live conversation"}
+      </p>
+
+      <ErrorNotice error={error} onRetry={!isLive && startLive} />
+
+      <ul style={{ marginTop: 20, textAlign: "left", listStyle: "none" }}>
+        {entries.map(([id, u]) => (
+          <li
+            key={id}
+            style={{
+              marginBottom: 12,
+              paddingBottom: 8,
+              borderBottom: "1px solid #334155",
+            }}
+          >
+            <p style={{ opacity: u.assamese ? 1 : 0.6 }}>
+              {u.assamese || u.partial || "…"}
+            </p>
+            {u.english && <p style={{ color: "#6ee7b7" }}>{u.english}</p>}
+            {u.failed && (
+              <p style={{ color: "red", fontSize: 12 }}>{u.failed}</p>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+import { useEffect, useRef, useState } from "react";
+import axios from "axios";
+import { API_BASE_URL } from "../config.js";
+import {
+  DEFAULT_VOICE_PREFERENCES,
+  loadVoicePreferences,
+  saveVoicePreferences,
+  voiceParams,
+} from "../voicePreferences.js";
+
+// Assamese sample, spoken back in English like a real translation
+const PREVIEW_TEXT = "নমস্কাৰ! আপোনাৰ অনুবাদ এনেদৰে শুনা যাব।";
+
+const STYLE_LABELS = {
+  neutral: "Neutral",
+  calm: "Calm",
+  cheerful: "Cheerful",
+  serious: "Serious",
+  clear: "Slow and clear",
+};
+
+// One tap for listeners who need slower, more distinct speech
+const EASY_LISTENING = { style: "clear", rate: 0.75, pitch: 0 };
+
+export default function SettingsPage() {
+  const audioRef = useRef(null);
+
+  const [options, setOptions] = useState(null);
+  const [preferences, setPreferences] = useState(loadVoicePreferences);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [notice, setNotice] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    axios
+      .get(`${API_BASE_URL}/voices`)
+      .then(({ data }) => setOptions(data))
+      .catch((err) => {
+        console.error(err);
+        setError("Could not load the available voices");
+      });
+  }, []);
+
+  const update = (changes) => {
+    setNotice("");
+    setPreferences((prev) => ({ ...prev, ...changes }));
+  };
+
+  // A voice saved for another TTS provider cannot be picked here
+  const voice =
+    preferences.provider === options?.provider ? preferences.voice : "";
+
+  /* ---------------- PREVIEW / SAVE ---------------- */
+  const preview = async () => {
+    try {
+      setIsPreviewing(true);
+      setError("");
+      const { data } = await axios.post(
+        `${API_BASE_URL}/text-translate`,
+        {
+          text: PREVIEW_TEXT,
+          from: "as",
+          to: "en",
+          format: "mp3",
+          ...voiceParams({ ...preferences, voice }),
+        },
+        { responseType: "blob" }
+      );
+      const audio = audioRef.current;
+      audio.src = URL.createObjectURL(data);
+      audio.play().catch((err) => console.error(err));
+    } catch (err) {
+      console.error(err);
+      setError("Could not preview this voice");
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const save = () => {
+    saveVoicePreferences({
+      ...preferences,
+      voice,
+      provider: voice ? options.provider : "",
+    });
+    setNotice("Saved. Your translations will use this voice.");
+  };
+
+  const reset = () => {
+    saveVoicePreferences(DEFAULT_VOICE_PREFERENCES);
+    setPreferences(DEFAULT_VOICE_PREFERENCES);
+    setNotice("Restored the default voice.");
+  };
+
+  /* ---------------- UI ---------------- */
+  if (!options) {
+    return (
+      <p className="text-center text-slate-400">{error || "Loading voices…"}</p>
+    );
+  }
+
+  return (
+    <div className="mx-auto w-full max-w-xl space-y-6 rounded-lg bg-slate-800 p-6">
+      <label className="block">
+        <span className="mb-1 block text-sm text-slate-300">Voice</span>
+        <select
+          value={voice}
+          onChange={(e) =>
+            update({ voice: e.target.value, provider: options.provider })
+          }
+          className="w-full rounded-md border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100"
+        >
+          <option value="">Default voice for each language</option>
+          {options.voices.map(({ name, description }) => (
+            <option key={name} value={name}>
+              {name} ({description})
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="block">
+        <span className="mb-1 block text-sm text-slate-300">Style</span>
+        <select
+          value={preferences.style}
+          onChange={(e) => update({ style: e.target.value })}
+          className="w-full rounded-md border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100"
+        >
+          {options.styles.map((style) => (
+            <option key={style} value={style}>
+              {STYLE_LABELS[style] || style}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="block">
+        <span className="mb-1 flex justify-between text-sm text-slate-300">
+          <span>Speaking rate</span>
+          <span>{Number(preferences.rate).toFixed(2)}×</span>
+        </span>
+        <input
+          type="range"
+          min={options.rate.min}
+          max={options.rate.max}
+          step="0.05"
+          value={preferences.rate}
+          onChange={(e) => update({ rate: Number(e.target.value) })}
+          aria-valuetext={`${preferences.rate} times normal speed`}
+          className="w-full accent-emerald-500"
+        />
+        <span className="flex justify-between text-xs text-slate-500">
+          <span>Slower</span>
+          <span>Faster</span>
+        </span>
+      </label>
+
+      <label className="block">
+        <span className="mb-1 flex justify-between text-sm text-slate-300">
+          <span>Pitch</span>
+          <span>
+            {preferences.pitch > 0 ? "+" : ""}
+            {preferences.pitch} semitones
+          </span>
+        </span>
+        <input
+          type="range"
+          min={options.pitch.min}
+          max={options.pitch.max}
+          step="1"
+          value={preferences.pitch}
+          onChange={(e) => update({ pitch: Number(e.target.value) })}
+          className="w-full accent-emerald-500"
+        />
+        <span className="flex justify-between text-xs text-slate-500">
+          <span>Lower</span>
+          <span>Higher</span>
+        </span>
+      </label>
+
+      <button
+        type="button"
+        onClick={() => update(EASY_LISTENING)}
+        className="w-full rounded-md border border-slate-600 px-4 py-2 text-sm text-slate-200 hover:bg-slate-700"
+      >
+        Use slower, clearer speech
+      </button>
+
+      <audio ref={audioRef} controls className="w-full" />
+
+      {error && <p className="text-red-400">{error}</p>}
+      {notice && <p className="text-emerald-300">{notice}</p>}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={preview}
+          disabled={isPreviewing}
+          className="rounded-md bg-slate-700 px-4 py-2 text-white hover:bg-slate-600 disabled:opacity-40"
+        >
+          {isPreviewing ? "Generating…" : "▶ Preview"}
+        </button>
+        <button
+          type="button"
+          onClick={save}
+          className="rounded-md bg-emerald-600 px-4 py-2 font-medium text-white hover:bg-emerald-700"
+        >
+          Save
+        </button>
+        <button
+          type="button"
+          onClick={reset}
+          className="ml-auto rounded-md px-4 py-2 text-slate-300 hover:bg-slate-700"
+        >
+          Reset
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,23 +1,117 @@
-import { useRef, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import axios from "axios";
+import ErrorNotice from "./ErrorNotice.jsx";
+import LanguagePicker from "./LanguagePicker.jsx";
+import LiveConversation from "./LiveConversation.jsx";
+import { withApiKey } from "../apiKey.js";
+import { API_BASE_URL } from "../config.js";
+import { describeError } from "../errorMessages.js";
+import { voiceParams } from "../voicePreferences.js";
 
-const API_URL = "http://localhost:5000/api/translate-audio";
+const JOBS_URL = `${API_BASE_URL}/jobs`;
+
+// Translated speech comes back as compact mp3 rather than WAV, which is
+// several times larger on mobile connections
+const OUTPUT_AUDIO = "format=mp3&bitrate=32";
+
+// What the user sees while a pipeline stage of their job is running
+const STAGE_LABELS = {
+  dsp: "Cleaning up audio",
+  langid: "Detecting language",
+  stt: "Transcribing",
+  translation: "Translating",
+  tts: "Generating speech",
+};
+
+// Shown until the server's language registry has loaded
+const FALLBACK_LANGUAGES = [
+  { code: "as", name: "Assamese", nativeName: "অসমীয়া" },
+  { code: "en", name: "English", nativeName: "English" },
+];
+
+// Follows a job's progress events until it completes or fails
+function waitForJob(jobId, onProgress) {
+  return new Promise((resolve, reject) => {
+    const events = new EventSource(withApiKey(`${JOBS_URL}/${jobId}/events`));
+
+    events.onmessage = (event) => {
+      const job = JSON.parse(event.data);
+      onProgress(job);
+
+      if (job.status === "completed" || job.status === "failed") {
+        events.close();
+        resolve(job);
+      }
+    };
+    events.onerror = () => {
+      events.close();
+      reject(
+        Object.assign(new Error("Lost connection to the server"), {
+          code: "network_error",
+        })
+      );
+    };
+  });
+}
+
+// Status line for a running job: its place in the queue or current stage
+function describeProgress(job) {
+  if (!job) return "Uploading audio...";
+  if (job.status === "queued")
+    return `Waiting in queue (#${job.queuePosition})...`;
+
+  const [name, stage] =
+    Object.entries(job.stages).find(([, s]) =>
+      ["running", "retrying"].includes(s.status)
+    ) || [];
+  if (!name) return "Finishing up...";
+
+  return `${STAGE_LABELS[name] || name}${
+    stage.status === "retrying" ? " (retrying)" : ""
+  }... ${job.progress}%`;
+}
+
+// Turns the base64 audio from a JSON pipeline response into a playable URL
+function audioPayloadToUrl({ base64, mimeType }) {
+  const bytes = Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+  return URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+}
 
 export default function SimpleRecorder() {
   const mediaRecorderRef = useRef(null);
   const chunksRef = useRef([]);
   const audioRef = useRef(null);
+  // Kept so a failed translation can be retried without recording again
+  const lastRecordingRef = useRef(null);
 
+  const [mode, setMode] = useState("clip");
+  const [languages, setLanguages] = useState(FALLBACK_LANGUAGES);
+  const [pair, setPair] = useState({ from: "as", to: "en" });
+  const [takeTurns, setTakeTurns] = useState(true);
+  const [turns, setTurns] = useState([]);
   const [isRecording, setIsRecording] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [job, setJob] = useState(null);
   const [audioUrl, setAudioUrl] = useState("");
-  const [error, setError] = useState("");
+  const [subtitles, setSubtitles] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    axios
+      .get(`${API_BASE_URL}/languages`)
+      .then(({ data }) => setLanguages(data))
+      .catch((err) => console.error("Could not load languages", err));
+  }, []);
+
+  const languageName = (code) =>
+    languages.find((language) => language.code === code)?.nativeName || code;
 
   /* ---------------- START RECORDING ---------------- */
   const startRecording = async () => {
     try {
-      setError("");
+      setError(null);
       setAudioUrl("");
+      setSubtitles(null);
 
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
 
@@ -45,7 +139,7 @@ export default function SimpleRecorder() {
       setIsRecording(true);
     } catch (err) {
       console.error(err);
-      setError("Microphone access denied");
+      setError(describeError({ code: "microphone_denied" }));
     }
   };
 
@@ -60,31 +154,141 @@ export default function SimpleRecorder() {
   const sendAudioToBackend = async (blob) => {
     try {
       setIsProcessing(true);
+      setError(null);
+      setJob(null);
+      lastRecordingRef.current = blob;
 
       const formData = new FormData();
       formData.append("audio", blob, "recording.webm");
+      formData.append("from", pair.from);
+      formData.append("to", pair.to);
+      // Preferred voice from the Settings page
+      for (const [field, value] of Object.entries(voiceParams())) {
+        formData.append(field, value);
+      }
+
+      // Long recordings would outlive a single request, so the server runs
+      // the pipeline as a job and reports progress stage by stage
+      const submitted = await axios.post(JOBS_URL, formData);
+      const finished = await waitForJob(submitted.data.job.id, setJob);
+      if (finished.status === "failed") {
+        throw Object.assign(new Error(finished.error), {
+          code: finished.errorCode,
+          retryable: finished.retryable,
+        });
+      }
 
-      const response = await axios.post(API_URL, formData, {
-        responseType: "blob",
+      const { data } = await axios.get(
+        `${JOBS_URL}/${finished.id}/result?response=json&${OUTPUT_AUDIO}`
+      );
+
+      // With "auto", data.from is the language the server detected
+      setSubtitles({
+        from: data.from,
+        to: data.to,
+        detected: data.detectedLanguage,
+        source: data.sourceText,
+        target: data.translatedText,
+        seconds: (data.timings.total / 1000).toFixed(1),
+        // Stages that ran on the server's own engines, without a network
+        offline: Object.keys(data.local || {}).filter(
+          (stage) => data.local[stage]
+        ),
       });
+      setTurns((prev) => [
+        ...prev,
+        {
+          from: data.from,
+          source: data.sourceText,
+          target: data.translatedText,
+        },
+      ]);
+      setAudioUrl(audioPayloadToUrl(data.audio));
 
-      const url = URL.createObjectURL(response.data);
-      setAudioUrl(url);
+      // Hand the device over: the other person speaks next. With detection
+      // on, they just need to hear the reply in the first speaker's language.
+      if (takeTurns) {
+        setPair(
+          pair.from === "auto"
+            ? { from: "auto", to: data.from }
+            : { from: pair.to, to: pair.from }
+        );
+      }
 
       setTimeout(() => {
         audioRef.current?.play();
       }, 300);
     } catch (err) {
       console.error(err);
-      setError("Failed to process audio");
+      setError(describeError(err));
     } finally {
       setIsProcessing(false);
     }
   };
 
   /* ---------------- UI ---------------- */
+  const modeToggle = (
+    <div style={{ display: "flex", justifyContent: "center", gap: 8 }}>
+      {[
+        ["clip", "Record clip"],
+        ["live", "Live conversation"],
+      ].map(([value, label]) => (
+        <button
+          key={value}
+          onClick={() => setMode(value)}
+          disabled={isRecording || isProcessing}
+          style={{
+            padding: "6px 14px",
+            borderRadius: 999,
+            border: "1px solid #475569",
+            background: mode === value ? "#334155" : "transparent",
+            color: "#f8fafc",
+            fontSize: 14,
+          }}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+
+  const languagePicker = (
+    <LanguagePicker
+      languages={languages}
+      from={pair.from}
+      to={pair.to}
+      onChange={setPair}
+      disabled={isRecording || isProcessing}
+    />
+  );
+
+  if (mode === "live") {
+    return (
+      <div style={{ marginTop: 40 }}>
+        {modeToggle}
+        {languagePicker}
+        <LiveConversation from={pair.from} to={pair.to} />
+      </div>
+    );
+  }
+
   return (
     <div style={{ maxWidth: 420, margin: "40px auto", textAlign: "center" }}>
+      {modeToggle}
+      {languagePicker}
+
+      <label style={{ display: "block", marginTop: 8, fontSize: 13 }}>
+        <input
+          type="checkbox"
+          checked={takeTurns}
+          onChange={(e) => setTakeTurns(e.target.checked)}
+          style={{ marginRight: 6 }}
+        />
+        Swap languages after each turn
+      </label>
+
+      <div style={{ height: 24 }} />
+
       {/* <h2>🎙 Assamese → English Voice Translator</h2> */}
 
       {/* RECORD BUTTON */}
@@ -109,19 +313,44 @@ export default function SimpleRecorder() {
       {/* STATUS TEXT */}
       <p style={{ marginTop: 10 }}>
         {isRecording && "Recording..."}
-        {!isRecording && isProcessing && "Processing audio... ⏳"}
-        {!isRecording && !isProcessing && "Tap to record"}
+        {!isRecording && isProcessing && `${describeProgress(job)} ⏳`}
+        {!isRecording &&
+          !isProcessing &&
+          (pair.from === "auto"
+            ? "Tap and speak any language"
+            : `Tap and speak ${languageName(pair.from)}`)}
       </p>
 
       {/* LOADING INDICATOR */}
       {isProcessing && (
-        <div style={{ marginTop: 15 }}>
-          <span>🔄 Please wait, translating voice...</span>
+        <div
+          style={{
+            marginTop: 15,
+            height: 6,
+            borderRadius: 3,
+            background: "#334155",
+            overflow: "hidden",
+          }}
+        >
+          <div
+            style={{
+              width: `${job?.progress || 0}%`,
+              height: "100%",
+              background: "#10b981",
+              transition: "width 0.3s",
+            }}
+          />
         </div>
       )}
 
       {/* ERROR */}
-      {error && <p style={{ color: "red" }}>{error}</p>}
+      <ErrorNotice
+        error={error}
+        onRetry={
+          lastRecordingRef.current &&
+          (() => sendAudioToBackend(lastRecordingRef.current))
+        }
+      />
 
       {/* AUDIO PLAYER (ONLY AFTER RESPONSE) */}
       {audioUrl && !isProcessing && (
@@ -132,6 +361,56 @@ export default function SimpleRecorder() {
           style={{ marginTop: 20, width: "100%" }}
         />
       )}
+
+      {/* SUBTITLES */}
+      {subtitles && !isProcessing && (
+        <div style={{ marginTop: 15, textAlign: "left" }}>
+          <p style={{ fontSize: 14, opacity: 0.7 }}>
+            {languageName(subtitles.from)}
+            {subtitles.detected &&
+              ` · detected, ${Math.round(
+                subtitles.detected.confidence * 100
+              )}% confidence`}
+          </p>
+          <p>{subtitles.source}</p>
+          <p style={{ fontSize: 14, opacity: 0.7, marginTop: 10 }}>
+            {languageName(subtitles.to)}
+          </p>
+          <p>{subtitles.target}</p>
+          <p style={{ fontSize: 12, opacity: 0.5, marginTop: 10 }}>
+            Translated in {subtitles.seconds}s
+            {subtitles.offline.length > 0 &&
+              ` · offline (${subtitles.offline.join(", ")})`}
+          </p>
+        </div>
+      )}
+
+      {/* CONVERSATION LOG */}
+      {turns.length > 1 && (
+        <ul
+          style={{
+            marginTop: 25,
+            textAlign: "left",
+            listStyle: "none",
+            borderTop: "1px solid #334155",
+            paddingTop: 15,
+          }}
+        >
+          {turns.map((turn, i) => (
+            <li
+              key={i}
+              style={{
+                marginBottom: 10,
+                // First speaker on the left, the other on the right
+                textAlign: turn.from === turns[0].from ? "left" : "right",
+              }}
+            >
+              <p style={{ fontSize: 14 }}>{turn.source}</p>
+              <p style={{ fontSize: 14, color: "#6ee7b7" }}>{turn.target}</p>
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
@@ -0,0 +1,9 @@
+// Where the backend lives, from VITE_API_BASE_URL at build time (the
+// local dev server by default). The live stream is on the same server,
+// over WebSocket, unless VITE_STREAM_URL says otherwise.
+export const API_BASE_URL =
+  import.meta.env.VITE_API_BASE_URL || "http://localhost:5000/api";
+
+export const STREAM_URL =
+  import.meta.env.VITE_STREAM_URL ||
+  `${API_BASE_URL.replace(/^http/, "ws")}/stream`;
@@ -0,0 +1,240 @@
+// What to tell the user when a request fails, per error code from the
+// server (errors.js there) plus the failures only the browser sees.
+// Every message says what happened and what to do about it, in the
+// user's language.
+
+const MESSAGES = {
+  en: {
+    retry: "Try again",
+    codes: {
+      missing_file: ["No recording reached the server.", "Record again."],
+      empty_file: [
+        "The recording is empty.",
+        "Check your microphone and record again.",
+      ],
+      audio_too_long: [
+        "This recording is too long.",
+        "Record a shorter clip, or split it into parts.",
+      ],
+      file_too_large: [
+        "This file is too big to upload.",
+        "Use a shorter recording, or a compressed format like MP3.",
+      ],
+      unsupported_format: [
+        "This audio format isn't supported.",
+        "Record in the app, or use an MP3, WAV or M4A file.",
+      ],
+      corrupt_media: ["The recording could not be read.", "Record again."],
+      no_audio_track: [
+        "This file has no sound in it.",
+        "Choose a file with audio.",
+      ],
+      no_speech: [
+        "We couldn't hear any speech.",
+        "Speak closer to the microphone and try again.",
+      ],
+      unsupported_language: [
+        "This language isn't supported yet.",
+        "Pick a language from the list.",
+      ],
+      invalid_request: [
+        "Something about this request wasn't right.",
+        "Check your settings and try again.",
+      ],
+      unauthorized: [
+        "This app isn't allowed to use the translation server.",
+        "Ask the server's administrator for a valid API key.",
+      ],
+      rate_limited: [
+        "Too many requests in a short time.",
+        "Wait a minute, then try again.",
+      ],
+      daily_quota_exceeded: [
+        "Today's translation minutes are used up.",
+        "Try again tomorrow, or ask for a higher limit.",
+      ],
+      too_many_pipelines: [
+        "Your other translations are still running.",
+        "Wait for one of them to finish, then try again.",
+      ],
+      queue_full: [
+        "The server is busy right now.",
+        "Wait a minute, then try again.",
+      ],
+      quota_exceeded: [
+        "The translation service is busy right now.",
+        "Wait a minute, then try again.",
+      ],
+      provider_timeout: ["The service took too long to answer.", "Try again."],
+      langid_failed: [
+        "We couldn't tell which language was spoken.",
+        "Choose the language yourself, or try again.",
+      ],
+      stt_failed: ["Speech recognition failed.", "Try again."],
+      translation_failed: ["Translation failed.", "Try again."],
+      tts_failed: [
+        "The translated speech couldn't be generated.",
+        "Try again.",
+      ],
+      internal_error: [
+        "Something went wrong on our side.",
+        "Try again in a moment.",
+      ],
+      network_error: [
+        "Can't reach the server.",
+        "Check your internet connection and try again.",
+      ],
+      microphone_denied: [
+        "Microphone access was denied.",
+        "Allow the microphone in your browser settings.",
+      ],
+    },
+  },
+  as: {
+    retry: "পুনৰ চেষ্টা কৰক",
+    codes: {
+      missing_file: ["কোনো ৰেকৰ্ডিং ছাৰ্ভাৰলৈ অহা নাই।", "পুনৰ ৰেকৰ্ড কৰক।"],
+      empty_file: [
+        "ৰেকৰ্ডিংটো খালী।",
+        "মাইক্ৰ'ফ'নটো পৰীক্ষা কৰি পুনৰ ৰেকৰ্ড কৰক।",
+      ],
+      audio_too_long: [
+        "ৰেকৰ্ডিংটো বহুত দীঘল।",
+        "চুটি ক্লিপ ৰেকৰ্ড কৰক, বা ইয়াক কেইবাটাও ভাগত ভাগ কৰক।",
+      ],
+      file_too_large: [
+        "এই ফাইলটো আপল'ড কৰিবলৈ বহুত ডাঙৰ।",
+        "চুটি ৰেকৰ্ডিং, বা MP3-ৰ দৰে সংকুচিত ফৰ্মেট ব্যৱহাৰ কৰক।",
+      ],
+      unsupported_format: [
+        "এই অডিঅ' ফৰ্মেট সমৰ্থিত নহয়।",
+        "এপটোতে ৰেকৰ্ড কৰক, বা MP3, WAV বা M4A ফাইল ব্যৱহাৰ কৰক।",
+      ],
+      corrupt_media: ["ৰেকৰ্ডিংটো পঢ়িব পৰা নগ'ল।", "পুনৰ ৰেকৰ্ড কৰক।"],
+      no_audio_track: [
+        "এই ফাইলটোত কোনো শব্দ নাই।",
+        "অডিঅ' থকা ফাইল এটা বাছনি কৰক।",
+      ],
+      no_speech: [
+        "কোনো কথা শুনা নগ'ল।",
+        "মাইক্ৰ'ফ'নৰ ওচৰত কথা কৈ পুনৰ চেষ্টা কৰক।",
+      ],
+      unsupported_language: [
+        "এই ভাষাটো এতিয়াও সমৰ্থিত নহয়।",
+        "তালিকাৰ পৰা এটা ভাষা বাছনি কৰক।",
+      ],
+      invalid_request: [
+        "অনুৰোধটোত কিবা ভুল আছিল।",
+        "ছেটিংছ পৰীক্ষা কৰি পুনৰ চেষ্টা কৰক।",
+      ],
+      unauthorized: [
+        "এই এপটোক অনুবাদ ছাৰ্ভাৰ ব্যৱহাৰৰ অনুমতি দিয়া হোৱা নাই।",
+        "ছাৰ্ভাৰৰ প্ৰশাসকৰ পৰা এটা বৈধ API কী বিচাৰক।",
+      ],
+      rate_limited: [
+        "কম সময়ৰ ভিতৰত বহুত বেছি অনুৰোধ।",
+        "এক মিনিট অপেক্ষা কৰি পুনৰ চেষ্টা কৰক।",
+      ],
+      daily_quota_exceeded: [
+        "আজিৰ অনুবাদৰ মিনিটবোৰ শেষ হৈ গ'ল।",
+        "কাইলৈ পুনৰ চেষ্টা কৰক, বা অধিক সীমা বিচাৰক।",
+      ],
+      too_many_pipelines: [
+        "আপোনাৰ আন অনুবাদবোৰ এতিয়াও চলি আছে।",
+        "সেইবোৰৰ এটা শেষ হোৱালৈ অপেক্ষা কৰি পুনৰ চেষ্টা কৰক।",
+      ],
+      queue_full: [
+        "ছাৰ্ভাৰটো এই মুহূৰ্তত ব্যস্ত।",
+        "এক মিনিট অপেক্ষা কৰি পুনৰ চেষ্টা কৰক।",
+      ],
+      quota_exceeded: [
+        "অনুবাদ সেৱাটো এই মুহূৰ্তত ব্যস্ত।",
+        "এক মিনিট অপেক্ষা কৰি পুনৰ চেষ্টা কৰক।",
+      ],
+      provider_timeout: [
+        "সেৱাটোৱে উত্তৰ দিবলৈ বহুত সময় ল'লে।",
+        "পুনৰ চেষ্টা কৰক।",
+      ],
+      langid_failed: [
+        "কোনটো ভাষাত কোৱা হৈছে চিনাক্ত কৰিব পৰা নগ'ল।",
+        "ভাষাটো নিজে বাছনি কৰক, বা পুনৰ চেষ্টা কৰক।",
+      ],
+      stt_failed: ["কথাখিনি চিনাক্ত কৰিব পৰা নগ'ল।", "পুনৰ চেষ্টা কৰক।"],
+      translation_failed: ["অনুবাদ কৰিব পৰা নগ'ল।", "পুনৰ চেষ্টা কৰক।"],
+      tts_failed: ["অনুবাদিত কথা সৃষ্টি কৰিব পৰা নগ'ল।", "পুনৰ চেষ্টা কৰক।"],
+      internal_error: ["আমাৰ ফালে কিবা ভুল হ'ল।", "অলপ পিছত পুনৰ চেষ্টা কৰক।"],
+      network_error: [
+        "ছাৰ্ভাৰৰ সৈতে সংযোগ কৰিব পৰা নাই।",
+        "ইণ্টাৰনেট সংযোগ পৰীক্ষা কৰি পুনৰ চেষ্টা কৰক।",
+      ],
+      microphone_denied: [
+        "মাইক্ৰ'ফ'ন ব্যৱহাৰৰ অনুমতি দিয়া হোৱা নাই।",
+        "ব্ৰাউজাৰৰ ছেটিংছত মাইক্ৰ'ফ'নৰ অনুমতি দিয়ক।",
+      ],
+    },
+  },
+};
+
+// Server codes that share a message
+const SAME_AS = {
+  empty_audio: "empty_file",
+  unreadable_media: "unsupported_format",
+  unsupported_container: "unsupported_format",
+  unsupported_codec: "unsupported_format",
+  unsupported_detected_language: "unsupported_language",
+  processing_failed: "internal_error",
+};
+
+// Worth retrying when the server did not say (browser-side failures)
+const RETRYABLE = [
+  "rate_limited",
+  "too_many_pipelines",
+  "queue_full",
+  "quota_exceeded",
+  "provider_timeout",
+  "langid_failed",
+  "stt_failed",
+  "translation_failed",
+  "tts_failed",
+  "internal_error",
+  "network_error",
+];
+
+function userLocale() {
+  const preferred = navigator.languages || [navigator.language];
+  return (
+    preferred.map((tag) => tag?.split("-")[0]).find((lang) => MESSAGES[lang]) ||
+    "en"
+  );
+}
+
+// Code and retry hint from an axios error, a failed job, a stream error
+// message or an Error carrying a `code`
+function errorDetails(err) {
+  if (err?.isAxiosError) {
+    if (!err.response) return { code: "network_error" };
+    return err.response.data || {};
+  }
+  return { code: err?.errorCode || err?.code, retryable: err?.retryable };
+}
+
+/**
+ * Localized message for a failed request.
+ * @returns {{ code: string, message: string, action: string, retry: boolean, retryLabel: string }}
+ */
+export function describeError(err, locale = userLocale()) {
+  const details = errorDetails(err);
+  const { retry: retryLabel, codes } = MESSAGES[locale] || MESSAGES.en;
+
+  let code = SAME_AS[details.code] || details.code;
+  if (!codes[code]) code = "internal_error";
+  const [message, action] = codes[code];
+
+  return {
+    code,
+    message,
+    action,
+    retry: details.retryable ?? RETRYABLE.includes(code),
+    retryLabel,
+  };
+}
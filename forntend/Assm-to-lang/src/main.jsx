@@ -1,8 +1,12 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
+import axios from "axios";
 import App from "./App.jsx";
+import { API_KEY } from "./apiKey.js";
 import "./index.css";
 
+if (API_KEY) axios.defaults.headers.common["X-API-Key"] = API_KEY;
+
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <App />
@@ -0,0 +1,43 @@
+// The user's preferred voice for translated speech, kept in localStorage
+// and sent along with every translation request.
+
+const STORAGE_KEY = "ast.voicePreferences";
+
+// An empty voice means the server's default voice for the language
+export const DEFAULT_VOICE_PREFERENCES = {
+  provider: "",
+  voice: "",
+  style: "neutral",
+  rate: 1,
+  pitch: 0,
+};
+
+export function loadVoicePreferences() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_VOICE_PREFERENCES, ...saved };
+  } catch {
+    return DEFAULT_VOICE_PREFERENCES;
+  }
+}
+
+export function saveVoicePreferences(preferences) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+}
+
+// Request fields for the preferences, leaving defaults out. A chosen voice
+// only exists on the TTS provider it was picked from, so that provider is
+// requested with it.
+export function voiceParams(preferences = loadVoicePreferences()) {
+  const params = {};
+
+  if (preferences.voice) {
+    params.tts = preferences.provider;
+    params.voice = preferences.voice;
+  }
+  if (preferences.style !== "neutral") params.style = preferences.style;
+  if (Number(preferences.rate) !== 1) params.rate = preferences.rate;
+  if (Number(preferences.pitch) !== 0) params.pitch = preferences.pitch;
+
+  return params;
+}
@@ -0,0 +1,201 @@
+import fs from "fs";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { config } from "./config.js";
+import { getLanguage } from "./languages.js";
+
+/*
+ * Glossary of fixed term translations (place names, tea-garden terms,
+ * government scheme names, ...).
+ *
+ * Entries are directional: `term` in language `from` always becomes
+ * `translation` in language `to`. They are kept in a JSON file
+ * (GLOSSARY_FILE, ./data/glossary.json by default) and feed two stages:
+ * - STT  : terms are passed to the provider as vocabulary hints
+ * - Translation : terms are shielded from the translator and the fixed
+ *                 translation is put back afterwards
+ */
+
+let entries = null;
+let writing = Promise.resolve();
+
+function glossaryFile() {
+  return config().storage.glossaryFile;
+}
+
+function load() {
+  if (!entries) {
+    const file = glossaryFile();
+    entries = fs.existsSync(file)
+      ? JSON.parse(fs.readFileSync(file, "utf8"))
+      : [];
+  }
+  return entries;
+}
+
+// Changes are serialized and written atomically (temp file + rename), so
+// a crash mid-write never leaves a truncated glossary behind. `change`
+// gets the current entries and returns a changed copy (or null for no
+// change), which replaces them only once it is on disk: a failed write
+// leaves the glossary as it was. Each caller gets its own write's
+// outcome; a failed write does not fail the ones after it.
+function persist(change) {
+  const file = glossaryFile();
+
+  const write = writing
+    .catch(() => {})
+    .then(async () => {
+      const next = change(load());
+      if (!next) return;
+
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(next, null, 2));
+      await fs.promises.rename(`${file}.tmp`, file);
+      entries = next;
+    });
+  writing = write;
+
+  return write;
+}
+
+function validate({ term, translation, from, to, category, notes }) {
+  for (const [field, value] of Object.entries({ term, translation })) {
+    if (typeof value !== "string" || !value.trim()) {
+      const error = new Error(`${field} is required`);
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  return {
+    term: term.trim(),
+    translation: translation.trim(),
+    from: getLanguage(from || "as").code,
+    to: getLanguage(to || "en").code,
+    category: category || null,
+    notes: notes || null,
+  };
+}
+
+/**
+ * Lists glossary entries, optionally filtered by language pair and a
+ * case-insensitive search over term and translation.
+ * @param {{ from?: string, to?: string, q?: string }} [filter]
+ */
+export function listEntries({ from, to, q } = {}) {
+  const needle = q?.toLowerCase();
+
+  return load().filter(
+    (entry) =>
+      (!from || entry.from === from) &&
+      (!to || entry.to === to) &&
+      (!needle ||
+        entry.term.toLowerCase().includes(needle) ||
+        entry.translation.toLowerCase().includes(needle))
+  );
+}
+
+export function getEntry(id) {
+  return load().find((entry) => entry.id === id) || null;
+}
+
+export async function createEntry(data) {
+  const now = new Date().toISOString();
+  const entry = {
+    id: uuidv4(),
+    ...validate(data),
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await persist((list) => [...list, entry]);
+  return entry;
+}
+
+export async function updateEntry(id, data) {
+  let updated = null;
+
+  await persist((list) => {
+    const entry = list.find((candidate) => candidate.id === id);
+    if (!entry) return null;
+
+    updated = {
+      ...entry,
+      ...validate({ ...entry, ...data }),
+      updatedAt: new Date().toISOString(),
+    };
+    return list.map((candidate) => (candidate.id === id ? updated : candidate));
+  });
+  return updated;
+}
+
+export async function deleteEntry(id) {
+  let deleted = false;
+
+  await persist((list) => {
+    const next = list.filter((entry) => entry.id !== id);
+    deleted = next.length < list.length;
+    return deleted ? next : null;
+  });
+  return deleted;
+}
+
+/**
+ * Vocabulary hints for speech recognition in `language`: source terms of
+ * entries spoken in it, and fixed translations that end up in it.
+ * @param {string} language Registry language code.
+ * @returns {string[]}
+ */
+export function vocabularyFor(language) {
+  const hints = new Set();
+
+  for (const entry of load()) {
+    if (entry.from === language) hints.add(entry.term);
+    if (entry.to === language) hints.add(entry.translation);
+  }
+
+  return [...hints];
+}
+
+// Terms match whole words, case-insensitively. \b only knows ASCII
+// letters, so word edges are spelled out: no letter or combining mark
+// (Assamese vowel signs, virama, ...) right before or after the term.
+function termPattern(term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(?<![\\p{L}\\p{M}])${escaped}(?![\\p{L}\\p{M}])`, "giu");
+}
+
+/**
+ * Shields glossary terms in `text` from the translator.
+ *
+ * Each matching term is replaced by a numbered placeholder that machine
+ * translation leaves alone; `restore` swaps the placeholders in the
+ * translated text for the fixed translations.
+ * @param {string} text Source text.
+ * @param {{ from: string, to: string }} pair Language pair.
+ * @returns {{ text: string, applied: Object[], restore: (translated: string) => string }}
+ */
+export function protectTerms(text, { from, to }) {
+  // Longest first, so "Majuli island" wins over "Majuli"
+  const candidates = listEntries({ from, to }).sort(
+    (a, b) => b.term.length - a.term.length
+  );
+  const applied = [];
+
+  for (const entry of candidates) {
+    const pattern = termPattern(entry.term);
+    if (!pattern.test(text)) continue;
+
+    const token = `⟦${applied.length}⟧`;
+    text = text.replace(pattern, token);
+    applied.push(entry);
+  }
+
+  const restore = (translated) =>
+    translated.replace(
+      /⟦\s*(\d+)\s*⟧/g,
+      (match, index) => applied[index]?.translation ?? match
+    );
+
+  return { text, applied, restore };
+}
@@ -0,0 +1,291 @@
+import Database from "better-sqlite3";
+import fs from "fs";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { config } from "./config.js";
+
+/*
+ * Translation history, kept in a local SQLite database
+ * (HISTORY_DB, ./data/history.db by default).
+ *
+ * Every pipeline run is stored with its original, cleaned and output audio
+ * plus both texts. An FTS5 index over the two texts backs search in either
+ * language. Set HISTORY_ENABLED=false to stop recording runs.
+ *
+ * Runs belong to the API key that made them (key_id) and each key only
+ * sees its own. Runs of the admin, or from while authentication was off,
+ * have no key; only the admin sees those, along with everyone else's.
+ */
+
+export const AUDIO_KINDS = ["original", "cleaned", "output"];
+
+const MAX_PAGE_SIZE = 100;
+
+let db;
+
+function getDb() {
+  if (db) return db;
+
+  const file = config().storage.historyDb;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS history (
+      id                  TEXT PRIMARY KEY,
+      created_at          TEXT NOT NULL,
+      source_language     TEXT NOT NULL,
+      target_language     TEXT NOT NULL,
+      detected_confidence REAL,
+      source_text         TEXT NOT NULL,
+      translated_text     TEXT NOT NULL,
+      providers           TEXT,
+      timings             TEXT,
+      original_audio      BLOB,
+      original_mime       TEXT,
+      cleaned_audio       BLOB,
+      output_audio        BLOB,
+      output_mime         TEXT,
+      key_id              TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS history_created_at ON history (created_at);
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS history_fts USING fts5(
+      source_text, translated_text,
+      content = 'history', content_rowid = 'rowid'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS history_ai AFTER INSERT ON history BEGIN
+      INSERT INTO history_fts (rowid, source_text, translated_text)
+      VALUES (new.rowid, new.source_text, new.translated_text);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS history_ad AFTER DELETE ON history BEGIN
+      INSERT INTO history_fts (history_fts, rowid, source_text, translated_text)
+      VALUES ('delete', old.rowid, old.source_text, old.translated_text);
+    END;
+  `);
+
+  // Databases from before runs had an owner
+  const columns = db.pragma("table_info(history)").map(({ name }) => name);
+  if (!columns.includes("key_id")) {
+    db.exec("ALTER TABLE history ADD COLUMN key_id TEXT");
+  }
+  db.exec(
+    "CREATE INDEX IF NOT EXISTS history_key_id ON history (key_id, created_at)"
+  );
+
+  return db;
+}
+
+export function isHistoryEnabled() {
+  return config().storage.historyEnabled;
+}
+
+// Columns safe to list: everything except the audio blobs
+const SUMMARY_COLUMNS = `
+  id, created_at, source_language, target_language, detected_confidence,
+  source_text, translated_text, providers, timings,
+  original_audio IS NOT NULL AS has_original,
+  cleaned_audio IS NOT NULL AS has_cleaned,
+  output_audio IS NOT NULL AS has_output
+`;
+
+function toEntry(row) {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    from: row.source_language,
+    to: row.target_language,
+    detectedConfidence: row.detected_confidence,
+    sourceText: row.source_text,
+    translatedText: row.translated_text,
+    providers: row.providers ? JSON.parse(row.providers) : null,
+    timings: row.timings ? JSON.parse(row.timings) : null,
+    audio: AUDIO_KINDS.filter((kind) => row[`has_${kind}`]),
+  };
+}
+
+/**
+ * Stores one pipeline run.
+ * @param {Object} run
+ * @param {Object} run.result The pipeline result (texts, languages, audio).
+ * @param {Object} [run.providers] Adapter names used per stage.
+ * @param {Buffer} [run.originalAudio] The uploaded recording.
+ * @param {string} [run.originalMime] Its MIME type.
+ * @param {Buffer} [run.cleanedAudio] The DSP output.
+ * @param {string} [run.keyId] The API key that made the run.
+ * @returns {?string} The new entry's ID, or null when history is disabled.
+ */
+export function saveRun({
+  result,
+  providers,
+  originalAudio,
+  originalMime,
+  cleanedAudio,
+  keyId,
+}) {
+  if (!isHistoryEnabled()) return null;
+
+  const id = uuidv4();
+
+  getDb()
+    .prepare(
+      `INSERT INTO history (
+        id, created_at, source_language, target_language, detected_confidence,
+        source_text, translated_text, providers, timings,
+        original_audio, original_mime, cleaned_audio, output_audio, output_mime,
+        key_id
+      ) VALUES (
+        @id, @createdAt, @from, @to, @detectedConfidence,
+        @sourceText, @translatedText, @providers, @timings,
+        @originalAudio, @originalMime, @cleanedAudio, @outputAudio, @outputMime,
+        @keyId
+      )`
+    )
+    .run({
+      id,
+      createdAt: new Date().toISOString(),
+      from: result.from,
+      to: result.to,
+      detectedConfidence: result.detectedLanguage?.confidence ?? null,
+      sourceText: result.sourceText,
+      translatedText: result.translatedText,
+      providers: providers ? JSON.stringify(providers) : null,
+      timings: JSON.stringify(result.timings),
+      originalAudio: originalAudio || null,
+      originalMime: originalMime || null,
+      cleanedAudio: cleanedAudio || null,
+      outputAudio: result.audio,
+      outputMime: result.mimeType,
+      keyId: keyId || null,
+    });
+
+  return id;
+}
+
+// Turns free text into an FTS5 query: every word must match, as a prefix
+// so inflected Assamese forms (মাজুলীলৈ) are found by their stem (মাজুলী).
+function toFtsQuery(q) {
+  return q
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => `"${word.replace(/"/g, '""')}"*`)
+    .join(" ");
+}
+
+// WHERE conditions limiting a query to one key's runs; none for the admin
+function ownedBy(keyId) {
+  return keyId
+    ? { conditions: ["key_id = @keyId"], params: { keyId } }
+    : { conditions: [], params: {} };
+}
+
+/**
+ * Lists history entries, newest first, with optional full-text search
+ * over both texts and a language filter.
+ * @param {{ q?: string, from?: string, to?: string, page?: number, pageSize?: number, keyId?: string }} [options]
+ *   `keyId` limits the list to that API key's runs; without it, every
+ *   run is listed (for the admin).
+ * @returns {{ items: Object[], page: number, pageSize: number, total: number }}
+ */
+export function listRuns({ q, from, to, page = 1, pageSize = 20, keyId } = {}) {
+  page = Math.max(1, Number(page) || 1);
+  pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(pageSize) || 20));
+
+  const { conditions, params } = ownedBy(keyId);
+
+  if (q?.trim()) {
+    conditions.push(
+      "rowid IN (SELECT rowid FROM history_fts WHERE history_fts MATCH @q)"
+    );
+    params.q = toFtsQuery(q);
+  }
+  if (from) {
+    conditions.push("source_language = @from");
+    params.from = from;
+  }
+  if (to) {
+    conditions.push("target_language = @to");
+    params.to = to;
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const { total } = getDb()
+    .prepare(`SELECT COUNT(*) AS total FROM history ${where}`)
+    .get(params);
+  const rows = getDb()
+    .prepare(
+      `SELECT ${SUMMARY_COLUMNS} FROM history ${where}
+       ORDER BY created_at DESC LIMIT @limit OFFSET @offset`
+    )
+    .all({ ...params, limit: pageSize, offset: (page - 1) * pageSize });
+
+  return { items: rows.map(toEntry), page, pageSize, total };
+}
+
+// The WHERE clause and parameters selecting one run, if `keyId` owns it
+function oneRun(id, keyId) {
+  const { conditions, params } = ownedBy(keyId);
+  return {
+    where: `WHERE ${["id = @id", ...conditions].join(" AND ")}`,
+    params: { ...params, id },
+  };
+}
+
+/**
+ * Fetches an entry without its audio.
+ * @param {string} id The entry ID.
+ * @param {string} [keyId] Only if this API key made the run.
+ * @returns {?Object}
+ */
+export function getRun(id, keyId) {
+  const { where, params } = oneRun(id, keyId);
+  const row = getDb()
+    .prepare(`SELECT ${SUMMARY_COLUMNS} FROM history ${where}`)
+    .get(params);
+  return row ? toEntry(row) : null;
+}
+
+/**
+ * Fetches one of the stored audio tracks of an entry.
+ * @param {string} id The entry ID.
+ * @param {"original"|"cleaned"|"output"} kind Which track.
+ * @param {string} [keyId] Only if this API key made the run.
+ * @returns {?{ audio: Buffer, mimeType: string }}
+ */
+export function getRunAudio(id, kind, keyId) {
+  if (!AUDIO_KINDS.includes(kind)) return null;
+
+  const { where, params } = oneRun(id, keyId);
+  const row = getDb()
+    .prepare(
+      `SELECT ${kind}_audio AS audio, original_mime, output_mime
+       FROM history ${where}`
+    )
+    .get(params);
+  if (!row?.audio) return null;
+
+  const mimeType = {
+    original: row.original_mime || "application/octet-stream",
+    cleaned: "audio/wav",
+    output: row.output_mime,
+  }[kind];
+
+  return { audio: row.audio, mimeType };
+}
+
+/**
+ * Deletes an entry.
+ * @param {string} id The entry ID.
+ * @param {string} [keyId] Only if this API key made the run.
+ * @returns {boolean} Whether there was such an entry.
+ */
+export function deleteRun(id, keyId) {
+  const { where, params } = oneRun(id, keyId);
+  return (
+    getDb().prepare(`DELETE FROM history ${where}`).run(params).changes > 0
+  );
+}
@@ -1,36 +1,338 @@
 import express from "express";
 import cors from "cors";
-import dotenv from "dotenv";
 import fs from "fs";
-import axios from "axios";
-import OpenAI from "openai";
-import { TranslationServiceClient } from "@google-cloud/translate";
-import { preprocessAudioDSP } from "./audioPreprocess.js";
-import { base64ToArrayBuffer, pcmToWav } from "./wavHelper.js";
-import { v4 as uuidv4 } from "uuid";
+import http from "http";
 import multer from "multer";
-
-dotenv.config();
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { getUsage, recordUsage, withAudioCharge } from "./apiKeys.js";
+import { encodeAudio, resolveOutputOptions } from "./audioFormats.js";
+import { analyzeAudio, preprocessAudioDSP } from "./audioPreprocess.js";
+import {
+  authenticate,
+  isAuthEnabled,
+  redactApiKey,
+  requireAdmin,
+} from "./auth.js";
+import { config, ConfigError } from "./config.js";
+import { listDspProfiles, resolveDspSettings } from "./dspProfiles.js";
+import { publicError } from "./errors.js";
+import { saveRun } from "./history.js";
+import {
+  checkQueueCapacity,
+  describeJob,
+  getJob,
+  submitJob,
+  subscribeToJob,
+} from "./jobQueue.js";
+import { listLanguages, resolveLanguagePair } from "./languages.js";
+import { limitPipelines, maxUploadBytes, uploadError } from "./limits.js";
+import { bindLogContext, logger, withLogContext } from "./logger.js";
+import { prepareMedia } from "./media.js";
+import { observeRequest, registry } from "./metrics.js";
+import {
+  runPipeline,
+  transcribeSpeech,
+  translateAndSynthesize,
+  translateSegments,
+} from "./pipeline.js";
+import {
+  isLocalMode,
+  listProviders,
+  resolveProviders,
+} from "./providers/index.js";
+import { getResult, saveResult } from "./resultStore.js";
+import { selfCheck } from "./selfCheck.js";
+import adminRoutes from "./routes/admin.js";
+import glossaryRoutes from "./routes/glossary.js";
+import historyRoutes from "./routes/history.js";
+import { attachStreamServer } from "./streamServer.js";
+import { renderSubtitles, resolveSubtitleOptions } from "./subtitles.js";
+import { startTempFileSweeper } from "./tempFiles.js";
+import { listVoiceOptions, resolveVoiceSettings } from "./voiceSettings.js";
+import { wavDuration } from "./wavHelper.js";
+
+// Refuse to start with invalid settings (config.js), listing every one
+try {
+  config();
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  logger.error("invalid configuration", { problems: error.problems });
+  process.exit(1);
+}
 
 const app = express();
-app.use(cors());
-app.use(express.json());
 
-const port = process.env.PORT || 5000;
+// Browser origins allowed to call the API (CORS_ORIGINS); any if unset
+const { corsOrigins } = config().server;
+
+app.use(
+  cors({
+    origin: corsOrigins.length ? corsOrigins : true,
+    exposedHeaders: [
+      "X-Request-Id",
+      "X-Cache",
+      "X-Providers",
+      "X-Local-Providers",
+      "X-History-Id",
+      "X-Detected-Language",
+      "X-Language-Confidence",
+      "Retry-After",
+    ],
+  })
+);
+
+// Every request gets an ID (the caller's X-Request-Id if it sent a sane
+// one), returned in the X-Request-Id header and bound to all its logs
+app.use((req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id = /^[\w.-]{1,128}$/.test(incoming || "") ? incoming : uuidv4();
+  res.setHeader("X-Request-Id", req.id);
+
+  const start = process.hrtime.bigint();
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const routePath = [req.route?.path].flat().join("|");
+    const route = req.route ? `${req.baseUrl}${routePath}` : "unmatched";
+
+    observeRequest({
+      method: req.method,
+      route,
+      status: res.statusCode,
+      seconds,
+    });
+    logger.info("request finished", {
+      requestId: req.id,
+      method: req.method,
+      path: redactApiKey(req.originalUrl),
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+    });
+  });
 
-const upload = multer({ storage: multer.memoryStorage() });
+  withLogContext({ requestId: req.id }, next);
+});
 
-// OpenAI Client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
+app.use(bindLogContext(express.json()));
+
+// Every /api route needs an API key (auth.js), except these read-only
+// lists, the health probes and the unguessable result URLs handed out by
+// ?audio=url
+app.use(
+  "/api",
+  authenticate({
+    publicPaths: [
+      "/health",
+      "/ready",
+      "/languages",
+      "/providers",
+      "/voices",
+      "/dsp/profiles",
+      "/results/",
+    ],
+  })
+);
+
+const { port } = config().server;
+
+// Oversized uploads are cut off while they stream in (limits.js)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxUploadBytes(), files: 1 },
 });
+const uploadFile = (field) =>
+  bindLogContext((req, res, next) =>
+    upload.single(field)(req, res, (error) => next(error && uploadError(error)))
+  );
+
+// Per-request provider overrides, e.g. ?stt=google-speech or a form field
+function providersFromRequest(req) {
+  const pick = (stage) => req.body?.[stage] || req.query[stage];
+
+  return resolveProviders({
+    langid: pick("langid"),
+    stt: pick("stt"),
+    translation: pick("translation"),
+    tts: pick("tts"),
+  });
+}
+
+// Language pair, e.g. ?from=bn&to=en or ?direction=en-as; the configured
+// default pair (as → en) if unset.
+// ?from=auto identifies the spoken language first.
+function languagesFromRequest(req) {
+  const pick = (field) => req.body?.[field] || req.query[field];
+
+  return resolveLanguagePair({
+    from: pick("from"),
+    to: pick("to"),
+    direction: pick("direction"),
+  });
+}
+
+// DSP profile, e.g. ?dsp=phone or dsp=auto, with optional parameter
+// overrides as JSON: dspParams={"denoise":20}. The configured default
+// profile if unset.
+function dspFromRequest(req) {
+  const pick = (field) => req.body?.[field] || req.query[field];
+
+  return resolveDspSettings(pick("dsp"), pick("dspParams"));
+}
+
+// Voice for translated speech, e.g. ?voice=Kore&rate=0.8&pitch=-2&style=calm.
+// The voice must be one the request's TTS adapter offers.
+function voiceFromRequest(req, providers) {
+  const pick = (field) => req.body?.[field] || req.query[field];
+
+  return resolveVoiceSettings(
+    {
+      voice: pick("voice"),
+      style: pick("style"),
+      rate: pick("rate"),
+      pitch: pick("pitch"),
+    },
+    providers.tts
+  );
+}
+
+// Output audio, e.g. ?format=mp3&bitrate=32&sampleRate=24000. WAV if unset.
+function outputFromRequest(req) {
+  const pick = (field) => req.body?.[field] || req.query[field];
+
+  return resolveOutputOptions({
+    format: pick("format"),
+    bitrate: pick("bitrate"),
+    sampleRate: pick("sampleRate"),
+  });
+}
+
+// JSON is chosen with ?response=json, or by an Accept header that asks
+// for JSON without also accepting audio (axios and browsers send */*).
+function wantsJson(req) {
+  if (req.query.response) return req.query.response === "json";
+
+  const accept = req.get("Accept") || "";
+  return (
+    accept.includes("application/json") &&
+    !accept.includes("*/*") &&
+    !accept.includes("audio/")
+  );
+}
+
+// Per-stage header values, e.g. X-Cache "stt=hit, translation=miss,
+// tts=partial" (which stages the cache served) or X-Providers
+// "stt=openai, translation=google, tts=gemini" (who answered) or
+// X-Local-Providers "stt=true, translation=true, tts=false" (who answered
+// offline)
+function setStageHeader(res, header, stages) {
+  if (stages && Object.keys(stages).length) {
+    res.setHeader(
+      header,
+      Object.entries(stages)
+        .map(([stage, value]) => `${stage}=${value}`)
+        .join(", ")
+    );
+  }
+}
 
-const translationClient = new TranslationServiceClient();
+/**
+ * Sends a pipeline result either as raw audio bytes (default) or as a JSON
+ * payload with the texts, stage timings and the audio. The audio is inlined
+ * as base64 unless ?audio=url asks for a short-lived fetchable URL.
+ * Speech is transcoded to the requested output format first.
+ */
+async function sendPipelineResult(
+  req,
+  res,
+  result,
+  { historyId = null, output = outputFromRequest(req) } = {}
+) {
+  const {
+    from,
+    to,
+    sourceText,
+    translatedText,
+    translationSkipped,
+    glossaryTerms,
+    segments,
+    detectedLanguage,
+    dspProfile,
+    media,
+    timings,
+    cache,
+    providers,
+    local,
+  } = result;
+  const { audio, mimeType, extension, format } = await encodeAudio(
+    result.audio,
+    output
+  );
+
+  setStageHeader(res, "X-Cache", cache);
+  setStageHeader(res, "X-Providers", providers);
+  setStageHeader(res, "X-Local-Providers", local);
+
+  if (!wantsJson(req)) {
+    if (historyId) res.setHeader("X-History-Id", historyId);
+    if (detectedLanguage) {
+      res.setHeader("X-Detected-Language", detectedLanguage.code);
+      res.setHeader("X-Language-Confidence", detectedLanguage.confidence);
+    }
+    res.setHeader("Content-Type", mimeType);
+    res.setHeader("Content-Length", audio.length);
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="translation.${extension}"`
+    );
+    return res.send(audio);
+  }
+
+  const audioPayload =
+    req.query.audio === "url"
+      ? {
+          format,
+          mimeType,
+          url: `/api/results/${saveResult(audio, mimeType, extension)}/audio`,
+        }
+      : { format, mimeType, base64: audio.toString("base64") };
+
+  res.json({
+    success: true,
+    historyId,
+    from,
+    to,
+    detectedLanguage: detectedLanguage || null,
+    dspProfile: dspProfile || null,
+    input: media || null,
+    sourceText,
+    translatedText,
+    translationSkipped,
+    glossaryTerms,
+    segments,
+    timings,
+    cache: cache || {},
+    providers: providers || {},
+    local: local || {},
+    audio: audioPayload,
+  });
+}
+
+// Answers with the error's code and a message safe to show (publicError);
+// the details stay in the logs under the same request ID
+function sendError(res, error) {
+  const { status, code, message, retryable } = publicError(error);
+  res.status(status).json({
+    success: false,
+    error: message,
+    code,
+    retryable,
+    requestId: res.getHeader("X-Request-Id"),
+  });
+}
 
 // DSP: Audio Preprocessing from Root Directory
-async function preprocessAudioFromRoot() {
+async function preprocessAudioFromRoot(outputPath = "./cleaned_audio.wav") {
   const inputPath = "./test_sample.wav";
-  const outputPath = "./cleaned_audio.wav";
 
   if (!fs.existsSync(inputPath)) {
     throw new Error("test_sample.wav not found in root directory");
@@ -43,193 +345,566 @@ async function preprocessAudioFromRoot() {
   return outputPath;
 }
 
-// OpenAI Whisper: Assamese Speech to Assamese Text
-async function speechToAssameseText(audioPath) {
-  const transcription = await openai.audio.transcriptions.create({
-    file: fs.createReadStream(audioPath),
-    model: "gpt-4o-mini-transcribe",
-    prompt: "The following audio is spoken in Assamese language.",
+/* ---------------------------------------------------------
+   ENDPOINT: PRODUCTION AUDIO PIPELINE
+   (/api/translate is kept for clients of the old Google
+   Speech server)
+   format=wav|mp3|ogg|m4a  bitrate (kbps)  sampleRate (Hz)
+   voice  style  rate (0.5-2)  pitch (semitones), see /api/voices
+--------------------------------------------------------- */
+app.post(
+  ["/api/translate-audio", "/api/translate"],
+  limitPipelines,
+  uploadFile("audio"),
+  async (req, res) => {
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ error: "Audio file not provided", code: "missing_file" });
+    }
+
+    try {
+      const providers = providersFromRequest(req);
+      const { from, to } = languagesFromRequest(req);
+      const dsp = dspFromRequest(req);
+      const voice = voiceFromRequest(req, providers);
+      const output = outputFromRequest(req);
+      const { audio, media } = await prepareMedia(req.file.buffer);
+      const result = await withAudioCharge(req.apiKey, wavDuration(audio), () =>
+        runPipeline(audio, { providers, from, to, dsp, voice })
+      );
+      recordUsage(req.apiKey, result.usage);
+
+      const historyId = saveRun({
+        result,
+        providers: result.providers,
+        originalAudio: req.file.buffer,
+        originalMime: req.file.mimetype,
+        cleanedAudio: result.cleanedAudio,
+        keyId: req.apiKey?.id,
+      });
+
+      /* RESPONSE */
+      await sendPipelineResult(
+        req,
+        res,
+        { ...result, media },
+        { historyId, output }
+      );
+    } catch (error) {
+      logger.error("pipeline failed", { error });
+      sendError(res, error);
+    }
+  }
+);
+
+/* ---------------------------------------------------------
+   ENDPOINT: SUBTITLE EXPORT
+   POST /api/subtitles  multipart "media": an audio or video file
+   format=srt|vtt  text=translated|source|bilingual
+   plus the usual from/to/direction and provider fields
+--------------------------------------------------------- */
+app.post(
+  "/api/subtitles",
+  limitPipelines,
+  uploadFile("media"),
+  async (req, res) => {
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ error: "Media file not provided", code: "missing_file" });
+    }
+
+    try {
+      const providers = providersFromRequest(req);
+      const { from, to } = languagesFromRequest(req);
+      const options = resolveSubtitleOptions({
+        format: req.body?.format || req.query.format,
+        text: req.body?.text || req.query.text,
+      });
+      const dsp = dspFromRequest(req);
+
+      const { audio } = await prepareMedia(req.file.buffer);
+
+      const timings = {};
+      const { transcript, translation } = await withAudioCharge(
+        req.apiKey,
+        wavDuration(audio),
+        async () => {
+          const transcript = await transcribeSpeech(audio, {
+            providers,
+            language: from,
+            timestamps: true,
+            dsp,
+            timings,
+          });
+          const translation = await translateSegments(transcript.sourceText, {
+            providers,
+            from: transcript.language,
+            to,
+            segments: transcript.segments,
+            timings,
+          });
+          return { transcript, translation };
+        }
+      );
+      recordUsage(req.apiKey, { ...transcript.usage, ...translation.usage });
+
+      const languageTag = {
+        translated: to,
+        source: transcript.language,
+        bilingual: `${transcript.language}-${to}`,
+      }[options.text];
+      const name =
+        path.parse(req.file.originalname).name.replace(/[^\w.-]+/g, "_") ||
+        "subtitles";
+
+      if (transcript.detectedLanguage) {
+        res.setHeader("X-Detected-Language", transcript.detectedLanguage.code);
+      }
+      setStageHeader(res, "X-Cache", {
+        ...transcript.cache,
+        ...translation.cache,
+      });
+      setStageHeader(res, "X-Providers", {
+        ...transcript.providers,
+        ...translation.providers,
+      });
+      setStageHeader(res, "X-Local-Providers", {
+        ...transcript.local,
+        ...translation.local,
+      });
+      res.setHeader("Content-Type", `${options.mimeType}; charset=utf-8`);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${name}.${languageTag}.${options.extension}"`
+      );
+      res.send(renderSubtitles(translation.segments, options));
+    } catch (error) {
+      logger.error("subtitle export failed", { error });
+      sendError(res, error);
+    }
+  }
+);
+
+/* ---------------------------------------------------------
+   ENDPOINTS: AUDIO PIPELINE JOBS
+   POST /api/jobs             same fields as /api/translate-audio,
+                              answers 202 with the job right away
+   GET  /api/jobs/:id         status and per-stage progress
+   GET  /api/jobs/:id/events  the same, pushed as Server-Sent Events
+   GET  /api/jobs/:id/result  same response as /api/translate-audio
+--------------------------------------------------------- */
+app.post("/api/jobs", limitPipelines, uploadFile("audio"), async (req, res) => {
+  if (!req.file) {
+    return res
+      .status(400)
+      .json({ error: "Audio file not provided", code: "missing_file" });
+  }
 
-    // language: "as",
-  });
+  try {
+    const providers = providersFromRequest(req);
+    const languages = languagesFromRequest(req);
+    const dsp = dspFromRequest(req);
+    const voice = voiceFromRequest(req, providers);
+    checkQueueCapacity();
+    const { audio, media } = await prepareMedia(req.file.buffer);
+
+    // Charges the audio to the key, once the job is queued
+    const job = submitJob({
+      audio,
+      media,
+      originalAudio: req.file.buffer,
+      mimeType: req.file.mimetype,
+      providers,
+      dsp,
+      voice,
+      apiKey: req.apiKey,
+      onFinished: req.releasePipeline,
+      ...languages,
+    });
+    // The job holds the client's pipeline slot until it finishes
+    req.releasePipeline = null;
 
-  if (!transcription.text) {
-    throw new Error("Whisper failed to transcribe audio");
+    res
+      .status(202)
+      .location(`/api/jobs/${job.id}`)
+      .json({ success: true, job: describeJob(job) });
+  } catch (error) {
+    sendError(res, error);
   }
+});
 
-  return transcription.text;
+// Looks up the job for /api/jobs/:id/* routes, 404 if unknown, expired
+// or submitted with another API key
+function findJob(req, res, next) {
+  req.job = getJob(req.params.id);
+  if (!req.job || (req.apiKey && req.job.keyId !== req.apiKey.id)) {
+    return res.status(404).json({ success: false, error: "Job not found" });
+  }
+  next();
 }
 
-// Google Translate: Assamese Text to English Text
-async function translateAssameseToEnglish(assameseText) {
-  const projectId = process.env.GOOGLE_CLOUD_PROJECT_ID;
-  const location = "global";
-
-  const [response] = await translationClient.translateText({
-    parent: `projects/${projectId}/locations/${location}`,
-    contents: [assameseText],
-    mimeType: "text/plain",
-    sourceLanguageCode: "as",
-    targetLanguageCode: "en",
-  });
+app.get("/api/jobs/:id", findJob, (req, res) => {
+  res.json({ success: true, job: describeJob(req.job) });
+});
 
-  return response.translations[0].translatedText;
-}
+app.get("/api/jobs/:id/events", findJob, (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
 
-// Gemini TTS: English Text to English Speech
-// async function englishTextToSpeech(englishText) {
-//   const ttsUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-tts:generateContent?key=${process.env.GEMINI_API_KEY}`;
-
-//   const payload = {
-//     contents: [{ parts: [{ text: englishText }] }],
-//     generationConfig: {
-//       responseModalities: ["AUDIO"],
-//       speechConfig: {
-//         voiceConfig: {
-//           prebuiltVoiceConfig: { voiceName: "Puck" },
-//         },
-//       },
-//     },
-//   };
-
-//   const response = await axios.post(ttsUrl, payload, {
-//     headers: { "Content-Type": "application/json" },
-//   });
-
-//   const audioBase64 =
-//     response.data?.candidates?.[0]?.content?.parts?.[0]?.inlineData?.data;
-
-//   if (!audioBase64) {
-//     throw new Error("Gemini TTS did not return audio");
-//   }
-
-//   const pcmData = base64ToArrayBuffer(audioBase64);
-//   const pcm16 = new Int16Array(pcmData);
-//   const wavBlob = pcmToWav(pcm16, 24000);
-//   const wavBuffer = Buffer.from(await wavBlob.arrayBuffer());
-
-//   fs.writeFileSync("./final_english_audio.wav", wavBuffer);
-// }
-
-async function englishTextToSpeech(englishText) {
-  const ttsUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-tts:generateContent?key=${process.env.GEMINI_API_KEY}`;
-
-  const payload = {
-    contents: [{ parts: [{ text: englishText }] }],
-    generationConfig: {
-      responseModalities: ["AUDIO"],
-      speechConfig: {
-        voiceConfig: {
-          prebuiltVoiceConfig: { voiceName: "Puck" },
-        },
-      },
-    },
+  const send = (job) => {
+    res.write(`data: ${JSON.stringify(job)}\n\n`);
+    if (job.status === "completed" || job.status === "failed") res.end();
   };
 
-  const response = await axios.post(ttsUrl, payload, {
-    headers: { "Content-Type": "application/json" },
-  });
+  const unsubscribe = subscribeToJob(req.job.id, send);
+  req.on("close", unsubscribe);
+  send(describeJob(req.job));
+});
 
-  const audioBase64 =
-    response.data?.candidates?.[0]?.content?.parts?.[0]?.inlineData?.data;
+app.get("/api/jobs/:id/result", findJob, async (req, res) => {
+  const { job } = req;
 
-  if (!audioBase64) {
-    throw new Error("Gemini TTS did not return audio");
+  if (job.status === "failed") return sendError(res, job.error);
+  if (job.status !== "completed") {
+    return res.status(409).json({
+      success: false,
+      error: `Job is still ${job.status}`,
+      job: describeJob(job),
+    });
   }
 
-  const pcmData = base64ToArrayBuffer(audioBase64);
-  const pcm16 = new Int16Array(pcmData);
-  const wavBlob = pcmToWav(pcm16, 24000);
-  const wavBuffer = Buffer.from(await wavBlob.arrayBuffer());
-
-  // ✅ RETURN audio instead of writing to disk
-  return wavBuffer;
-}
-
-app.post("/api/translate-audio", upload.single("audio"), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: "Audio file not provided" });
+  try {
+    await sendPipelineResult(req, res, job.result, {
+      historyId: job.historyId,
+    });
+  } catch (error) {
+    sendError(res, error);
   }
+});
 
-  const tempId = uuidv4();
-  const rawPath = `./temp/raw_${tempId}.wav`;
-  const cleanedPath = `./temp/cleaned_${tempId}.wav`;
+/* ---------------------------------------------------------
+   ENDPOINT: TEXT → TRANSLATED SPEECH
+--------------------------------------------------------- */
+app.post("/api/text-translate", limitPipelines, async (req, res) => {
+  const text = req.body.text;
+  if (!text) {
+    return res
+      .status(400)
+      .json({ error: "No text provided.", code: "invalid_request" });
+  }
 
   try {
-    console.log("▶ Received audio from frontend");
+    const providers = providersFromRequest(req);
+    const { from, to } = languagesFromRequest(req);
+    const voice = voiceFromRequest(req, providers);
+    const output = outputFromRequest(req);
+    const result = await translateAndSynthesize(text, {
+      providers,
+      from,
+      to,
+      voice,
+    });
+    recordUsage(req.apiKey, result.usage);
+    const historyId = saveRun({
+      result,
+      providers: result.providers,
+      keyId: req.apiKey?.id,
+    });
 
-    /* STEP 1: SAVE RAW AUDIO */
-    fs.writeFileSync(rawPath, req.file.buffer);
+    await sendPipelineResult(req, res, result, { historyId, output });
+  } catch (error) {
+    logger.error("text translation failed", { error });
+    sendError(res, error);
+  }
+});
 
-    /* STEP 2: DSP PREPROCESSING */
-    console.log("▶ DSP preprocessing...");
-    const cleanedBuffer = await preprocessAudioDSP(req.file.buffer);
-    fs.writeFileSync(cleanedPath, cleanedBuffer);
+/* ---------------------------------------------------------
+   ENDPOINT: FETCH AUDIO FROM A JSON RESULT (?audio=url)
+--------------------------------------------------------- */
+app.get("/api/results/:id/audio", (req, res) => {
+  const result = getResult(req.params.id);
+  if (!result)
+    return res.status(404).json({ error: "Result not found or expired." });
+
+  res.setHeader("Content-Type", result.mimeType);
+  res.setHeader("Content-Length", result.audio.length);
+  if (result.extension) {
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="translation.${result.extension}"`
+    );
+  }
+  res.send(result.audio);
+});
 
-    /* STEP 3: WHISPER STT */
-    console.log("▶ Whisper STT...");
-    const assameseText = await speechToAssameseText(cleanedPath);
+/* ---------------------------------------------------------
+   ENDPOINTS: HEALTH AND READINESS (for load balancers and
+   orchestrators; no API key needed)
+   GET /api/health  the process is up
+   GET /api/ready   200 when ffmpeg runs and every stage has a
+                    provider with credentials, else 503 with the
+                    problems (selfCheck.js)
+--------------------------------------------------------- */
+app.get("/api/health", (req, res) => {
+  res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+});
 
-    /* STEP 4: TRANSLATION */
-    console.log("▶ Translating...");
-    const englishText = await translateAssameseToEnglish(assameseText);
+app.get("/api/ready", async (req, res) => {
+  try {
+    const report = await selfCheck();
+    res.status(report.ready ? 200 : 503).json(report);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-    /* STEP 5: GEMINI TTS */
-    console.log("▶ Gemini TTS...");
-    const finalAudioBuffer = await englishTextToSpeech(englishText);
+/* ---------------------------------------------------------
+   ENDPOINT: SUPPORTED LANGUAGES
+--------------------------------------------------------- */
+app.get("/api/languages", (req, res) => {
+  res.json(listLanguages());
+});
 
-    /* CLEANUP */
-    fs.unlinkSync(rawPath);
-    fs.unlinkSync(cleanedPath);
+/* ---------------------------------------------------------
+   ENDPOINT: USAGE OF THE CALLER'S API KEY
+   GET /api/usage  ?from=2024-05-01&to=2024-05-31  per day,
+   plus the key's rate limit and daily audio minutes
+--------------------------------------------------------- */
+app.get("/api/usage", (req, res) => {
+  if (!req.apiKey) {
+    return res.status(400).json({
+      error: "Usage is only recorded for API keys",
+      code: "invalid_request",
+    });
+  }
 
-    /* RESPONSE */
-    res.setHeader("Content-Type", "audio/wav");
-    res.setHeader("Content-Length", finalAudioBuffer.length);
-    res.send(finalAudioBuffer);
+  try {
+    const { id, name, rateLimit, dailyAudioMinutes } = req.apiKey;
+    res.json({
+      key: { id, name, rateLimit, dailyAudioMinutes },
+      ...getUsage(id, { from: req.query.from, to: req.query.to }),
+    });
   } catch (error) {
-    console.error("Pipeline error:", error);
+    sendError(res, error);
+  }
+});
 
-    if (fs.existsSync(rawPath)) fs.unlinkSync(rawPath);
-    if (fs.existsSync(cleanedPath)) fs.unlinkSync(cleanedPath);
+/* ---------------------------------------------------------
+   ROUTES: API KEY ADMINISTRATION (admin token only)
+--------------------------------------------------------- */
+app.use("/api/admin", requireAdmin, adminRoutes);
+
+/* ---------------------------------------------------------
+   ROUTES: GLOSSARY
+--------------------------------------------------------- */
+app.use("/api/glossary", glossaryRoutes);
+
+/* ---------------------------------------------------------
+   ROUTES: TRANSLATION HISTORY
+--------------------------------------------------------- */
+app.use("/api/history", historyRoutes);
+
+/* ---------------------------------------------------------
+   ENDPOINTS: DSP PROFILES AND INPUT ANALYSIS
+   GET  /api/dsp/profiles  profiles and their parameters
+   POST /api/dsp/analyze   multipart "audio": loudness, noise floor,
+                           clipping, duration, speech ratio and the
+                           profile that dsp=auto would pick
+--------------------------------------------------------- */
+app.get("/api/dsp/profiles", (req, res) => {
+  res.json(listDspProfiles());
+});
 
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+app.post(
+  "/api/dsp/analyze",
+  limitPipelines,
+  uploadFile("audio"),
+  async (req, res) => {
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ error: "Audio file not provided", code: "missing_file" });
+    }
+
+    try {
+      const { audio, media } = await prepareMedia(req.file.buffer);
+      res.json({ success: true, input: media, ...(await analyzeAudio(audio)) });
+    } catch (error) {
+      logger.error("dsp analysis failed", { error });
+      sendError(res, error);
+    }
+  }
+);
+
+/* ---------------------------------------------------------
+   ENDPOINT: TTS VOICES
+   GET /api/voices?tts=gemini  voices, styles and the rate and
+   pitch ranges the adapter (default TTS if unset) accepts
+--------------------------------------------------------- */
+app.get("/api/voices", (req, res) => {
+  try {
+    const { tts } = resolveProviders({ tts: req.query.tts });
+    res.json(listVoiceOptions(tts));
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
-// Full Pipeline Test Endpoint
-app.get("/api/test-full-pipeline", async (req, res) => {
-  try {
-    console.log("▶ DSP preprocessing...");
-    const cleanedAudioPath = await preprocessAudioFromRoot();
+/* ---------------------------------------------------------
+   ENDPOINT: PROMETHEUS METRICS (see metrics.js)
+--------------------------------------------------------- */
+app.get("/metrics", async (req, res) => {
+  res.setHeader("Content-Type", registry.contentType);
+  res.send(await registry.metrics());
+});
+
+/* ---------------------------------------------------------
+   ENDPOINT: AVAILABLE PROVIDERS
+--------------------------------------------------------- */
+app.get("/api/providers", (req, res) => {
+  res.json(listProviders());
+});
 
-    console.log("▶ Whisper STT...");
-    const assameseText = await speechToAssameseText(cleanedAudioPath);
+/* ---------------------------------------------------------
+   ENDPOINT: TEST TEXT PIPELINE (admin token only)
+--------------------------------------------------------- */
+app.get("/api/test-text", requireAdmin, async (req, res) => {
+  const testText =
+    "মই এজন ছাত্ৰ | মোৰ নাম নগেন | মই জীৱ জন্তু ভাল পাওঁ | উদ্য়োগীসকল হ'ল এনে ব্য়ক্তি যিয়ে নিজে ব্য়ৱসায় বা উদ্য়োগ আৰম্ভ কৰি কোনো বস্তু বা সেৱা বিক্ৰী কৰি নিজৰ জীৱিকা উলিওৱাৰ লগতে আনকো কৰ্ম সংস্থান দিবলৈ সক্ষম হয়।";
 
-    console.log("▶ Translation...");
-    const englishText = await translateAssameseToEnglish(assameseText);
+  try {
+    const providers = providersFromRequest(req);
+    const { translatedText: englishText, audio } = await translateAndSynthesize(
+      testText,
+      { providers }
+    );
 
-    console.log("▶ Gemini TTS...");
-    await englishTextToSpeech(englishText);
+    fs.writeFileSync("./text_translation_output.txt", englishText);
+    fs.writeFileSync("./text_translated_output.wav", audio);
 
     res.json({
       success: true,
-      assameseText,
+      message: "Test text pipeline ran successfully.",
       englishText,
-      outputAudio: "final_english_audio.wav",
     });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
+    logger.error("test-text failed", { error });
+    sendError(res, error);
+  }
+});
+
+/* ---------------------------------------------------------
+   ENDPOINT: TEST AUDIO FILE PIPELINE (admin token only)
+--------------------------------------------------------- */
+app.get(
+  ["/api/test", "/api/test-full-pipeline"],
+  requireAdmin,
+  async (req, res) => {
+    const testFile = "./test_sample.wav";
+
+    if (!fs.existsSync(testFile))
+      return res.status(404).json({ error: "test_sample.wav not found." });
+
+    try {
+      const providers = providersFromRequest(req);
+      const {
+        sourceText: assameseText,
+        translatedText: englishText,
+        audio,
+        timings,
+      } = await runPipeline(fs.readFileSync(testFile), { providers });
+
+      fs.writeFileSync("./stt_output.txt", assameseText);
+      fs.writeFileSync("./translation_output.txt", englishText);
+      fs.writeFileSync("./final_english_audio.wav", audio);
+
+      res.json({
+        success: true,
+        assameseText,
+        englishText,
+        timings,
+        outputAudio: "final_english_audio.wav",
+      });
+    } catch (error) {
+      logger.error("test pipeline failed", { error });
+      sendError(res, error);
+    }
+  }
+);
+
+/* ---------------------------------------------------------
+   ENDPOINT: TEST DSP AUDIO CLEANUP ONLY (admin token only)
+--------------------------------------------------------- */
+app.get("/api/test-dsp", requireAdmin, async (req, res) => {
+  try {
+    const outputFile = await preprocessAudioFromRoot(
+      "./cleaned_test_sample.wav"
+    );
+    res.json({
+      success: true,
+      message: "DSP audio preprocessing test completed.",
+      outputFile,
     });
+  } catch (error) {
+    logger.error("dsp test failed", { error });
+    sendError(res, error);
   }
 });
 
-app.listen(port, () => {
-  console.log(`Server running on http://localhost:${port}`);
-  console.log("Test full pipeline → /api/test-full-pipeline");
+// Errors passed on by routers (and malformed JSON bodies)
+app.use((error, req, res, next) => {
+  logger.error("request failed", { error });
+  sendError(res, error);
+});
+
+const server = http.createServer(app);
+attachStreamServer(server);
+startTempFileSweeper();
+
+server.listen(port, () => {
+  const { stt, translation, tts } = listProviders();
+
+  logger.info("server started", {
+    url: `http://localhost:${port}`,
+    stream: `ws://localhost:${port}/api/stream`,
+    metrics: `http://localhost:${port}/metrics`,
+    localMode: isLocalMode(),
+    providers: {
+      stt: stt.default,
+      translation: translation.default,
+      tts: tts.default,
+    },
+  });
+
+  if (!isAuthEnabled()) {
+    logger.warn("authentication is off (AUTH_ENABLED=false)");
+  } else if (!config().auth.adminToken) {
+    logger.warn("ADMIN_TOKEN is not set; API keys cannot be issued");
+  }
+
+  // Start anyway: a missing provider only fails the requests that need
+  // it, and /api/ready keeps traffic away until the problems are fixed
+  selfCheck({ fresh: true })
+    .then(({ ready, problems }) => {
+      if (ready) logger.info("self-check passed");
+      else logger.warn("self-check failed", { problems });
+    })
+    .catch((error) => logger.error("self-check failed", { error }));
 });
+
+// Leave through process.exit on Ctrl+C or a stop signal, so that exit
+// handlers run (see tempFiles.js)
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => {
+    logger.info("server stopping", { signal });
+    process.exit(0);
+  });
+}
+
+// For the HTTP tests (test/helpers/server.js)
+export { app, server };
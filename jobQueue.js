@@ -0,0 +1,288 @@
+import { EventEmitter } from "events";
+import { v4 as uuidv4 } from "uuid";
+import { chargeAudio, recordUsage, refundAudio } from "./apiKeys.js";
+import { config } from "./config.js";
+import { AppError, publicError, stageError } from "./errors.js";
+import { saveRun } from "./history.js";
+import { logContext, logger, withLogContext } from "./logger.js";
+import { runPipeline } from "./pipeline.js";
+import { wavDuration } from "./wavHelper.js";
+
+/*
+ * In-process job queue for the audio pipeline.
+ *
+ * Submitting audio returns a job straight away; a limited number of
+ * workers (JOB_CONCURRENCY, 2 by default) run queued jobs in order; at
+ * most JOB_QUEUE_MAX (20 by default) wait at a time.
+ * Each stage reports its progress, and a stage that fails with a server
+ * or provider error is retried (JOB_STAGE_RETRIES times, with a growing
+ * pause) without redoing the stages before it.
+ *
+ * Jobs live in memory and are dropped JOB_TTL_MS after they finish.
+ */
+
+const JOB_TTL_MS = 60 * 60 * 1000;
+const RETRY_DELAY_MS = 1000;
+
+const jobs = new Map();
+const queue = [];
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+let running = 0;
+
+function concurrency() {
+  return config().jobs.concurrency;
+}
+
+function maxQueued() {
+  return config().jobs.queueMax;
+}
+
+function stageRetries() {
+  return config().jobs.stageRetries;
+}
+
+// Client errors (bad language, unsupported audio, ...) fail the same way
+// every time, so only server and provider errors are worth retrying.
+function isRetryable(error) {
+  return !error.status || error.status >= 500;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Public view of a job, as returned by the API and sent to subscribers.
+ */
+export function describeJob(job) {
+  const error = job.error ? publicError(job.error) : null;
+  const stages = Object.values(job.stages);
+  const finished = stages.filter(
+    (stage) => stage.status === "completed" || stage.status === "skipped"
+  ).length;
+
+  return {
+    id: job.id,
+    status: job.status,
+    from: job.from,
+    to: job.to,
+    stages: job.stages,
+    progress: Math.round((finished / stages.length) * 100),
+    queuePosition: job.status === "queued" ? queue.indexOf(job) + 1 : null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    historyId: job.historyId,
+    error: error?.message ?? null,
+    errorCode: error?.code ?? null,
+    retryable: error?.retryable ?? null,
+  };
+}
+
+function notify(job) {
+  events.emit(job.id, describeJob(job));
+}
+
+/**
+ * Queues one recording for the full pipeline.
+ * @param {Object} request
+ * @param {Buffer} request.audio The recording's audio track (prepareMedia).
+ * @param {Object} [request.media] Probe results of the upload.
+ * @param {Buffer} [request.originalAudio] The upload as received, kept for
+ *   history.
+ * @param {string} [request.mimeType] Its MIME type.
+ * @param {Object} request.providers Resolved adapters per stage.
+ * @param {string} request.from Source language code, or "auto".
+ * @param {string} request.to Target language code.
+ * @param {Object} [request.dsp] Resolved DSP profile.
+ * @param {Object} [request.voice] Resolved voice settings.
+ * @param {Object} [request.apiKey] The submitting API key. The audio
+ *   counts against its quota once the job is accepted (and no longer
+ *   should the job fail), the providers' usage once the job completes.
+ * @param {() => void} [request.onFinished] Called once the job has
+ *   completed or failed.
+ * @returns {Object} The new job (see describeJob).
+ * @throws {AppError} queue_full (429) when JOB_QUEUE_MAX jobs are waiting,
+ *   daily_quota_exceeded (429) when the audio is over the key's quota.
+ */
+export function submitJob({
+  audio,
+  media,
+  originalAudio,
+  mimeType,
+  providers,
+  from,
+  to,
+  dsp,
+  voice,
+  apiKey,
+  onFinished = () => {},
+}) {
+  checkQueueCapacity();
+  // Only a job that gets queued is charged
+  chargeAudio(apiKey, wavDuration(audio));
+
+  const stageNames = [
+    "dsp",
+    ...(from === "auto" ? ["langid"] : []),
+    "stt",
+    "translation",
+    "tts",
+  ];
+
+  const id = uuidv4();
+  const job = {
+    id,
+    status: "queued",
+    from,
+    to,
+    stages: Object.fromEntries(
+      stageNames.map((name) => [name, { status: "pending", attempts: 0 }])
+    ),
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    historyId: null,
+    result: null,
+    error: null,
+    media: media || null,
+    // Only this key (and the admin) may see the job
+    keyId: apiKey?.id || null,
+    // Logs of the job carry the ID of the request that submitted it
+    logContext: { ...logContext(), jobId: id },
+    input: { audio, originalAudio, mimeType, providers, dsp, voice, apiKey },
+    onFinished,
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job);
+  drain();
+
+  return job;
+}
+
+/**
+ * Throws queue_full (429) when no more jobs may be queued, so callers can
+ * turn a request away before preparing its audio.
+ */
+export function checkQueueCapacity() {
+  if (queue.length >= maxQueued()) {
+    logger.warn("job queue full", { queued: queue.length });
+    throw new AppError("The server is busy; try again in a minute", {
+      code: "queue_full",
+    });
+  }
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * Calls `listener` with the job's public view on every change.
+ * @returns {() => void} Unsubscribes.
+ */
+export function subscribeToJob(id, listener) {
+  events.on(id, listener);
+  return () => events.off(id, listener);
+}
+
+function drain() {
+  while (running < concurrency() && queue.length) {
+    const job = queue.shift();
+    running++;
+
+    withLogContext(job.logContext, () => runJob(job)).finally(() => {
+      running--;
+      drain();
+    });
+
+    // Everyone still waiting moved up one place
+    queue.forEach(notify);
+  }
+}
+
+async function runJob(job) {
+  const { audio, originalAudio, mimeType, providers, dsp, voice, apiKey } =
+    job.input;
+
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  notify(job);
+
+  try {
+    const result = await runPipeline(audio, {
+      providers,
+      from: job.from,
+      to: job.to,
+      dsp,
+      voice,
+      runStage: (name, fn) => runStageWithRetry(job, name, fn),
+    });
+    recordUsage(apiKey, result.usage);
+
+    // Stages the pipeline never reached (e.g. translation into the
+    // language that was spoken) count as skipped
+    for (const stage of Object.values(job.stages)) {
+      if (stage.status === "pending") stage.status = "skipped";
+    }
+
+    job.historyId = saveRun({
+      result,
+      providers: result.providers,
+      originalAudio: originalAudio || audio,
+      originalMime: mimeType,
+      cleanedAudio: result.cleanedAudio,
+      keyId: job.keyId,
+    });
+    job.result = { ...result, media: job.media };
+    job.from = result.from;
+    job.status = "completed";
+  } catch (error) {
+    logger.error("job failed", { error });
+    refundAudio(apiKey, wavDuration(audio));
+    job.error = error;
+    job.status = "failed";
+  } finally {
+    job.input = null;
+    job.finishedAt = new Date().toISOString();
+    notify(job);
+    job.onFinished();
+
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+  }
+}
+
+async function runStageWithRetry(job, name, fn) {
+  const stage = job.stages[name];
+  const retries = stageRetries();
+
+  for (;;) {
+    stage.status = "running";
+    stage.attempts++;
+    notify(job);
+
+    try {
+      const output = await fn();
+      stage.status = "completed";
+      delete stage.error;
+      notify(job);
+      return output;
+    } catch (error) {
+      stage.error = stageError(name, error).message;
+
+      if (stage.attempts > retries || !isRetryable(error)) {
+        stage.status = "failed";
+        throw error;
+      }
+
+      logger.warn("job stage retrying", {
+        stage: name,
+        attempt: stage.attempts,
+      });
+      stage.status = "retrying";
+      notify(job);
+      await sleep(RETRY_DELAY_MS * 2 ** (stage.attempts - 1));
+    }
+  }
+}
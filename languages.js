@@ -0,0 +1,197 @@
+import { config } from "./config.js";
+import { AppError } from "./errors.js";
+
+/*
+ * Language registry.
+ *
+ * One entry per language the pipeline can listen to or speak. Providers
+ * read their per-language settings from here instead of hard-coding them:
+ * - sttLocale   : BCP-47 locale for Google Speech (null if unsupported)
+ * - sttHint     : prompt telling Whisper-style models what it is hearing
+ * - phrases     : common words used as recognition hints
+ * - translateCode : code the translation service knows the language by
+ * - tts         : default voice and an optional read-aloud prompt
+ * - sample      : short sentence the offline stub providers return
+ */
+
+export const LANGUAGES = {
+  as: {
+    name: "Assamese",
+    nativeName: "অসমীয়া",
+    sttLocale: "as-IN",
+    sttHint: "The following audio is spoken in Assamese language.",
+    phrases: [
+      "মই",
+      "এজন",
+      "ছাত্ৰ",
+      "ভাল",
+      "আছোঁ",
+      "তুমি",
+      "কেনে",
+      "আছা",
+      "কি",
+      "খবৰ",
+      "ধন্যবাদ",
+      "আপোনাৰ",
+      "নাম",
+      "ঘৰ",
+      "ক'ত",
+      "নমস্কাৰ",
+    ],
+    translateCode: "as",
+    tts: {
+      voice: "Puck",
+      prompt: "Read the following Assamese text aloud in Assamese:",
+    },
+    sample: "নমস্কাৰ, মই এজন ছাত্ৰ।",
+  },
+  en: {
+    name: "English",
+    nativeName: "English",
+    sttLocale: "en-IN",
+    sttHint: "The following audio is spoken in English.",
+    phrases: [],
+    translateCode: "en",
+    tts: { voice: "Puck" },
+    sample: "Hello, I am a student.",
+  },
+  bn: {
+    name: "Bengali",
+    nativeName: "বাংলা",
+    sttLocale: "bn-IN",
+    sttHint: "The following audio is spoken in Bengali language.",
+    phrases: ["আমি", "তুমি", "আপনি", "কেমন", "আছেন", "ধন্যবাদ", "নমস্কার"],
+    translateCode: "bn",
+    tts: {
+      voice: "Kore",
+      prompt: "Read the following Bengali text aloud in Bengali:",
+    },
+    sample: "নমস্কার, আমি একজন ছাত্র।",
+  },
+  hi: {
+    name: "Hindi",
+    nativeName: "हिन्दी",
+    sttLocale: "hi-IN",
+    sttHint: "The following audio is spoken in Hindi language.",
+    phrases: ["मैं", "आप", "कैसे", "हैं", "धन्यवाद", "नमस्ते"],
+    translateCode: "hi",
+    tts: { voice: "Kore" },
+    sample: "नमस्ते, मैं एक छात्र हूँ।",
+  },
+  brx: {
+    name: "Bodo",
+    nativeName: "बड़ो",
+    sttLocale: null,
+    sttHint:
+      "The following audio is spoken in Bodo (Boro) language, written in Devanagari script.",
+    phrases: ["खुलुमबाय"],
+    translateCode: "brx",
+    tts: {
+      voice: "Puck",
+      prompt: "Read the following Bodo text aloud in Bodo:",
+    },
+    sample: "खुलुमबाय।",
+  },
+  ne: {
+    name: "Nepali",
+    nativeName: "नेपाली",
+    sttLocale: "ne-NP",
+    sttHint: "The following audio is spoken in Nepali language.",
+    phrases: ["म", "तपाईं", "धन्यवाद", "नमस्ते"],
+    translateCode: "ne",
+    tts: {
+      voice: "Puck",
+      prompt: "Read the following Nepali text aloud in Nepali:",
+    },
+    sample: "नमस्ते, म एक विद्यार्थी हुँ।",
+  },
+  mni: {
+    name: "Manipuri (Meitei)",
+    nativeName: "ꯃꯤꯇꯩꯂꯣꯟ",
+    sttLocale: null,
+    sttHint:
+      "The following audio is spoken in Manipuri (Meitei) language, written in Meitei Mayek script.",
+    phrases: ["ꯈꯨꯔꯨꯝꯖꯔꯤ"],
+    translateCode: "mni-Mtei",
+    tts: {
+      voice: "Puck",
+      prompt: "Read the following Manipuri text aloud in Manipuri:",
+    },
+    sample: "ꯈꯨꯔꯨꯝꯖꯔꯤ।",
+  },
+};
+
+/**
+ * Looks up a registered language.
+ * @param {string} code Registry code, e.g. "as".
+ * @returns {Object} The language entry, including its `code`.
+ */
+export function getLanguage(code) {
+  // Own keys only: "constructor" and friends are not languages
+  if (typeof code !== "string" || !Object.hasOwn(LANGUAGES, code)) {
+    throw new AppError(`Unsupported language: ${code}`, {
+      code: "unsupported_language",
+    });
+  }
+
+  return { code, ...LANGUAGES[code] };
+}
+
+/**
+ * Resolves the source and target language of a request.
+ *
+ * Accepts either explicit `from` / `to` codes or a "<from>-<to>"
+ * `direction` shorthand; defaults to DEFAULT_FROM → DEFAULT_TO (Assamese
+ * → English unless configured). `from` may be
+ * "auto" to have the pipeline identify the spoken language.
+ * @param {{ from?: string, to?: string, direction?: string }} params
+ * @returns {{ from: string, to: string }}
+ */
+export function resolveLanguagePair({ from, to, direction } = {}) {
+  if (direction && !from && !to) {
+    // Repeated query parameters arrive as arrays
+    if (typeof direction !== "string") {
+      throw new AppError('direction must be one "<from>-<to>" pair', {
+        code: "invalid_request",
+      });
+    }
+    [from, to] = direction.split("-");
+  }
+  from ||= config().languages.defaultFrom;
+  to ||= config().languages.defaultTo;
+
+  const pair = {
+    from: from === "auto" ? "auto" : getLanguage(from).code,
+    to: getLanguage(to).code,
+  };
+
+  if (pair.from === pair.to) {
+    const error = new Error("Source and target language must differ");
+    error.status = 400;
+    throw error;
+  }
+
+  return pair;
+}
+
+/**
+ * The TTS voice for a language when the request names none: the
+ * configured one (TTS_VOICES) or the registry's.
+ * @param {string} code Registry code.
+ * @returns {string}
+ */
+export function defaultVoice(code) {
+  return config().languages.voices[code] || getLanguage(code).tts.voice;
+}
+
+/**
+ * Lists the registered languages for clients (e.g. a language picker).
+ */
+export function listLanguages() {
+  return Object.entries(LANGUAGES).map(([code, language]) => ({
+    code,
+    name: language.name,
+    nativeName: language.nativeName,
+    defaultVoice: defaultVoice(code),
+  }));
+}
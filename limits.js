@@ -0,0 +1,109 @@
+import { config } from "./config.js";
+import { AppError } from "./errors.js";
+import { logger } from "./logger.js";
+
+/*
+ * Limits on what one request or client may ask of the server, all
+ * checked before any provider is called:
+ * - UPLOAD_MAX_MB : largest upload, 100 by default (413 file_too_large)
+ * - MAX_AUDIO_MINUTES : longest recording, by its container's duration
+ *   and again once decoded, 60 by default (413 audio_too_long)
+ * - MAX_PIPELINES_PER_CLIENT : pipelines one client may have running or
+ *   queued at once, 2 by default (429 too_many_pipelines). A client is
+ *   its API key, or its IP address when authentication is off.
+ * The job queue's depth is capped in jobQueue.js (JOB_QUEUE_MAX).
+ */
+
+// Pipelines per client: client → count
+const active = new Map();
+
+export function maxUploadBytes() {
+  return config().limits.uploadMaxMb * 1024 * 1024;
+}
+
+export function maxAudioMinutes() {
+  return config().limits.maxAudioMinutes;
+}
+
+function maxPipelinesPerClient() {
+  return config().limits.maxPipelinesPerClient;
+}
+
+export function fileTooLarge() {
+  return new AppError(
+    `The upload is over the ${maxUploadBytes() / 1024 / 1024} MB limit`,
+    { code: "file_too_large" }
+  );
+}
+
+export function audioTooLong() {
+  return new AppError(
+    `The uploaded audio is over the ${maxAudioMinutes()}-minute limit`,
+    { code: "audio_too_long" }
+  );
+}
+
+/**
+ * Turns multer's errors into ours: file_too_large for an oversized
+ * upload, a 400 for anything else wrong with the form.
+ * @param {Error} error A MulterError (or anything else a parser threw).
+ */
+export function uploadError(error) {
+  if (error.code === "LIMIT_FILE_SIZE") return fileTooLarge();
+  if (error.name === "MulterError") error.status = 400;
+  return error;
+}
+
+/**
+ * The client a request counts against.
+ * @param {?Object} apiKey The request's API key, if any.
+ * @param {string} address The caller's IP address.
+ */
+export function clientOf(apiKey, address) {
+  return apiKey ? `key:${apiKey.id}` : `ip:${address}`;
+}
+
+/**
+ * Takes one of the client's pipeline slots, or throws too_many_pipelines
+ * (429) when they are all in use.
+ * @param {string} client See clientOf.
+ * @returns {() => void} Gives the slot back; later calls do nothing.
+ */
+export function acquirePipeline(client) {
+  const count = active.get(client) || 0;
+
+  if (count >= maxPipelinesPerClient()) {
+    logger.warn("pipeline limit reached", { client, running: count });
+    throw new AppError(
+      `Too many translations at once (the limit is ${maxPipelinesPerClient()}); wait for one to finish`,
+      { code: "too_many_pipelines" }
+    );
+  }
+  active.set(client, count + 1);
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+
+    const left = active.get(client) - 1;
+    if (left > 0) active.set(client, left);
+    else active.delete(client);
+  };
+}
+
+/**
+ * Express middleware holding a pipeline slot for the request (after
+ * authentication). The slot is given back with the response, unless the
+ * route takes `req.releasePipeline` over, as jobs do until they finish.
+ */
+export function limitPipelines(req, res, next) {
+  try {
+    req.releasePipeline = acquirePipeline(clientOf(req.apiKey, req.ip));
+  } catch (error) {
+    return next(error);
+  }
+
+  res.on("close", () => req.releasePipeline?.());
+  next();
+}
@@ -0,0 +1,93 @@
+import { AsyncLocalStorage, AsyncResource } from "async_hooks";
+import { config } from "./config.js";
+import { providerErrorCode } from "./errors.js";
+
+/*
+ * Structured JSON logging, one object per line on stdout (stderr for
+ * warnings and errors):
+ *   {"time":"...","level":"info","msg":"stage finished","requestId":"...",
+ *    "stage":"stt","provider":"openai","durationMs":812}
+ *
+ * Fields bound with withLogContext (the request ID, a job ID, ...) are
+ * added to every line logged while that work runs, however deep in the
+ * pipeline. LOG_LEVEL sets the lowest level written (info by default).
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+
+function minLevel() {
+  // Invalid configuration is itself logged, at the default level
+  try {
+    return LEVELS[config().server.logLevel];
+  } catch {
+    return LEVELS.info;
+  }
+}
+
+// Errors do not serialize on their own; keep what helps find the cause
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    status: error.status ?? error.response?.status,
+    code: providerErrorCode(error),
+    stack: error.stack,
+    // Typed errors keep the provider's original error here
+    ...(error.cause instanceof Error && {
+      cause: serializeError(error.cause),
+    }),
+  };
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < minLevel()) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+    ...fields,
+  };
+  if (entry.error instanceof Error) entry.error = serializeError(entry.error);
+
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(`${line}\n`);
+  else process.stdout.write(`${line}\n`);
+}
+
+export const logger = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
+
+/**
+ * Runs `fn` with `fields` added to every log line it writes, including
+ * from callbacks and promises it starts.
+ * @param {Object} fields e.g. { requestId }.
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Wraps Express middleware that calls `next` from stream events (body
+ * parsers, multer), which would otherwise lose the log context.
+ */
+export function bindLogContext(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
+
+/**
+ * The fields bound by the innermost withLogContext, e.g. to carry the
+ * request ID over to a background job.
+ */
+export function logContext() {
+  return context.getStore() || {};
+}
@@ -0,0 +1,176 @@
+import { extractAudioTrack } from "./audioPreprocess.js";
+import { MediaError } from "./errors.js";
+import { ffmpegCommand } from "./ffmpegBinaries.js";
+import { audioTooLong, maxAudioMinutes } from "./limits.js";
+import { observeAudio } from "./metrics.js";
+import { withTempFile } from "./tempFiles.js";
+import { wavDuration } from "./wavHelper.js";
+
+/*
+ * Upload probing and normalisation.
+ *
+ * Uploads are probed with ffprobe before anything else runs, so files the
+ * pipeline cannot use are turned away with a typed 4xx error instead of
+ * failing somewhere inside DSP. Accepted files are normalised to a WAV of
+ * their audio track, whatever container they came in.
+ */
+
+// ffprobe format names (a file may report several, e.g. "mov,mp4,m4a")
+const SUPPORTED_CONTAINERS = [
+  "wav",
+  "mp3",
+  "mov",
+  "mp4",
+  "m4a",
+  "3gp",
+  "3g2",
+  "ogg",
+  "flac",
+  "amr",
+  "matroska",
+  "webm",
+  "avi",
+  "aac",
+  "mpegts",
+];
+
+const SUPPORTED_CODECS = [
+  "mp3",
+  "aac",
+  "opus",
+  "vorbis",
+  "flac",
+  "alac",
+  "amr_nb",
+  "amr_wb",
+  "mp2",
+  "ac3",
+  "eac3",
+];
+
+function isSupportedCodec(codec) {
+  return (
+    SUPPORTED_CODECS.includes(codec) ||
+    codec.startsWith("pcm_") ||
+    codec.startsWith("adpcm_")
+  );
+}
+
+// "N/A" and missing values become null
+function toNumber(value) {
+  const number = Number(value);
+  return value != null && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Probes an uploaded file.
+ * Goes through a temp file, since mp4-family containers keep their index
+ * at the end where a pipe cannot reach.
+ * @param {Buffer} buffer The uploaded bytes.
+ * @returns {Promise<{ container: string, duration: ?number, hasVideo: boolean, audio: ?{ codec: string, sampleRate: ?number, channels: ?number, bitRate: ?number } }>}
+ */
+export async function probeMedia(buffer) {
+  return withTempFile(buffer, probeFile);
+}
+
+async function probeFile(inputPath) {
+  const { format, streams } = await new Promise((resolve, reject) => {
+    ffmpegCommand(inputPath).ffprobe((err, data) =>
+      err ? reject(err) : resolve(data)
+    );
+  }).catch(() => {
+    throw new MediaError(
+      "unreadable_media",
+      "The uploaded file is corrupt or not an audio/video file"
+    );
+  });
+
+  const audio = streams.find((stream) => stream.codec_type === "audio");
+
+  return {
+    container: format.format_name,
+    duration: toNumber(format.duration),
+    hasVideo: streams.some(
+      (stream) =>
+        stream.codec_type === "video" && !stream.disposition?.attached_pic
+    ),
+    audio: audio
+      ? {
+          codec: audio.codec_name,
+          sampleRate: toNumber(audio.sample_rate),
+          channels: toNumber(audio.channels),
+          bitRate: toNumber(audio.bit_rate),
+        }
+      : null,
+  };
+}
+
+/**
+ * Probes an upload, rejects what the pipeline cannot use and returns its
+ * audio track as WAV together with the probe results.
+ * @param {Buffer} buffer The uploaded bytes.
+ * @returns {Promise<{ audio: Buffer, media: Object }>}
+ */
+export async function prepareMedia(buffer) {
+  if (!buffer?.length) {
+    throw new MediaError("empty_file", "The uploaded file is empty", 400);
+  }
+
+  // One temp file serves both the probe and the extraction
+  return withTempFile(buffer, prepareFile);
+}
+
+async function prepareFile(inputPath) {
+  const media = await probeFile(inputPath);
+
+  if (
+    !media.container
+      .split(",")
+      .some((name) => SUPPORTED_CONTAINERS.includes(name))
+  ) {
+    throw new MediaError(
+      "unsupported_container",
+      `Unsupported file format: ${media.container}`
+    );
+  }
+  if (!media.audio) {
+    throw new MediaError(
+      "no_audio_track",
+      "The uploaded file has no audio track",
+      422
+    );
+  }
+  if (!isSupportedCodec(media.audio.codec)) {
+    throw new MediaError(
+      "unsupported_codec",
+      `Unsupported audio codec: ${media.audio.codec}`
+    );
+  }
+  // Browser recordings (webm) often carry no duration, so only a known
+  // zero is rejected here
+  if (media.duration === 0) {
+    throw new MediaError("empty_audio", "The uploaded audio is empty", 422);
+  }
+  const maxSeconds = maxAudioMinutes() * 60;
+  if (media.duration > maxSeconds) throw audioTooLong();
+
+  observeAudio("input", media.duration);
+
+  let audio;
+  try {
+    // Decoding stops just past the limit, so a file that hides its length
+    // cannot fill the memory with hours of audio
+    audio = await extractAudioTrack(inputPath, { maxSeconds: maxSeconds + 1 });
+  } catch (error) {
+    if (error instanceof MediaError) throw error;
+    throw new MediaError(
+      "corrupt_media",
+      "The audio track of the uploaded file could not be decoded",
+      422
+    );
+  }
+
+  if (wavDuration(audio) > maxSeconds) throw audioTooLong();
+
+  return { audio, media };
+}
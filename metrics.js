@@ -0,0 +1,109 @@
+import client from "prom-client";
+
+/*
+ * Prometheus metrics, served at GET /metrics.
+ *
+ * - http_requests_total / http_request_duration_seconds : per route
+ * - pipeline_stages_total           : stage runs by outcome, so failure
+ *                                     rates per stage and provider follow
+ * - pipeline_stage_errors_total     : failures by provider error code
+ * - pipeline_stage_duration_seconds : latency per stage and provider
+ * - provider_calls_total            : single provider attempts (success,
+ *                                     retry or failure), see chain.js
+ * - audio_duration_seconds          : uploaded (input) and synthesized
+ *                                     (output) audio
+ * - cache_lookups_total             : cache hits and misses per layer
+ * plus Node's default process metrics.
+ */
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequests = new client.Counter({
+  name: "http_requests_total",
+  help: "HTTP requests by method, route and status",
+  labelNames: ["method", "route", "status"],
+  registers: [registry],
+});
+
+const httpDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "HTTP request latency",
+  labelNames: ["method", "route"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+  registers: [registry],
+});
+
+const stageRuns = new client.Counter({
+  name: "pipeline_stages_total",
+  help: "Pipeline stage runs by outcome (success or failure)",
+  labelNames: ["stage", "provider", "outcome"],
+  registers: [registry],
+});
+
+const stageErrors = new client.Counter({
+  name: "pipeline_stage_errors_total",
+  help: "Failed pipeline stages by provider error code",
+  labelNames: ["stage", "provider", "code"],
+  registers: [registry],
+});
+
+const stageDuration = new client.Histogram({
+  name: "pipeline_stage_duration_seconds",
+  help: "Pipeline stage latency, retries included",
+  labelNames: ["stage", "provider"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8, 15, 30, 60],
+  registers: [registry],
+});
+
+const providerCalls = new client.Counter({
+  name: "provider_calls_total",
+  help: "Provider call attempts by outcome (success, retry or failure)",
+  labelNames: ["stage", "provider", "outcome"],
+  registers: [registry],
+});
+
+const audioDuration = new client.Histogram({
+  name: "audio_duration_seconds",
+  help: "Length of uploaded (input) and synthesized (output) audio",
+  labelNames: ["kind"],
+  buckets: [1, 2, 5, 10, 20, 30, 60, 120, 300, 600, 1800],
+  registers: [registry],
+});
+
+const cacheLookups = new client.Counter({
+  name: "cache_lookups_total",
+  help: "Provider cache lookups by layer and result (hit or miss)",
+  labelNames: ["layer", "result"],
+  registers: [registry],
+});
+
+export function observeRequest({ method, route, status, seconds }) {
+  httpRequests.inc({ method, route, status });
+  httpDuration.observe({ method, route }, seconds);
+}
+
+/**
+ * Records one pipeline stage. `errorCode` is set when it failed.
+ */
+export function observeStage({ stage, provider, seconds, errorCode }) {
+  stageDuration.observe({ stage, provider }, seconds);
+  stageRuns.inc({
+    stage,
+    provider,
+    outcome: errorCode ? "failure" : "success",
+  });
+  if (errorCode) stageErrors.inc({ stage, provider, code: errorCode });
+}
+
+export function observeProviderCall({ stage, provider, outcome }) {
+  providerCalls.inc({ stage, provider, outcome });
+}
+
+export function observeAudio(kind, seconds) {
+  if (Number.isFinite(seconds)) audioDuration.observe({ kind }, seconds);
+}
+
+export function observeCacheLookup(layer, hit) {
+  cacheLookups.inc({ layer, result: hit ? "hit" : "miss" });
+}
@@ -0,0 +1,515 @@
+import { analyzeAudio, preprocessAudioDSP } from "./audioPreprocess.js";
+import { cached, describeCache } from "./cache.js";
+import { config } from "./config.js";
+import { DSP_PROFILES, resolveDspSettings } from "./dspProfiles.js";
+import { AppError, providerErrorCode, stageError } from "./errors.js";
+import { protectTerms, vocabularyFor } from "./glossary.js";
+import { LANGUAGES } from "./languages.js";
+import { logger } from "./logger.js";
+import { observeAudio, observeStage } from "./metrics.js";
+import { localStages, resolveProviders } from "./providers/index.js";
+import { splitAtSilences, splitSentences, stitchSpeech } from "./segmenter.js";
+import { adjustSpeech, resolveVoiceSettings } from "./voiceSettings.js";
+import { parseWav, wavDuration } from "./wavHelper.js";
+
+// Runs one stage, records how long it took (ms) under `stage` and
+// reports it to the logs and metrics. DSP runs on the bundled ffmpeg;
+// the other stages on their provider. Failures are rethrown as typed
+// errors (stageError), so provider messages never reach clients.
+async function timed(timings, stage, providers, fn) {
+  const provider = providers[stage]?.name || "ffmpeg";
+  const start = Date.now();
+  let errorCode = null;
+
+  try {
+    return await fn();
+  } catch (error) {
+    errorCode = providerErrorCode(error);
+    logger.warn("stage failed", {
+      stage,
+      provider,
+      code: errorCode,
+      error: error.message,
+    });
+    throw stageError(stage, error);
+  } finally {
+    const durationMs = Date.now() - start;
+    timings[stage] = durationMs;
+    observeStage({ stage, provider, seconds: durationMs / 1000, errorCode });
+    if (!errorCode) {
+      logger.info("stage finished", { stage, provider, durationMs });
+    }
+  }
+}
+
+// Default stage runner: call the stage once.
+const runOnce = (stage, fn) => fn();
+
+/**
+ * Translation Pipeline
+ * --------------------
+ * Input  : Raw audio buffer (any format ffmpeg can decode)
+ * Output : Source transcript, translation, translated speech and
+ *          per-stage timings in milliseconds
+ *
+ * `from` and `to` are codes from the language registry (languages.js).
+ * Translation is skipped when the speech is already in the target language.
+ * Glossary terms (glossary.js) bias STT and keep their fixed translations.
+ * `voice` holds resolved voice settings (resolveVoiceSettings) for TTS.
+ *
+ * Stages:
+ * - DSP preprocessing (profile from dspProfiles.js; "auto" analyzes the
+ *   recording first and picks one)
+ * - Language identification (only when `from` is "auto")
+ * - Speech-to-text (source language)
+ * - Translation (source → target, Assamese → English by default)
+ * - Text-to-speech (target language)
+ *
+ * Each provider-backed stage goes through the adapter resolved from the
+ * provider registry, so callers can swap adapters per request. STT,
+ * translation and TTS answers are cached by content (cache.js); `cache`
+ * in the result tells which stages were served from it, and `providers`
+ * which adapter of each stage's chain answered (chain.js), with `local`
+ * saying which stages never left the machine. `usage` counts
+ * what the run consumed: seconds of audio sent to STT and characters sent
+ * to translation and TTS (cached answers included), for per-key
+ * accounting (apiKeys.js).
+ *
+ * `onStage(stage, output)` is called as soon as each of "stt",
+ * "translation" and "tts" finishes, for callers that stream results.
+ *
+ * `runStage(stage, fn)` wraps every stage (dsp, langid, stt, translation,
+ * tts) and must return `fn()`'s result; the job queue uses it to report
+ * progress and retry failed stages.
+ */
+export async function runPipeline(
+  audioBuffer,
+  {
+    providers = resolveProviders(),
+    from = "as",
+    to = "en",
+    dsp,
+    voice,
+    onStage = () => {},
+    runStage = runOnce,
+  } = {}
+) {
+  const timings = {};
+  const cacheTally = {};
+  const start = Date.now();
+
+  const speech = await transcribeSpeech(audioBuffer, {
+    providers,
+    language: from,
+    dsp,
+    timings,
+    cacheTally,
+    runStage,
+  });
+  const {
+    sourceText,
+    language,
+    detectedLanguage,
+    segments,
+    cleanedAudio,
+    dspProfile,
+  } = speech;
+  onStage("stt", { text: sourceText, language, detectedLanguage });
+
+  const result = await translateAndSynthesize(sourceText, {
+    providers,
+    from: language,
+    to,
+    segments,
+    voice,
+    timings,
+    cacheTally,
+    onStage,
+    runStage,
+  });
+
+  timings.total = Date.now() - start;
+
+  return {
+    ...result,
+    detectedLanguage,
+    dspProfile,
+    cleanedAudio,
+    timings,
+    cache: describeCache(cacheTally),
+    providers: { ...speech.providers, ...result.providers },
+    local: { ...speech.local, ...result.local },
+    usage: { ...speech.usage, ...result.usage },
+  };
+}
+
+/**
+ * Runs the audio-only half of the pipeline: DSP, language ID when
+ * `language` is "auto", then STT.
+ *
+ * Long recordings are split at pauses during DSP (segmenter.js) and each
+ * segment is transcribed on its own; `segments` keeps their timing. With
+ * `timestamps`, leading silence is kept and the STT provider is asked for
+ * finer, sentence-level segments, so times match the original recording.
+ * `dsp` is a resolved profile (resolveDspSettings), standard by default.
+ * @returns {Promise<{ sourceText: string, language: string, detectedLanguage: ?{ code: string, confidence: number }, segments: { start: number, end: number, text: string }[], cleanedAudio: Buffer, dspProfile: string, timings: Object, cache: Object, providers: Object, local: Object, usage: { sttSeconds: number } }>}
+ */
+export async function transcribeSpeech(
+  audioBuffer,
+  {
+    providers = resolveProviders(),
+    language = "as",
+    timestamps = false,
+    dsp = resolveDspSettings(),
+    timings = {},
+    cacheTally = {},
+    runStage = runOnce,
+  } = {}
+) {
+  const stage = (name, fn) =>
+    timed(timings, name, providers, () => runStage(name, fn));
+
+  logger.info("stage started", { stage: "dsp", profile: dsp.profile });
+  const { cleanedBuffer, audioSegments, dspProfile } = await stage(
+    "dsp",
+    async () => {
+      let { profile, params } = dsp;
+      if (profile === "auto") {
+        ({ suggestedProfile: profile } = await analyzeAudio(audioBuffer));
+        params = { ...DSP_PROFILES[profile].params, ...params };
+        logger.info("dsp profile picked by analysis", { profile });
+      }
+
+      const cleaned = await preprocessAudioDSP(audioBuffer, {
+        params,
+        keepTiming: timestamps,
+      });
+      return {
+        cleanedBuffer: cleaned,
+        audioSegments: await splitAtSilences(cleaned),
+        dspProfile: profile,
+      };
+    }
+  );
+
+  let detectedLanguage = null;
+  const served = {};
+
+  if (language === "auto") {
+    logger.info("stage started", {
+      stage: "langid",
+      provider: providers.langid.name,
+    });
+    const {
+      language: code,
+      confidence,
+      provider,
+    } = await stage("langid", () => providers.langid.identify(cleanedBuffer));
+    served.langid = provider;
+
+    if (!Object.hasOwn(LANGUAGES, code)) {
+      throw new AppError(`Detected language is not supported: ${code}`, {
+        code: "unsupported_detected_language",
+      });
+    }
+
+    detectedLanguage = { code, confidence };
+    language = code;
+  }
+
+  logger.info("stage started", {
+    stage: "stt",
+    provider: providers.stt.name,
+    language,
+    segments: audioSegments.length,
+  });
+  const phrases = vocabularyFor(language);
+  const transcripts = await stage("stt", () =>
+    mapLimit(audioSegments, segmentConcurrency(), (segment) =>
+      cached(
+        "stt",
+        [providers.stt.name, segment.audio, language, phrases, timestamps],
+        () =>
+          providers.stt.transcribe(segment.audio, {
+            language,
+            phrases,
+            timestamps,
+          }),
+        cacheTally
+      )
+    )
+  );
+
+  // Provider segments are timed from the start of their chunk. Segments
+  // that held only noise come back empty; drop them.
+  const segments = audioSegments
+    .flatMap(({ start, end, offset }, i) =>
+      transcripts[i].segments?.length
+        ? transcripts[i].segments.map((part) => ({
+            start: roundTime(offset + part.start),
+            end: roundTime(offset + part.end),
+            text: part.text.trim(),
+          }))
+        : [{ start, end, text: transcripts[i].text?.trim() }]
+    )
+    .filter((segment) => segment.text);
+
+  if (segments.length === 0) {
+    throw new AppError("No speech was recognized in the recording", {
+      code: "no_speech",
+    });
+  }
+  served.stt = servedBy(transcripts);
+
+  return {
+    sourceText: segments.map((segment) => segment.text).join(" "),
+    language,
+    detectedLanguage,
+    segments,
+    cleanedAudio: cleanedBuffer,
+    dspProfile,
+    timings,
+    cache: describeCache(cacheTally),
+    providers: served,
+    local: localStages(served),
+    usage: {
+      sttSeconds: audioSegments.reduce(
+        (sum, { audio }) => sum + wavDuration(audio),
+        0
+      ),
+    },
+  };
+}
+
+/**
+ * Runs the text-only half of the pipeline: translation followed by TTS.
+ *
+ * Text with several sentences is synthesized sentence by sentence and
+ * stitched into one WAV. The voice's rate and pitch are applied last.
+ */
+export async function translateAndSynthesize(
+  sourceText,
+  {
+    providers = resolveProviders(),
+    from = "as",
+    to = "en",
+    segments,
+    voice = resolveVoiceSettings(),
+    timings = {},
+    cacheTally = {},
+    onStage = () => {},
+    runStage = runOnce,
+  } = {}
+) {
+  const start = Date.now();
+  const stage = (name, fn) =>
+    timed(timings, name, providers, () => runStage(name, fn));
+
+  const translation = await translateSegments(sourceText, {
+    providers,
+    from,
+    to,
+    segments,
+    timings,
+    cacheTally,
+    runStage,
+  });
+  onStage("translation", {
+    text: translation.translatedText,
+    skipped: translation.translationSkipped,
+  });
+
+  const sentences = translation.segments.map((segment) =>
+    splitSentences(segment.translatedText)
+  );
+  const sentenceCount = sentences.flat().length;
+
+  logger.info("stage started", {
+    stage: "tts",
+    provider: providers.tts.name,
+    language: to,
+    sentences: sentenceCount,
+  });
+  const spoken = [];
+  let ttsChars = 0;
+  const speak = async (text) => {
+    ttsChars += text.length;
+    const speech = await cached(
+      "tts",
+      [providers.tts.name, text, to, voice.voice, voice.style],
+      () =>
+        providers.tts.synthesize(text, {
+          language: to,
+          voice: voice.voice,
+          style: voice.style,
+        }),
+      cacheTally
+    );
+    spoken.push(speech);
+    return speech.audio;
+  };
+
+  const { audio, mimeType } = await stage("tts", async () => {
+    let speech;
+    if (sentenceCount <= 1) {
+      speech = await speak(translation.translatedText);
+    } else {
+      const clips = await mapLimit(
+        sentences.flat(),
+        segmentConcurrency(),
+        speak
+      );
+
+      let next = 0;
+      speech = await stitchSpeech(
+        translation.segments.map((segment, i) => ({
+          start: segment.start,
+          end: segment.end,
+          clips: clips.slice(next, (next += sentences[i].length)),
+        }))
+      );
+    }
+    return { audio: await adjustSpeech(speech, voice), mimeType: "audio/wav" };
+  });
+  onStage("tts", { audio, mimeType });
+
+  const { sampleRate, pcm } = parseWav(audio);
+  observeAudio("output", pcm.length / sampleRate);
+
+  timings.total = Date.now() - start;
+  const served = { ...translation.providers, tts: servedBy(spoken) };
+
+  return {
+    ...translation,
+    audio,
+    mimeType,
+    timings,
+    cache: describeCache(cacheTally),
+    providers: served,
+    local: localStages(served),
+    usage: { ...translation.usage, ttsChars },
+  };
+}
+
+/**
+ * Translates text without synthesizing it (e.g. for subtitles).
+ *
+ * `segments` (from transcribeSpeech) are translated in parallel and keep
+ * their timing; without them the whole text is one segment. Translation
+ * is skipped when `from` and `to` are the same language.
+ */
+export async function translateSegments(
+  sourceText,
+  {
+    providers = resolveProviders(),
+    from = "as",
+    to = "en",
+    segments = [{ start: null, end: null, text: sourceText }],
+    timings = {},
+    cacheTally = {},
+    runStage = runOnce,
+  } = {}
+) {
+  const translationSkipped = from === to;
+  let translations = segments.map(({ text }) => ({ text, applied: [] }));
+
+  if (translationSkipped) {
+    logger.info("stage skipped", { stage: "translation", language: to });
+  } else {
+    logger.info("stage started", {
+      stage: "translation",
+      provider: providers.translation.name,
+      from,
+      to,
+      segments: segments.length,
+    });
+    translations = await timed(timings, "translation", providers, () =>
+      runStage("translation", () =>
+        mapLimit(segments, segmentConcurrency(), async ({ text }) => {
+          const shielded = protectTerms(text, { from, to });
+          const translated = await cached(
+            "translation",
+            [providers.translation.name, shielded.text, from, to],
+            () => providers.translation.translate(shielded.text, { from, to }),
+            cacheTally
+          );
+          return {
+            text: shielded.restore(translated.text),
+            applied: shielded.applied,
+            provider: translated.provider,
+          };
+        })
+      )
+    );
+  }
+
+  const glossaryTerms = [
+    ...new Map(
+      translations
+        .flatMap(({ applied }) => applied)
+        .map(({ term, translation }) => [term, { term, translation }])
+    ).values(),
+  ];
+  const served = translationSkipped
+    ? {}
+    : { translation: servedBy(translations) };
+
+  return {
+    from,
+    to,
+    sourceText,
+    translatedText: translations.map(({ text }) => text).join(" "),
+    translationSkipped,
+    glossaryTerms,
+    segments: segments.map((segment, i) => ({
+      start: segment.start,
+      end: segment.end,
+      sourceText: segment.text,
+      translatedText: translations[i].text,
+    })),
+    timings,
+    cache: describeCache(cacheTally),
+    providers: served,
+    local: localStages(served),
+    usage: {
+      translationChars: translationSkipped
+        ? 0
+        : segments.reduce((sum, { text }) => sum + text.length, 0),
+    },
+  };
+}
+
+// Names of the adapters that served a stage's calls: usually one, e.g.
+// "openai+google-speech" when a fallback took over part of the work
+function servedBy(results) {
+  return [...new Set(results.map(({ provider }) => provider))].join("+");
+}
+
+// Millisecond precision is all subtitles need
+function roundTime(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+// Segments (and sentences) processed at once per stage
+function segmentConcurrency() {
+  return config().dsp.segmentConcurrency;
+}
+
+// Maps `items` through async `fn` with at most `limit` calls in flight,
+// keeping results in input order.
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
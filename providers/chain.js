@@ -0,0 +1,178 @@
+/*
+ * Provider chains: timeouts, retries and fallbacks around the adapters of
+ * one stage.
+ *
+ * A stage is configured with an ordered list of adapters, e.g.
+ * STT_PROVIDER=openai,google-speech. Each call goes to the first adapter;
+ * transient failures (see isTransientError) are retried with exponential
+ * backoff, and once an adapter has failed for good the next one in the
+ * list gets the call. Every attempt is cut off after the stage's timeout.
+ *
+ * The chain implements the stage's adapter interface itself, so the
+ * pipeline does not know whether it talks to one adapter or several.
+ * Results carry the name of the adapter that served them in `provider`.
+ *
+ * Config (`providers` in config.js):
+ * - timeoutsMs (LANGID_TIMEOUT_MS, STT_TIMEOUT_MS, ...) : per attempt
+ *   (20s, 60s, 15s and 30s by default)
+ * - retries (PROVIDER_RETRIES) : retries per adapter (2 by default)
+ * - retryDelayMs (PROVIDER_RETRY_DELAY_MS) : first backoff pause, doubled
+ *   after every retry (500 by default)
+ */
+
+import { config } from "../config.js";
+import { AppError, isTransientError, providerErrorCode } from "../errors.js";
+import { logger } from "../logger.js";
+import { observeProviderCall } from "../metrics.js";
+
+const METHODS = {
+  langid: "identify",
+  stt: "transcribe",
+  translation: "translate",
+  tts: "synthesize",
+};
+
+function stageTimeout(stage) {
+  return config().providers.timeoutsMs[stage];
+}
+
+function retryPolicy() {
+  const { retries, retryDelayMs } = config().providers;
+  return { retries, delayMs: retryDelayMs };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// One attempt, aborted once the stage's timeout has passed. Adapters that
+// can cancel their request take `signal`; the others are left to finish
+// in the background.
+async function callOnce(stage, adapter, input, options) {
+  const timeoutMs = stageTimeout(stage);
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(
+        new AppError(
+          `${adapter.name} ${stage} timed out after ${timeoutMs} ms`,
+          { status: 504, code: "provider_timeout" }
+        )
+      );
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([
+      adapter[METHODS[stage]](input, { ...options, signal: controller.signal }),
+      timeout,
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function callWithRetries(stage, adapter, input, options) {
+  const { retries, delayMs } = retryPolicy();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await callOnce(stage, adapter, input, options);
+      observeProviderCall({
+        stage,
+        provider: adapter.name,
+        outcome: "success",
+      });
+      return result;
+    } catch (error) {
+      const retry = attempt <= retries && isTransientError(error);
+      observeProviderCall({
+        stage,
+        provider: adapter.name,
+        outcome: retry ? "retry" : "failure",
+      });
+      if (!retry) throw error;
+
+      // Jittered, so parallel segments do not retry in lockstep
+      const pause = delayMs * 2 ** (attempt - 1) * (0.5 + Math.random() / 2);
+      logger.warn("provider call retrying", {
+        stage,
+        provider: adapter.name,
+        attempt,
+        pauseMs: Math.round(pause),
+        code: providerErrorCode(error),
+      });
+      await sleep(pause);
+    }
+  }
+}
+
+// A voice belongs to one TTS provider; the others speak with their default
+function optionsFor(stage, adapter, options) {
+  if (
+    stage === "tts" &&
+    options.voice &&
+    !adapter.voices?.some(({ name }) => name === options.voice)
+  ) {
+    return { ...options, voice: undefined };
+  }
+  return options;
+}
+
+/**
+ * Combines the adapters of a stage, in order of preference, into one.
+ * Its `name` lists them all ("openai,google-speech"); TTS chains offer
+ * the voices of every adapter.
+ * @param {"langid"|"stt"|"translation"|"tts"} stage
+ * @param {Object[]} adapters Registered adapters for the stage.
+ */
+export function createProviderChain(stage, adapters) {
+  const method = METHODS[stage];
+
+  const call = async (input, options = {}) => {
+    let firstError;
+
+    for (const [i, adapter] of adapters.entries()) {
+      try {
+        const result = await callWithRetries(
+          stage,
+          adapter,
+          input,
+          optionsFor(stage, adapter, options)
+        );
+        return { ...result, provider: adapter.name };
+      } catch (error) {
+        firstError ??= error;
+        const next = adapters[i + 1];
+        if (next) {
+          logger.warn("provider failed, falling back", {
+            stage,
+            provider: adapter.name,
+            fallback: next.name,
+            code: providerErrorCode(error),
+            error: error.message,
+          });
+        }
+      }
+    }
+
+    // The preferred provider's error says most about what went wrong
+    throw firstError;
+  };
+
+  const voices = [
+    ...new Map(
+      adapters
+        .flatMap((adapter) => adapter.voices || [])
+        .map((voice) => [voice.name, voice])
+    ).values(),
+  ];
+
+  return {
+    name: adapters.map((adapter) => adapter.name).join(","),
+    adapters,
+    ...(voices.length && { voices }),
+    [method]: call,
+  };
+}
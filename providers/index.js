@@ -0,0 +1,232 @@
+/*
+ * Provider registry for the pipeline stages.
+ *
+ * Every stage (language ID, speech-to-text, translation, text-to-speech)
+ * is served by an
+ * adapter that implements a small common interface. The adapter used for a
+ * request is chosen per deployment through config (config.js) and can be overridden
+ * per request by name. Either may list several adapters in order of
+ * preference ("openai,google-speech"); they are tried in turn (chain.js).
+ *
+ * Local mode (LOCAL_MODE=true) runs every stage offline: configured
+ * chains that need a network give way to LOCAL_PROVIDERS (engines in
+ * localEngines.js), and requests may only pick adapters marked `local`.
+ */
+
+import { config } from "../config.js";
+import { AppError } from "../errors.js";
+import { createProviderChain } from "./chain.js";
+import openaiLangId from "./langid/openai.js";
+import stubLangId from "./langid/stub.js";
+import whisperCppLangId from "./langid/whisperCpp.js";
+import openaiStt from "./stt/openai.js";
+import googleSpeechStt from "./stt/googleSpeech.js";
+import stubStt from "./stt/stub.js";
+import whisperCppStt from "./stt/whisperCpp.js";
+import googleTranslation from "./translation/google.js";
+import phrasebookTranslation from "./translation/phrasebook.js";
+import stubTranslation from "./translation/stub.js";
+import espeakTts from "./tts/espeak.js";
+import geminiTts from "./tts/gemini.js";
+import stubTts from "./tts/stub.js";
+
+/**
+ * @typedef {Object} LangIdProvider
+ * @property {string} name
+ * @property {(audio: Buffer) => Promise<{ language: string, confidence: number }>} identify
+ *   Detects the spoken language of a cleaned WAV buffer. `language` is a
+ *   language registry code when the language is known to the registry.
+ */
+
+/**
+ * @typedef {Object} SttProvider
+ * @property {string} name
+ * @property {(audio: Buffer, options: { language: string, phrases?: string[], timestamps?: boolean }) => Promise<{ text: string, segments?: { start: number, end: number, text: string }[] }>} transcribe
+ *   Transcribes a cleaned WAV buffer (16kHz, mono). `phrases` are extra
+ *   vocabulary hints (glossary terms) on top of the language's own. When
+ *   `timestamps` is set, the adapter also returns `segments` with start and
+ *   end in seconds from the beginning of `audio`.
+ */
+
+/**
+ * @typedef {Object} TranslationProvider
+ * @property {string} name
+ * @property {(text: string, options: { from: string, to: string }) => Promise<{ text: string }>} translate
+ */
+
+/**
+ * @typedef {Object} TtsProvider
+ * @property {string} name
+ * @property {{ name: string, description: string }[]} [voices] Voices a
+ *   request may pick (GET /api/voices).
+ * @property {(text: string, options: { language: string, voice?: string, style?: string }) => Promise<{ audio: Buffer, mimeType: string }>} synthesize
+ *   Without `voice`, the language's default voice speaks. `style` is a key
+ *   of VOICE_STYLES (voiceSettings.js); adapters may ignore it.
+ */
+
+/*
+ * Adapters that need credentials name them in `credentials`, as keys of
+ * the credentials config (e.g. ["openaiApiKey"]), so the boot self-check
+ * (selfCheck.js) can report what is missing before the first request.
+ * Adapters that run on this machine without a network are marked
+ * `local`; those that need binaries or models check for them in
+ * `checkSetup()`, which resolves to a list of problems.
+ */
+
+/*
+ * Every call also gets `options.signal`, an AbortSignal that fires when
+ * the stage times out; adapters hand it to their HTTP client where they
+ * can, so abandoned requests are cancelled.
+ */
+
+export const STAGES = ["langid", "stt", "translation", "tts"];
+
+// What every stage runs on in local mode
+const LOCAL_PROVIDERS = {
+  langid: "whisper-cpp",
+  stt: "whisper-cpp",
+  translation: "phrasebook",
+  tts: "espeak",
+};
+
+export function isLocalMode() {
+  return config().local.enabled;
+}
+
+// LANGID_PROVIDER, STT_PROVIDER, ... (providers in config.js)
+function defaultProviderName(stage) {
+  const names = config().providers[stage];
+  const offline = names.every((name) => registry[stage].get(name)?.local);
+
+  if (isLocalMode() && !offline) return LOCAL_PROVIDERS[stage];
+  return names.join(",");
+}
+
+const registry = {
+  langid: new Map(),
+  stt: new Map(),
+  translation: new Map(),
+  tts: new Map(),
+};
+
+/**
+ * Registers an adapter for a pipeline stage.
+ * @param {"langid"|"stt"|"translation"|"tts"} stage The stage the adapter serves.
+ * @param {LangIdProvider|SttProvider|TranslationProvider|TtsProvider} adapter The adapter.
+ */
+export function registerProvider(stage, adapter) {
+  if (!registry[stage]) {
+    throw new Error(`Unknown pipeline stage: ${stage}`);
+  }
+  registry[stage].set(adapter.name, adapter);
+}
+
+/**
+ * Looks up a registered adapter by name.
+ * @param {"langid"|"stt"|"translation"|"tts"} stage The pipeline stage.
+ * @param {string} name Adapter name.
+ * @returns {LangIdProvider|SttProvider|TranslationProvider|TtsProvider}
+ */
+export function getProvider(stage, name) {
+  const adapter = registry[stage]?.get(name);
+
+  if (!adapter) {
+    throw new AppError(`Unknown ${stage} provider: ${name}`, {
+      code: "invalid_request",
+    });
+  }
+
+  return adapter;
+}
+
+/**
+ * Resolves the adapter chain for every stage, applying per-request
+ * overrides on top of the deployment defaults. Each override is an
+ * adapter name or a comma-separated list of them.
+ * @param {{ langid?: string, stt?: string, translation?: string, tts?: string }} [overrides]
+ * @returns {{ langid: LangIdProvider, stt: SttProvider, translation: TranslationProvider, tts: TtsProvider }}
+ * @throws {AppError} invalid_request (400) for unknown adapters, overrides
+ *   that are not strings (?stt=a&stt=b) and online adapters in local mode.
+ */
+export function resolveProviders(overrides = {}) {
+  return Object.fromEntries(
+    STAGES.map((stage) => {
+      const override = overrides[stage];
+      if (override != null && typeof override !== "string") {
+        throw new AppError(
+          `${stage} must be an adapter name or a comma-separated list of them`,
+          { code: "invalid_request" }
+        );
+      }
+
+      const names = (override || defaultProviderName(stage))
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean);
+      const adapters = [...new Set(names)].map((name) =>
+        getProvider(stage, name)
+      );
+
+      const online = adapters.find((adapter) => !adapter.local);
+      if (isLocalMode() && online) {
+        throw new AppError(
+          `The ${stage} provider ${online.name} needs a network; this server runs in local mode`,
+          { code: "invalid_request" }
+        );
+      }
+
+      return [stage, createProviderChain(stage, adapters)];
+    })
+  );
+}
+
+/**
+ * Lists the registered adapter names, the ones of them that run offline
+ * and the configured default per stage.
+ */
+export function listProviders() {
+  return Object.fromEntries(
+    STAGES.map((stage) => [
+      stage,
+      {
+        default: defaultProviderName(stage),
+        available: [...registry[stage].keys()],
+        local: [...registry[stage].values()]
+          .filter((adapter) => adapter.local)
+          .map((adapter) => adapter.name),
+      },
+    ])
+  );
+}
+
+/**
+ * Which stages of a result were served by local adapters only, for
+ * results to say whether they left the machine.
+ * @param {Object} served Stage → adapters that answered, as in a
+ *   pipeline result's `providers` ("openai+google-speech").
+ * @returns {Object} Stage → boolean.
+ */
+export function localStages(served) {
+  return Object.fromEntries(
+    Object.entries(served).map(([stage, names]) => [
+      stage,
+      names
+        .split("+")
+        .every((name) => registry[stage].get(name)?.local === true),
+    ])
+  );
+}
+
+registerProvider("langid", openaiLangId);
+registerProvider("langid", whisperCppLangId);
+registerProvider("langid", stubLangId);
+registerProvider("stt", openaiStt);
+registerProvider("stt", googleSpeechStt);
+registerProvider("stt", whisperCppStt);
+registerProvider("stt", stubStt);
+registerProvider("translation", googleTranslation);
+registerProvider("translation", phrasebookTranslation);
+registerProvider("translation", stubTranslation);
+registerProvider("tts", geminiTts);
+registerProvider("tts", espeakTts);
+registerProvider("tts", stubTts);
@@ -0,0 +1,77 @@
+import OpenAI, { toFile } from "openai";
+import { config } from "../../config.js";
+import { LANGUAGES } from "../../languages.js";
+import { parseWav, pcmToWav } from "../../wavHelper.js";
+
+// Whisper decides the language from the first 30 seconds anyway
+const MAX_SECONDS = 30;
+
+// Letters that exist in Assamese but not in Bengali script
+const ASSAMESE_LETTERS = /[ৰৱ]/;
+
+let client;
+
+function getClient() {
+  if (!client) {
+    // Retries are up to the provider chain (chain.js)
+    client = new OpenAI({
+      apiKey: config().credentials.openaiApiKey,
+      maxRetries: 0,
+    });
+  }
+  return client;
+}
+
+async function firstSeconds(wavBuffer, seconds) {
+  const { sampleRate, pcm } = parseWav(wavBuffer);
+  const wavBlob = pcmToWav(pcm.subarray(0, sampleRate * seconds), sampleRate);
+  return Buffer.from(await wavBlob.arrayBuffer());
+}
+
+// OpenAI Whisper: Spoken Language Identification
+async function identify(audioBuffer, { signal } = {}) {
+  const transcription = await getClient().audio.transcriptions.create(
+    {
+      file: await toFile(
+        await firstSeconds(audioBuffer, MAX_SECONDS),
+        "audio.wav",
+        { type: "audio/wav" }
+      ),
+      model: config().models.openaiLangid,
+      response_format: "verbose_json",
+    },
+    { signal }
+  );
+
+  // Whisper names languages in English ("assamese", "bengali", ...)
+  let code = Object.keys(LANGUAGES).find(
+    (key) =>
+      LANGUAGES[key].name.toLowerCase().split(" ")[0] === transcription.language
+  );
+
+  // Whisper often hears Assamese as Bengali; the script gives it away
+  if (code === "bn" && ASSAMESE_LETTERS.test(transcription.text)) {
+    code = "as";
+  }
+
+  // Whisper reports no language probability, so approximate one from how
+  // sure it was of the words it decoded and that there was speech at all.
+  const segments = transcription.segments || [];
+  const confidence = segments.length
+    ? segments.reduce(
+        (sum, s) => sum + Math.exp(s.avg_logprob) * (1 - s.no_speech_prob),
+        0
+      ) / segments.length
+    : 0;
+
+  return {
+    language: code || transcription.language,
+    confidence: Math.round(confidence * 100) / 100,
+  };
+}
+
+export default {
+  name: "openai",
+  credentials: ["openaiApiKey"],
+  identify,
+};
@@ -0,0 +1,12 @@
+/*
+ * Offline language-ID stub. Reports STUB_LANGUAGE (Assamese by default)
+ * with full confidence.
+ */
+
+import { config } from "../../config.js";
+
+async function identify() {
+  return { language: config().stub.language, confidence: 1 };
+}
+
+export default { name: "stub", local: true, identify };
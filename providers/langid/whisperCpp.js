@@ -0,0 +1,29 @@
+import { runWhisper, whisperProblems } from "../localEngines.js";
+
+// whisper.cpp prints e.g. "auto-detected language: as (p = 0.734123)"
+const DETECTED = /auto-detected language: (\w+) \(p = ([\d.]+)\)/;
+
+// whisper.cpp: Spoken Language Identification, offline on the CPU. Like
+// Whisper in the cloud, it only listens to the first 30 seconds.
+async function identify(audioBuffer, { signal } = {}) {
+  const { stderr } = await runWhisper(
+    audioBuffer,
+    ["-l", "auto", "--detect-language"],
+    { signal }
+  );
+  const detected = DETECTED.exec(stderr);
+
+  if (!detected) throw new Error("whisper.cpp reported no language");
+
+  return {
+    language: detected[1],
+    confidence: Math.round(Number(detected[2]) * 100) / 100,
+  };
+}
+
+export default {
+  name: "whisper-cpp",
+  local: true,
+  checkSetup: whisperProblems,
+  identify,
+};
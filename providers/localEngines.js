@@ -0,0 +1,130 @@
+import { spawn } from "child_process";
+import fs from "fs";
+import path from "path";
+import { config, envName } from "../config.js";
+import { withTempFile } from "../tempFiles.js";
+
+/*
+ * The command-line engines behind the local providers, which need neither
+ * a network nor credentials and run on the CPU:
+ * - whisper.cpp (WHISPER_CPP_PATH) with a ggml model (WHISPER_MODEL), for
+ *   STT and language ID
+ * - eSpeak NG (ESPEAK_PATH), for TTS
+ * Neither ships with the server; install them on machines that run in
+ * local mode (LOCAL_MODE, see providers/index.js).
+ */
+
+// Languages whisper.cpp's multilingual models and eSpeak NG both know;
+// registry codes are theirs too
+export const LOCAL_ENGINE_LANGUAGES = ["as", "en", "bn", "hi", "ne"];
+
+/**
+ * Runs an engine to completion, feeding it `input` on stdin.
+ * @param {string} binary Path or name on the PATH.
+ * @param {string[]} args
+ * @param {{ input?: string|Buffer, signal?: AbortSignal }} [options]
+ * @returns {Promise<{ stdout: Buffer, stderr: string }>}
+ */
+export function runEngine(binary, args, { input, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(binary, args, { signal });
+    const stdout = [];
+    const stderr = [];
+
+    child.stdout.on("data", (chunk) => stdout.push(chunk));
+    child.stderr.on("data", (chunk) => stderr.push(chunk));
+    // An engine may exit without reading all of its input
+    child.stdin.on("error", () => {});
+    child.on("error", reject);
+    child.on("close", (exitCode) => {
+      const output = Buffer.concat(stderr).toString();
+      if (exitCode === 0) {
+        return resolve({ stdout: Buffer.concat(stdout), stderr: output });
+      }
+      const lastLine = output.trim().split("\n").at(-1);
+      reject(
+        new Error(
+          `${path.basename(binary)} exited with code ${exitCode}: ${lastLine}`
+        )
+      );
+    });
+
+    child.stdin.end(input);
+  });
+}
+
+// For the self-check: why `binary` (set by `setting`) cannot be run
+async function engineProblem(binary, args, setting) {
+  try {
+    await runEngine(binary, args);
+    return null;
+  } catch (error) {
+    const reason = error.code === "ENOENT" ? "not found" : error.message;
+    return `${binary} (${envName(setting)}) could not be run: ${reason}`;
+  }
+}
+
+/**
+ * Runs whisper.cpp on a WAV recording.
+ * @param {Buffer} audio 16kHz mono WAV.
+ * @param {string[]} args Arguments on top of model, threads and input.
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<{ json: ?Object, stderr: string }>} `json` is the
+ *   transcription whisper.cpp wrote (-oj), if it got that far.
+ */
+export function runWhisper(audio, args, { signal } = {}) {
+  const { whisperPath, whisperModel, whisperThreads } = config().local;
+
+  return withTempFile(audio, async (file) => {
+    // Named after the input, so the temp-file sweeper leaves it alone
+    const output = `${file}.whisper`;
+    try {
+      const { stderr } = await runEngine(
+        whisperPath,
+        [
+          ...["-m", whisperModel, "-t", String(whisperThreads)],
+          ...["-f", file, "-oj", "-of", output],
+          ...args,
+        ],
+        { signal }
+      );
+      const json = await fs.promises
+        .readFile(`${output}.json`, "utf8")
+        .then(JSON.parse, () => null);
+      return { json, stderr };
+    } finally {
+      await fs.promises.rm(`${output}.json`, { force: true });
+    }
+  });
+}
+
+/**
+ * What keeps whisper.cpp from running: its binary or model.
+ * @returns {Promise<string[]>}
+ */
+export async function whisperProblems() {
+  const { whisperPath, whisperModel } = config().local;
+  const problems = [
+    await engineProblem(whisperPath, ["-h"], "local.whisperPath"),
+  ];
+
+  if (!fs.existsSync(whisperModel)) {
+    problems.push(
+      `${envName("local.whisperModel")} names a file that does not exist`
+    );
+  }
+  return problems.filter(Boolean);
+}
+
+/**
+ * What keeps eSpeak NG from running.
+ * @returns {Promise<string[]>}
+ */
+export async function espeakProblems() {
+  const problem = await engineProblem(
+    config().local.espeakPath,
+    ["--version"],
+    "local.espeakPath"
+  );
+  return problem ? [problem] : [];
+}
@@ -0,0 +1,76 @@
+import { SpeechClient } from "@google-cloud/speech";
+import { config } from "../../config.js";
+import { AppError } from "../../errors.js";
+import { getLanguage } from "../../languages.js";
+
+let client;
+
+function getClient() {
+  if (!client) {
+    client = new SpeechClient({
+      keyFilename: config().credentials.googleApplicationCredentials,
+    });
+  }
+  return client;
+}
+
+// protobuf Duration → seconds
+function toSeconds(duration) {
+  return Number(duration?.seconds || 0) + (duration?.nanos || 0) / 1e9;
+}
+
+// Google Speech: Speech to Text
+async function transcribe(
+  audioBuffer,
+  { language = "as", phrases = [], timestamps = false } = {}
+) {
+  const { name, sttLocale, phrases: commonPhrases } = getLanguage(language);
+
+  if (!sttLocale) {
+    throw new AppError(`Google Speech does not support ${name}`, {
+      code: "unsupported_language",
+    });
+  }
+
+  // The pipeline hands us DSP output, which is always 16kHz mono WAV.
+  const speechConfig = {
+    encoding: "LINEAR16",
+    sampleRateHertz: 16000,
+    languageCode: sttLocale,
+    useEnhanced: true,
+    speechContexts: [{ phrases: [...commonPhrases, ...phrases] }],
+    enableWordTimeOffsets: timestamps,
+  };
+
+  const [speechResponse] = await getClient().recognize({
+    audio: { content: audioBuffer.toString("base64") },
+    config: speechConfig,
+  });
+
+  const text = speechResponse.results
+    .map((r) => r.alternatives[0].transcript)
+    .join("\n");
+
+  if (!text) {
+    throw new AppError("No speech was recognized", { code: "no_speech" });
+  }
+
+  if (!timestamps) return { text };
+
+  // Each result is one stretch of speech; its words carry the timing
+  const segments = speechResponse.results
+    .map(({ alternatives: [best], resultEndTime }) => ({
+      start: toSeconds(best.words?.[0]?.startTime),
+      end: toSeconds(best.words?.at(-1)?.endTime || resultEndTime),
+      text: best.transcript.trim(),
+    }))
+    .filter((segment) => segment.text);
+
+  return { text, segments };
+}
+
+export default {
+  name: "google-speech",
+  credentials: ["googleApplicationCredentials"],
+  transcribe,
+};
@@ -0,0 +1,70 @@
+import OpenAI, { toFile } from "openai";
+import { config } from "../../config.js";
+import { AppError } from "../../errors.js";
+import { getLanguage } from "../../languages.js";
+
+let client;
+
+// Created on first use so the server can boot without an OpenAI key when
+// another STT provider is configured.
+function getClient() {
+  if (!client) {
+    // Retries are up to the provider chain (chain.js)
+    client = new OpenAI({
+      apiKey: config().credentials.openaiApiKey,
+      maxRetries: 0,
+    });
+  }
+  return client;
+}
+
+// The prompt is capped by the API (224 tokens for Whisper), so only the
+// first few glossary terms make it in.
+const MAX_PROMPT_PHRASES = 40;
+
+// OpenAI Whisper: Speech to Text
+// Only whisper-1 reports segment timings, so timestamped requests get the
+// timestamped model (whisper-1 by default).
+async function transcribe(
+  audioBuffer,
+  { language = "as", phrases = [], timestamps = false, signal } = {}
+) {
+  const { sttHint } = getLanguage(language);
+  const vocabulary = phrases.slice(0, MAX_PROMPT_PHRASES).join(", ");
+
+  const transcription = await getClient().audio.transcriptions.create(
+    {
+      file: await toFile(audioBuffer, "audio.wav", { type: "audio/wav" }),
+      model: timestamps
+        ? config().models.openaiTimestampedStt
+        : config().models.openaiStt,
+      prompt: vocabulary ? `${sttHint} Vocabulary: ${vocabulary}.` : sttHint,
+      ...(timestamps && {
+        response_format: "verbose_json",
+        timestamp_granularities: ["segment"],
+      }),
+    },
+    { signal }
+  );
+
+  if (!transcription.text) {
+    throw new AppError("No speech was recognized", { code: "no_speech" });
+  }
+
+  if (!timestamps) return { text: transcription.text };
+
+  return {
+    text: transcription.text,
+    segments: transcription.segments.map(({ start, end, text }) => ({
+      start,
+      end,
+      text: text.trim(),
+    })),
+  };
+}
+
+export default {
+  name: "openai",
+  credentials: ["openaiApiKey"],
+  transcribe,
+};
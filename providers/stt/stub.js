@@ -0,0 +1,34 @@
+/*
+ * Offline STT stub for tests and dev machines without network access.
+ * Always returns the language's sample sentence from the registry,
+ * overridable via STUB_TRANSCRIPT. Timestamped requests get one segment
+ * per sentence, spread evenly over the audio.
+ */
+
+import { config } from "../../config.js";
+import { getLanguage } from "../../languages.js";
+import { splitSentences } from "../../segmenter.js";
+import { parseWav } from "../../wavHelper.js";
+
+async function transcribe(
+  audioBuffer,
+  { language = "as", timestamps = false } = {}
+) {
+  const text = config().stub.transcript || getLanguage(language).sample;
+  if (!timestamps) return { text };
+
+  const { sampleRate, pcm } = parseWav(audioBuffer);
+  const sentences = splitSentences(text);
+  const length = pcm.length / sampleRate / sentences.length;
+
+  return {
+    text,
+    segments: sentences.map((sentence, i) => ({
+      start: i * length,
+      end: (i + 1) * length,
+      text: sentence,
+    })),
+  };
+}
+
+export default { name: "stub", local: true, transcribe };
@@ -0,0 +1,64 @@
+import { AppError } from "../../errors.js";
+import { getLanguage } from "../../languages.js";
+import {
+  LOCAL_ENGINE_LANGUAGES,
+  runWhisper,
+  whisperProblems,
+} from "../localEngines.js";
+
+// Like OpenAI's, the prompt only has room for the first glossary terms
+const MAX_PROMPT_PHRASES = 40;
+
+// Whisper's own markers for stretches without words ("[BLANK_AUDIO]",
+// "(music)")
+const NON_SPEECH = /^[[(].*[\])]$/;
+
+// whisper.cpp: Speech to Text, offline on the CPU
+async function transcribe(
+  audioBuffer,
+  { language = "as", phrases = [], timestamps = false, signal } = {}
+) {
+  const { name, sttHint } = getLanguage(language);
+
+  if (!LOCAL_ENGINE_LANGUAGES.includes(language)) {
+    throw new AppError(`whisper.cpp does not support ${name}`, {
+      code: "unsupported_language",
+    });
+  }
+
+  const vocabulary = phrases.slice(0, MAX_PROMPT_PHRASES).join(", ");
+  const { json } = await runWhisper(
+    audioBuffer,
+    [
+      ...["-l", language, "-np"],
+      ...[
+        "--prompt",
+        vocabulary ? `${sttHint} Vocabulary: ${vocabulary}.` : sttHint,
+      ],
+    ],
+    { signal }
+  );
+
+  // Offsets are in milliseconds
+  const segments = (json?.transcription || [])
+    .map(({ offsets, text }) => ({
+      start: offsets.from / 1000,
+      end: offsets.to / 1000,
+      text: text.trim(),
+    }))
+    .filter((segment) => segment.text && !NON_SPEECH.test(segment.text));
+  const text = segments.map((segment) => segment.text).join(" ");
+
+  if (!text) {
+    throw new AppError("No speech was recognized", { code: "no_speech" });
+  }
+
+  return timestamps ? { text, segments } : { text };
+}
+
+export default {
+  name: "whisper-cpp",
+  local: true,
+  checkSetup: whisperProblems,
+  transcribe,
+};
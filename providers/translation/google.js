@@ -0,0 +1,36 @@
+import { TranslationServiceClient } from "@google-cloud/translate";
+import { config } from "../../config.js";
+import { getLanguage } from "../../languages.js";
+
+let client;
+
+function getClient() {
+  if (!client) {
+    client = new TranslationServiceClient({
+      keyFilename: config().credentials.googleApplicationCredentials,
+    });
+  }
+  return client;
+}
+
+// Google Translate: Text to Text
+async function translate(text, { from = "as", to = "en" } = {}) {
+  const projectId = config().credentials.googleCloudProjectId;
+  const location = config().models.googleTranslateLocation;
+
+  const [response] = await getClient().translateText({
+    parent: `projects/${projectId}/locations/${location}`,
+    contents: [text],
+    mimeType: "text/plain",
+    sourceLanguageCode: getLanguage(from).translateCode,
+    targetLanguageCode: getLanguage(to).translateCode,
+  });
+
+  return { text: response.translations[0].translatedText };
+}
+
+export default {
+  name: "google",
+  credentials: ["googleCloudProjectId", "googleApplicationCredentials"],
+  translate,
+};
@@ -0,0 +1,119 @@
+import fs from "fs";
+import { config, envName } from "../../config.js";
+import { AppError } from "../../errors.js";
+import { getLanguage } from "../../languages.js";
+
+/*
+ * Offline phrasebook translation.
+ *
+ * Looks phrases up in a table per language pair ("as-en"): the bundled
+ * phrasebook.json, plus PHRASEBOOK_FILE in the same layout, whose entries
+ * win. Text is matched left to right, longest phrase first, so whole
+ * sentences in the table are translated as such and anything else word by
+ * word; words the table does not know are kept as spoken. Rough, but it
+ * needs no network and no model.
+ */
+
+const BUNDLED = new URL("./phrasebook.json", import.meta.url);
+
+// Words, including the vowel signs of Indic scripts and apostrophes
+// ("ক'ত"); everything in between is kept as it is
+const WORD = /([\p{L}\p{M}\p{N}'’]+)/u;
+
+// Pair → { phrases: Map<words, translation>, longest: number }
+let tables = null;
+
+const normalize = (text) => text.normalize("NFC").toLowerCase();
+
+function loadTables() {
+  if (tables) return tables;
+
+  const { phrasebookFile } = config().local;
+  const sources = [BUNDLED, phrasebookFile].filter(Boolean);
+
+  const loaded = {};
+  for (const source of sources) {
+    const phrasebook = JSON.parse(fs.readFileSync(source, "utf8"));
+
+    for (const [pair, phrases] of Object.entries(phrasebook)) {
+      loaded[pair] ??= { phrases: new Map(), longest: 1 };
+      const table = loaded[pair];
+
+      for (const [phrase, translation] of Object.entries(phrases)) {
+        const words = normalize(phrase)
+          .split(WORD)
+          .filter((_, i) => i % 2);
+        table.phrases.set(words.join(" "), translation);
+        table.longest = Math.max(table.longest, words.length);
+      }
+    }
+  }
+
+  tables = loaded;
+  return tables;
+}
+
+// For the self-check: PHRASEBOOK_FILE must be readable
+async function checkSetup() {
+  try {
+    loadTables();
+    return [];
+  } catch (error) {
+    const setting = envName("local.phrasebookFile");
+    return [`${setting} could not be read: ${error.message}`];
+  }
+}
+
+// Longest phrase at words[start], within one run of space-separated words
+function longestMatch(table, words, gaps, start) {
+  for (let length = table.longest; length > 0; length--) {
+    const end = start + length;
+    if (end > words.length) continue;
+    if (gaps.slice(start + 1, end).some((gap) => !/^\s+$/.test(gap))) continue;
+
+    const translation = table.phrases.get(
+      words.slice(start, end).map(normalize).join(" ")
+    );
+    if (translation) return { translation, length };
+  }
+  return null;
+}
+
+async function translate(text, { from = "as", to = "en" } = {}) {
+  const table = loadTables()[`${from}-${to}`];
+
+  if (!table) {
+    throw new AppError(
+      `The phrasebook has no ${getLanguage(from).name} → ${
+        getLanguage(to).name
+      } phrases`,
+      { code: "unsupported_language" }
+    );
+  }
+
+  // Alternating gaps and words: gaps[i] comes before words[i]
+  const parts = text.normalize("NFC").split(WORD);
+  const gaps = parts.filter((_, i) => i % 2 === 0);
+  const words = parts.filter((_, i) => i % 2 === 1);
+
+  let translated = gaps[0];
+  for (let i = 0; i < words.length; ) {
+    const match = longestMatch(table, words, gaps, i);
+    const length = match?.length || 1;
+
+    translated += (match?.translation ?? words[i]) + gaps[i + length];
+    i += length;
+  }
+
+  // The danda ends sentences in Bengali-Assamese script
+  translated = translated
+    .replace(/।/g, ".")
+    .replace(
+      /(^|[.!?]\s+)(\p{Ll})/gu,
+      (_, before, letter) => before + letter.toUpperCase()
+    );
+
+  return { text: translated };
+}
+
+export default { name: "phrasebook", local: true, checkSetup, translate };
@@ -0,0 +1,10 @@
+/*
+ * Offline translation stub. Tags the input with the language pair instead
+ * of translating it, so the output is still traceable in tests.
+ */
+
+async function translate(text, { from = "as", to = "en" } = {}) {
+  return { text: `[${from}→${to}] ${text}` };
+}
+
+export default { name: "stub", local: true, translate };
@@ -0,0 +1,52 @@
+import { config } from "../../config.js";
+import { AppError } from "../../errors.js";
+import { getLanguage } from "../../languages.js";
+import { parseWav, pcmToWav } from "../../wavHelper.js";
+import {
+  espeakProblems,
+  LOCAL_ENGINE_LANGUAGES,
+  runEngine,
+} from "../localEngines.js";
+
+// eSpeak NG voice variants, appended to the language ("as+f3")
+const VOICES = [
+  { name: "espeak-male", description: "eSpeak NG, male", variant: "" },
+  { name: "espeak-female", description: "eSpeak NG, female", variant: "+f3" },
+];
+
+// eSpeak NG: Text to Speech, offline on the CPU. Robotic, but it speaks
+// Assamese without a network.
+async function synthesize(text, { language = "en", voice, signal } = {}) {
+  if (!LOCAL_ENGINE_LANGUAGES.includes(language)) {
+    throw new AppError(
+      `eSpeak NG does not speak ${getLanguage(language).name}`,
+      {
+        code: "unsupported_language",
+      }
+    );
+  }
+
+  const { variant } =
+    VOICES.find((candidate) => candidate.name === voice) || VOICES[0];
+  // Text goes through stdin, so nothing in it is taken for an option
+  const { stdout } = await runEngine(
+    config().local.espeakPath,
+    ["-v", `${language}${variant}`, "--stdin", "--stdout"],
+    { input: text, signal }
+  );
+
+  // eSpeak streams its WAV with placeholder sizes; rewrite the header
+  const { sampleRate, pcm } = parseWav(stdout);
+  const wavBlob = pcmToWav(pcm, sampleRate);
+  const wavBuffer = Buffer.from(await wavBlob.arrayBuffer());
+
+  return { audio: wavBuffer, mimeType: "audio/wav" };
+}
+
+export default {
+  name: "espeak",
+  local: true,
+  checkSetup: espeakProblems,
+  voices: VOICES,
+  synthesize,
+};
@@ -0,0 +1,94 @@
+import axios from "axios";
+import { config } from "../../config.js";
+import { defaultVoice, getLanguage } from "../../languages.js";
+import { VOICE_STYLES } from "../../voiceSettings.js";
+import { base64ToArrayBuffer, pcmToWav } from "../../wavHelper.js";
+
+// Gemini's prebuilt voices and the character Google describes them with
+const VOICES = [
+  ["Zephyr", "Bright"],
+  ["Puck", "Upbeat"],
+  ["Charon", "Informative"],
+  ["Kore", "Firm"],
+  ["Fenrir", "Excitable"],
+  ["Leda", "Youthful"],
+  ["Orus", "Firm"],
+  ["Aoede", "Breezy"],
+  ["Callirrhoe", "Easy-going"],
+  ["Autonoe", "Bright"],
+  ["Enceladus", "Breathy"],
+  ["Iapetus", "Clear"],
+  ["Umbriel", "Easy-going"],
+  ["Algieba", "Smooth"],
+  ["Despina", "Smooth"],
+  ["Erinome", "Clear"],
+  ["Algenib", "Gravelly"],
+  ["Rasalgethi", "Informative"],
+  ["Laomedeia", "Upbeat"],
+  ["Achernar", "Soft"],
+  ["Alnilam", "Firm"],
+  ["Schedar", "Even"],
+  ["Gacrux", "Mature"],
+  ["Pulcherrima", "Forward"],
+  ["Achird", "Friendly"],
+  ["Zubenelgenubi", "Casual"],
+  ["Vindemiatrix", "Gentle"],
+  ["Sadachbia", "Lively"],
+  ["Sadaltager", "Knowledgeable"],
+  ["Sulafat", "Warm"],
+].map(([name, description]) => ({ name, description }));
+
+// Gemini TTS: Text to Speech
+// Gemini picks the language up from the text itself; the registry's
+// read-aloud prompt nudges it where scripts are shared (e.g. Assamese
+// would otherwise be read as Bengali). Styles are prompted the same way.
+async function synthesize(
+  text,
+  { language = "en", voice, style, signal } = {}
+) {
+  const { prompt: languagePrompt } = getLanguage(language).tts;
+  const prompt = [VOICE_STYLES[style], languagePrompt]
+    .filter(Boolean)
+    .join(" ");
+  const { models, credentials } = config();
+  const ttsUrl = `https://generativelanguage.googleapis.com/v1beta/models/${models.geminiTts}:generateContent?key=${credentials.geminiApiKey}`;
+
+  const payload = {
+    contents: [{ parts: [{ text: prompt ? `${prompt} ${text}` : text }] }],
+    generationConfig: {
+      responseModalities: ["AUDIO"],
+      speechConfig: {
+        voiceConfig: {
+          prebuiltVoiceConfig: { voiceName: voice || defaultVoice(language) },
+        },
+      },
+    },
+  };
+
+  const response = await axios.post(ttsUrl, payload, {
+    headers: { "Content-Type": "application/json" },
+    signal,
+  });
+
+  const audioBase64 =
+    response.data?.candidates?.[0]?.content?.parts?.[0]?.inlineData?.data;
+
+  if (!audioBase64) {
+    throw new Error("Gemini TTS did not return audio");
+  }
+
+  // Gemini returns raw 16-bit PCM at 24kHz
+  const pcmData = base64ToArrayBuffer(audioBase64);
+  const pcm16 = new Int16Array(pcmData);
+  const wavBlob = pcmToWav(pcm16, 24000);
+  const wavBuffer = Buffer.from(await wavBlob.arrayBuffer());
+
+  return { audio: wavBuffer, mimeType: "audio/wav" };
+}
+
+export default {
+  name: "gemini",
+  credentials: ["geminiApiKey"],
+  voices: VOICES,
+  synthesize,
+};
@@ -0,0 +1,34 @@
+/*
+ * Offline TTS stub. Produces a short quiet tone whose length grows with
+ * the text, so the output is a valid, playable WAV file.
+ */
+
+import { pcmToWav } from "../../wavHelper.js";
+
+const SAMPLE_RATE = 24000;
+
+// Voices differ by the pitch of their tone
+const VOICES = [
+  { name: "stub-high", description: "440 Hz tone", frequency: 440 },
+  { name: "stub-low", description: "220 Hz tone", frequency: 220 },
+];
+
+async function synthesize(text, { voice } = {}) {
+  const { frequency } =
+    VOICES.find((candidate) => candidate.name === voice) || VOICES[0];
+  const seconds = Math.min(0.5 + text.length * 0.02, 5);
+  const pcm16 = new Int16Array(Math.round(seconds * SAMPLE_RATE));
+
+  for (let i = 0; i < pcm16.length; i++) {
+    pcm16[i] = Math.round(
+      2000 * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE)
+    );
+  }
+
+  const wavBlob = pcmToWav(pcm16, SAMPLE_RATE);
+  const wavBuffer = Buffer.from(await wavBlob.arrayBuffer());
+
+  return { audio: wavBuffer, mimeType: "audio/wav" };
+}
+
+export default { name: "stub", local: true, voices: VOICES, synthesize };
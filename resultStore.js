@@ -0,0 +1,51 @@
+import { v4 as uuidv4 } from "uuid";
+
+/*
+ * Short-lived in-memory store for synthesized audio, so JSON responses can
+ * hand out a fetchable URL instead of inlining the audio as base64.
+ * Entries expire after RESULT_TTL_MS and are never written to disk.
+ */
+
+const RESULT_TTL_MS = 10 * 60 * 1000;
+
+const results = new Map();
+
+/**
+ * Stores an audio result and returns its ID.
+ * @param {Buffer} audio The audio bytes.
+ * @param {string} mimeType The audio MIME type.
+ * @param {string} [extension] File extension for downloads.
+ * @returns {string} The result ID.
+ */
+export function saveResult(audio, mimeType, extension) {
+  const id = uuidv4();
+  results.set(id, {
+    audio,
+    mimeType,
+    extension,
+    expiresAt: Date.now() + RESULT_TTL_MS,
+  });
+  return id;
+}
+
+/**
+ * Fetches a stored result, or null if it is unknown or expired.
+ * @param {string} id The result ID.
+ */
+export function getResult(id) {
+  const entry = results.get(id);
+
+  if (!entry || entry.expiresAt < Date.now()) {
+    results.delete(id);
+    return null;
+  }
+
+  return entry;
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, entry] of results) {
+    if (entry.expiresAt < now) results.delete(id);
+  }
+}, 60 * 1000).unref();
@@ -0,0 +1,51 @@
+import express from "express";
+import { getKey, getUsage, issueKey, listKeys, revokeKey } from "../apiKeys.js";
+
+/* ---------------------------------------------------------
+   API KEY ADMINISTRATION  (/api/admin, admin token only)
+   GET    /keys            all keys with today's usage
+   POST   /keys            { name, rateLimit, dailyAudioMinutes }
+                           answers with the key's `secret`, once
+   GET    /keys/:id
+   GET    /keys/:id/usage  ?from=2024-05-01&to=2024-05-31  per day
+   DELETE /keys/:id        revokes the key
+--------------------------------------------------------- */
+const router = express.Router();
+
+router.get("/keys", (req, res) => {
+  res.json(listKeys());
+});
+
+router.post("/keys", (req, res, next) => {
+  try {
+    res.status(201).json(issueKey(req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/keys/:id", (req, res) => {
+  const key = getKey(req.params.id);
+  if (!key) return res.status(404).json({ error: "Key not found." });
+  res.json(key);
+});
+
+router.get("/keys/:id/usage", (req, res, next) => {
+  if (!getKey(req.params.id))
+    return res.status(404).json({ error: "Key not found." });
+
+  try {
+    const { from, to } = req.query;
+    res.json(getUsage(req.params.id, { from, to }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/keys/:id", (req, res) => {
+  if (!revokeKey(req.params.id))
+    return res.status(404).json({ error: "Key not found." });
+  res.status(204).end();
+});
+
+export default router;
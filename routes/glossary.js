@@ -0,0 +1,61 @@
+import express from "express";
+import { requireAdmin } from "../auth.js";
+import {
+  createEntry,
+  deleteEntry,
+  getEntry,
+  listEntries,
+  updateEntry,
+} from "../glossary.js";
+
+/* ---------------------------------------------------------
+   GLOSSARY CRUD  (/api/glossary)
+   GET    /            ?from=as&to=en&q=majuli
+   GET    /:id
+   POST   /            { term, translation, from, to, category, notes }
+   PUT    /:id         any of the fields above
+   DELETE /:id
+   The glossary is shared by every key, so only the admin may change it.
+--------------------------------------------------------- */
+const router = express.Router();
+
+router.get("/", (req, res) => {
+  const { from, to, q } = req.query;
+  res.json(listEntries({ from, to, q }));
+});
+
+router.get("/:id", (req, res) => {
+  const entry = getEntry(req.params.id);
+  if (!entry) return res.status(404).json({ error: "Entry not found." });
+  res.json(entry);
+});
+
+router.post("/", requireAdmin, async (req, res, next) => {
+  try {
+    res.status(201).json(await createEntry(req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put("/:id", requireAdmin, async (req, res, next) => {
+  try {
+    const entry = await updateEntry(req.params.id, req.body);
+    if (!entry) return res.status(404).json({ error: "Entry not found." });
+    res.json(entry);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/:id", requireAdmin, async (req, res, next) => {
+  try {
+    if (!(await deleteEntry(req.params.id)))
+      return res.status(404).json({ error: "Entry not found." });
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,40 @@
+import express from "express";
+import { deleteRun, getRun, getRunAudio, listRuns } from "../history.js";
+
+/* ---------------------------------------------------------
+   TRANSLATION HISTORY  (/api/history)
+   GET    /                 ?q=majuli&from=as&to=en&page=1&pageSize=20
+   GET    /:id
+   GET    /:id/audio/:kind  kind = original | cleaned | output
+   DELETE /:id
+   An API key only sees and deletes its own runs; the admin sees all.
+--------------------------------------------------------- */
+const router = express.Router();
+
+router.get("/", (req, res) => {
+  const { q, from, to, page, pageSize } = req.query;
+  res.json(listRuns({ q, from, to, page, pageSize, keyId: req.apiKey?.id }));
+});
+
+router.get("/:id", (req, res) => {
+  const entry = getRun(req.params.id, req.apiKey?.id);
+  if (!entry) return res.status(404).json({ error: "Entry not found." });
+  res.json(entry);
+});
+
+router.get("/:id/audio/:kind", (req, res) => {
+  const track = getRunAudio(req.params.id, req.params.kind, req.apiKey?.id);
+  if (!track) return res.status(404).json({ error: "Audio not found." });
+
+  res.setHeader("Content-Type", track.mimeType);
+  res.setHeader("Content-Length", track.audio.length);
+  res.send(track.audio);
+});
+
+router.delete("/:id", (req, res) => {
+  if (!deleteRun(req.params.id, req.apiKey?.id))
+    return res.status(404).json({ error: "Entry not found." });
+  res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,154 @@
+import { decodeToPcm } from "./audioPreprocess.js";
+import { config } from "./config.js";
+import { detectSpeechSegments } from "./vad.js";
+import { parseWav, pcmToWav } from "./wavHelper.js";
+
+/*
+ * Long-audio segmentation.
+ *
+ * Providers cap how much audio (STT) or text (TTS) one call may carry, so
+ * meeting-length recordings are cut into segments at pauses and each
+ * segment goes through STT and translation on its own. Translated speech
+ * is synthesized sentence by sentence and stitched back into one WAV.
+ */
+
+// Pause between two sentences spoken within the same segment
+const SENTENCE_PAUSE_SECONDS = 0.3;
+
+// Pauses between segments follow the speaker's, within these bounds
+const MIN_SEGMENT_PAUSE_SECONDS = 0.4;
+const MAX_SEGMENT_PAUSE_SECONDS = 1.5;
+
+function maxSegmentSeconds() {
+  return config().dsp.segmentMaxSeconds;
+}
+
+async function wavBuffer(pcm, sampleRate) {
+  const wavBlob = pcmToWav(pcm, sampleRate);
+  return Buffer.from(await wavBlob.arrayBuffer());
+}
+
+/**
+ * Splits cleaned audio into segments of at most SEGMENT_MAX_SECONDS
+ * (30 by default), cutting in the middle of pauses between speech.
+ * Audio that already fits comes back as a single segment, unchanged.
+ * @param {Buffer} cleanedWav 16-bit mono WAV from the DSP stage.
+ * @returns {Promise<{ start: number, end: number, offset: number, audio: Buffer }[]>}
+ *   Segments in order; `start` / `end` are the seconds where speech in
+ *   the segment begins and ends, `offset` where its audio begins.
+ */
+export async function splitAtSilences(cleanedWav) {
+  const { sampleRate, pcm } = parseWav(cleanedWav);
+  const duration = pcm.length / sampleRate;
+  const maxSamples = Math.round(maxSegmentSeconds() * sampleRate);
+
+  if (pcm.length <= maxSamples) {
+    return [{ start: 0, end: duration, offset: 0, audio: cleanedWav }];
+  }
+
+  const speech = detectSpeechSegments(pcm, sampleRate, { minSilenceMs: 400 });
+  if (speech.length === 0) {
+    return [{ start: 0, end: duration, offset: 0, audio: cleanedWav }];
+  }
+
+  // Merge neighbouring speech until a group would grow past the limit;
+  // a single stretch of speech longer than the limit is cut hard.
+  const groups = [];
+  for (const { start, end } of speech) {
+    const last = groups[groups.length - 1];
+    if (last && end - last.start <= maxSamples) {
+      last.end = end;
+      continue;
+    }
+    for (let from = start; from < end; from += maxSamples) {
+      groups.push({ start: from, end: Math.min(from + maxSamples, end) });
+    }
+  }
+
+  // Cut halfway through each pause so no speech is lost at the edges
+  const cuts = [0];
+  for (let i = 1; i < groups.length; i++) {
+    cuts.push(Math.round((groups[i - 1].end + groups[i].start) / 2));
+  }
+  cuts.push(pcm.length);
+
+  return Promise.all(
+    groups.map(async (group, i) => ({
+      start: group.start / sampleRate,
+      end: group.end / sampleRate,
+      offset: cuts[i] / sampleRate,
+      audio: await wavBuffer(pcm.subarray(cuts[i], cuts[i + 1]), sampleRate),
+    }))
+  );
+}
+
+/**
+ * Splits text into sentences on Latin and Indic (danda) punctuation.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitSentences(text) {
+  return (text.match(/[^.!?।॥]+[.!?।॥]*/g) || [])
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Joins the synthesized sentences of every segment into one WAV, in order.
+ * Sentences within a segment get a short pause; between segments the
+ * pause follows the speaker's, within sensible bounds.
+ *
+ * Clips can come from different adapters (a fallback may answer for some
+ * sentences), so any clip at another sample rate is resampled to the
+ * first clip's.
+ * @param {{ start: ?number, end: ?number, clips: Buffer[] }[]} segments
+ *   Segments with their sentence clips (WAV).
+ * @returns {Promise<Buffer>} The stitched WAV.
+ */
+export async function stitchSpeech(segments) {
+  const clips = [];
+
+  segments.forEach((segment, i) => {
+    segment.clips.forEach((audio, j) => {
+      const pauseBefore =
+        j > 0 ? SENTENCE_PAUSE_SECONDS : pauseBetween(segments[i - 1], segment);
+      clips.push({ ...parseWav(audio), audio, pauseBefore });
+    });
+  });
+
+  const { sampleRate } = clips[0];
+  await Promise.all(
+    clips.map(async (clip) => {
+      if (clip.sampleRate === sampleRate) return;
+      clip.pcm = await decodeToPcm(clip.audio, sampleRate);
+    })
+  );
+
+  const pauseSamples = (seconds) => Math.round(seconds * sampleRate);
+  const total = clips.reduce(
+    (sum, clip, i) =>
+      sum + (i > 0 ? pauseSamples(clip.pauseBefore) : 0) + clip.pcm.length,
+    0
+  );
+
+  // Int16Array starts zeroed, so pauses are simply skipped over
+  const pcm = new Int16Array(total);
+  let offset = 0;
+  clips.forEach((clip, i) => {
+    if (i > 0) offset += pauseSamples(clip.pauseBefore);
+    pcm.set(clip.pcm, offset);
+    offset += clip.pcm.length;
+  });
+
+  return wavBuffer(pcm, sampleRate);
+}
+
+function pauseBetween(previous, segment) {
+  if (!previous || previous.end == null || segment.start == null) {
+    return MIN_SEGMENT_PAUSE_SECONDS;
+  }
+  return Math.min(
+    MAX_SEGMENT_PAUSE_SECONDS,
+    Math.max(MIN_SEGMENT_PAUSE_SECONDS, segment.start - previous.end)
+  );
+}
@@ -0,0 +1,177 @@
+import { execFile } from "child_process";
+import fs from "fs";
+import { config, envName } from "./config.js";
+import { ffmpegBinary, ffprobeBinary } from "./ffmpegBinaries.js";
+import { getProvider, listProviders, STAGES } from "./providers/index.js";
+
+/*
+ * Self-check: can this server do real work?
+ *
+ * - ffmpeg and ffprobe run (every upload goes through both)
+ * - every pipeline stage has at least one configured provider whose
+ *   credentials are set (see `credentials` in providers/index.js); a
+ *   Google service account file must also exist. Local providers need
+ *   their engines and models instead (`checkSetup`).
+ *
+ * Runs once at boot, where problems are logged, and behind /api/ready,
+ * which answers 503 while any check fails. Finished reports are reused
+ * for REPORT_TTL_MS so the endpoint is cheap to poll; every check is
+ * time-boxed, so a hung binary or engine fails its check instead of
+ * holding up the report.
+ */
+
+const REPORT_TTL_MS = 10 * 1000;
+const BINARY_TIMEOUT_MS = 5000;
+const SETUP_TIMEOUT_MS = 5000;
+
+// The last finished report, and the check in progress if any
+let latest = null;
+let pending = null;
+
+// Runs `<binary> -version`; the problem, if any, names the setting to fix
+function checkBinary(name, file, setting) {
+  return new Promise((resolve) => {
+    const failed = (reason) =>
+      resolve({
+        ok: false,
+        problem: `${name} could not be run (${envName(setting)}): ${reason}`,
+      });
+
+    if (!file) return failed("no bundled binary for this platform");
+
+    execFile(
+      file,
+      ["-version"],
+      { timeout: BINARY_TIMEOUT_MS },
+      (error, stdout) => {
+        if (error) {
+          return failed(error.code === "ENOENT" ? "not found" : error.message);
+        }
+        resolve({ ok: true, version: stdout.split("\n")[0] });
+      }
+    );
+  });
+}
+
+// What keeps one credential from working, if anything
+function credentialProblem(credential) {
+  const value = config().credentials[credential];
+  const variable = envName(`credentials.${credential}`);
+
+  if (!value) return `${variable} is not set`;
+  if (credential === "googleApplicationCredentials" && !fs.existsSync(value)) {
+    return `${variable} names a file that does not exist`;
+  }
+  return null;
+}
+
+async function checkAdapter(stage, name) {
+  let adapter;
+  try {
+    adapter = getProvider(stage, name);
+  } catch (error) {
+    return { name, ok: false, problems: [error.message] };
+  }
+
+  const problems = [
+    ...(adapter.credentials || []).map(credentialProblem).filter(Boolean),
+    ...(await setupProblems(adapter)),
+  ];
+  return { name, ok: problems.length === 0, problems };
+}
+
+// A local adapter's own check of its engine and models (checkSetup), which
+// may run the engine; given up on after SETUP_TIMEOUT_MS
+async function setupProblems(adapter) {
+  if (!adapter.checkSetup) return [];
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(
+      () => resolve([`setup check timed out after ${SETUP_TIMEOUT_MS} ms`]),
+      SETUP_TIMEOUT_MS
+    );
+  });
+
+  try {
+    return (await Promise.race([adapter.checkSetup(), timeout])) || [];
+  } catch (error) {
+    return [`setup check failed: ${error.message}`];
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// A stage works while any provider in its default chain does
+async function checkStage(stage) {
+  const names = listProviders()[stage].default.split(",");
+  const providers = await Promise.all(
+    names.map((name) => checkAdapter(stage, name))
+  );
+  const ok = providers.some((provider) => provider.ok);
+
+  return {
+    ok,
+    providers,
+    problem: ok
+      ? null
+      : `no ${stage} provider is usable: ${providers
+          .map(
+            (provider) => `${provider.name} (${provider.problems.join(", ")})`
+          )
+          .join("; ")}`,
+  };
+}
+
+async function runChecks() {
+  const [ffmpeg, ffprobe] = await Promise.all([
+    checkBinary("ffmpeg", ffmpegBinary(), "media.ffmpegPath"),
+    checkBinary("ffprobe", ffprobeBinary(), "media.ffprobePath"),
+  ]);
+  const stages = Object.fromEntries(
+    await Promise.all(
+      STAGES.map(async (stage) => [stage, await checkStage(stage)])
+    )
+  );
+
+  const checks = [ffmpeg, ffprobe, ...Object.values(stages)];
+  return {
+    ready: checks.every((check) => check.ok),
+    checkedAt: new Date().toISOString(),
+    problems: checks.map((check) => check.problem).filter(Boolean),
+    ffmpeg,
+    ffprobe,
+    stages,
+  };
+}
+
+/**
+ * Checks binaries and provider credentials.
+ * @param {{ fresh?: boolean }} [options] `fresh` skips the reuse of a
+ *   recent report.
+ * @returns {Promise<{ ready: boolean, checkedAt: string, problems: string[], ffmpeg: Object, ffprobe: Object, stages: Object }>}
+ *   `problems` says what to fix, one sentence per failed check.
+ */
+export async function selfCheck({ fresh = false } = {}) {
+  if (!fresh && latest && Date.now() - latest.at <= REPORT_TTL_MS) {
+    return latest.report;
+  }
+  // Callers during a check wait for it rather than start another
+  if (!fresh && pending) return pending;
+
+  const startedAt = Date.now();
+  const check = runChecks()
+    .then((report) => {
+      // A slower, older check does not replace a newer report
+      if (!latest || latest.at <= startedAt) {
+        latest = { at: startedAt, report };
+      }
+      return report;
+    })
+    .finally(() => {
+      if (pending === check) pending = null;
+    });
+
+  pending = check;
+  return check;
+}
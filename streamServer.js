@@ -0,0 +1,347 @@
+import { AsyncResource } from "async_hooks";
+import { v4 as uuidv4 } from "uuid";
+import { WebSocketServer } from "ws";
+import { chargeAudio, recordUsage, withAudioCharge } from "./apiKeys.js";
+import { encodeAudio, resolveOutputOptions } from "./audioFormats.js";
+import { decodeToPcm } from "./audioPreprocess.js";
+import { identifyCaller } from "./auth.js";
+import { resolveDspSettings } from "./dspProfiles.js";
+import { publicError } from "./errors.js";
+import { saveRun } from "./history.js";
+import {
+  acquirePipeline,
+  audioTooLong,
+  clientOf,
+  fileTooLarge,
+  maxAudioMinutes,
+  maxUploadBytes,
+} from "./limits.js";
+import { logger, withLogContext } from "./logger.js";
+import { resolveLanguagePair } from "./languages.js";
+import { runPipeline, transcribeSpeech } from "./pipeline.js";
+import { resolveProviders } from "./providers/index.js";
+import { detectSpeechSegments } from "./vad.js";
+import { resolveVoiceSettings } from "./voiceSettings.js";
+import { pcmToWav } from "./wavHelper.js";
+
+/*
+ * Live translation over WebSocket  (ws://host/api/stream)
+ * --------------------------------
+ * Client → server
+ *   binary frames      : MediaRecorder chunks of ONE continuous recording
+ *   {"type":"stop"}    : recording finished, flush what is left
+ *
+ * Server → client (JSON text frames)
+ *   {"type":"ready"}
+ *   {"type":"partial",     "utterance": n, "text": "..."}   source, interim
+ *   {"type":"transcript",  "utterance": n, "text": "...",
+ *                          "detectedLanguage": {...} | null}  source, final
+ *   {"type":"translation", "utterance": n, "text": "..."}   target
+ *   {"type":"audio",       "utterance": n, "format": "...", "mimeType": "...",
+ *                          "base64": "...", "providers": {...},
+ *                          "local": {...}}  (see localStages)
+ *   {"type":"error",       "utterance": n, "error": "...", "code": "...",
+ *                          "retryable": bool}      (see errors.js)
+ *   {"type":"done"}
+ *
+ * The growing recording is decoded to PCM at most once per
+ * PROCESS_INTERVAL_MS. An utterance ends at the first pause of the VAD's
+ * minimum silence length; it is then run through the regular pipeline.
+ * Provider overrides and the language pair go in the query string,
+ * e.g. /api/stream?from=bn&to=en&stt=stub, as do the voice (voice,
+ * style, rate, pitch) and the output audio format (format, bitrate,
+ * sampleRate; see audioFormats.js). So does the API key (api_key), since
+ * browsers cannot set headers on a WebSocket; the audio of every
+ * utterance counts once against its daily audio minutes: as it grows,
+ * with each partial, and whatever is left when it is translated.
+ *
+ * A session holds one of its client's pipeline slots while it is open,
+ * and ends with an error once the recording outgrows the upload size or
+ * audio length limits (limits.js).
+ */
+
+const SAMPLE_RATE = 16000;
+const PROCESS_INTERVAL_MS = 1000;
+const PARTIAL_INTERVAL_SAMPLES = 2 * SAMPLE_RATE;
+const MIN_SILENCE_SAMPLES = 0.7 * SAMPLE_RATE;
+
+/**
+ * Attaches the live translation WebSocket endpoint to an HTTP server.
+ * @param {import("http").Server} server The server Express listens on.
+ */
+export function attachStreamServer(server) {
+  const wss = new WebSocketServer({
+    server,
+    path: "/api/stream",
+    maxPayload: maxUploadBytes(),
+  });
+
+  wss.on("connection", (socket, req) => {
+    const query = new URL(req.url, "http://localhost").searchParams;
+
+    let apiKey, releasePipeline, providers, languages, dsp, voice, output;
+    try {
+      ({ key: apiKey } = identifyCaller(
+        req.headers,
+        Object.fromEntries(query)
+      ));
+      releasePipeline = acquirePipeline(
+        clientOf(apiKey, req.socket.remoteAddress)
+      );
+      providers = resolveProviders({
+        langid: query.get("langid"),
+        stt: query.get("stt"),
+        translation: query.get("translation"),
+        tts: query.get("tts"),
+      });
+      languages = resolveLanguagePair({
+        from: query.get("from"),
+        to: query.get("to"),
+        direction: query.get("direction"),
+      });
+      dsp = resolveDspSettings(query.get("dsp"), query.get("dspParams"));
+      voice = resolveVoiceSettings(
+        {
+          voice: query.get("voice"),
+          style: query.get("style"),
+          rate: query.get("rate"),
+          pitch: query.get("pitch"),
+        },
+        providers.tts
+      );
+      output = resolveOutputOptions({
+        format: query.get("format"),
+        bitrate: query.get("bitrate"),
+        sampleRate: query.get("sampleRate"),
+      });
+    } catch (error) {
+      releasePipeline?.();
+      const { code, message } = publicError(error);
+      socket.send(JSON.stringify({ type: "error", error: message, code }));
+      return socket.close();
+    }
+    socket.on("close", releasePipeline);
+
+    // Everything logged for this session carries its ID
+    withLogContext({ sessionId: uuidv4() }, () =>
+      handleStreamSession(socket, providers, languages, {
+        apiKey,
+        dsp,
+        voice,
+        output,
+      })
+    );
+  });
+
+  return wss;
+}
+
+function handleStreamSession(
+  socket,
+  providers,
+  { from, to },
+  { apiKey, dsp, voice, output }
+) {
+  const chunks = [];
+  let receivedBytes = 0;
+  let processedSamples = 0; // samples already handed off as utterances
+  let partialSamples = 0; // open-utterance length at the last partial
+  let chargedSamples = 0; // open-utterance samples already charged
+  let utterance = 0;
+  let timer = null;
+  let running = Promise.resolve();
+  let closed = false;
+
+  const send = (message) => {
+    if (!closed) socket.send(JSON.stringify(message));
+  };
+
+  // Ends a session that went over a limit
+  const stopOver = (error) => {
+    const { code, message } = publicError(error);
+    send({ type: "error", error: message, code, retryable: false });
+    closed = true;
+    socket.close();
+  };
+
+  // Serialize processing rounds so utterances are emitted in order
+  const schedule = (final) => {
+    running = running.then(() => processRecording(final));
+    return running;
+  };
+
+  async function processRecording(final) {
+    if (chunks.length === 0) return;
+
+    let pcm;
+    try {
+      pcm = await decodeToPcm(Buffer.concat(chunks), SAMPLE_RATE);
+    } catch (error) {
+      // The tail of a live recording is often a half-written cluster;
+      // the next round will decode it once more data has arrived.
+      if (final) {
+        send({
+          type: "error",
+          error: "Could not decode audio",
+          code: "corrupt_media",
+        });
+      }
+      return;
+    }
+
+    if (pcm.length > maxAudioMinutes() * 60 * SAMPLE_RATE) {
+      return stopOver(audioTooLong());
+    }
+
+    const origin = processedSamples;
+    const pending = pcm.subarray(origin);
+    const segments = detectSpeechSegments(pending, SAMPLE_RATE);
+
+    for (const segment of segments) {
+      const isClosed = pending.length - segment.end >= MIN_SILENCE_SAMPLES;
+
+      if (isClosed || final) {
+        await translateUtterance(pending.subarray(segment.start, segment.end));
+        processedSamples = origin + segment.end;
+        partialSamples = 0;
+        chargedSamples = 0;
+      } else if (
+        segment.end - segment.start - partialSamples >=
+        PARTIAL_INTERVAL_SAMPLES
+      ) {
+        partialSamples = segment.end - segment.start;
+        await sendPartial(pending.subarray(segment.start, segment.end));
+      }
+    }
+  }
+
+  async function sendPartial(pcm) {
+    try {
+      // Only the audio the utterance gained since the last charge counts;
+      // once the quota is used up, partials stop
+      chargeAudio(
+        apiKey,
+        Math.max(0, pcm.length - chargedSamples) / SAMPLE_RATE
+      );
+      chargedSamples = Math.max(chargedSamples, pcm.length);
+      const { sourceText, usage } = await transcribeSpeech(await toWav(pcm), {
+        providers,
+        language: from,
+        dsp,
+      });
+      recordUsage(apiKey, usage);
+      send({ type: "partial", utterance: utterance + 1, text: sourceText });
+    } catch (error) {
+      // Partials are best-effort; the final transcript will follow
+    }
+  }
+
+  async function translateUtterance(pcm) {
+    const id = ++utterance;
+
+    try {
+      const wav = await toWav(pcm);
+      // Partials already charged the start of the utterance
+      const uncharged = Math.max(0, pcm.length - chargedSamples);
+      const result = await withAudioCharge(
+        apiKey,
+        uncharged / SAMPLE_RATE,
+        () =>
+          runPipeline(wav, {
+            providers,
+            from,
+            to,
+            dsp,
+            voice,
+            onStage: (stage, output) => {
+              if (stage === "stt") {
+                send({
+                  type: "transcript",
+                  utterance: id,
+                  text: output.text,
+                  detectedLanguage: output.detectedLanguage,
+                });
+              } else if (stage === "translation") {
+                send({ type: "translation", utterance: id, text: output.text });
+              }
+            },
+          })
+      );
+      recordUsage(apiKey, result.usage);
+
+      const speech = await encodeAudio(result.audio, output);
+      send({
+        type: "audio",
+        utterance: id,
+        format: speech.format,
+        mimeType: speech.mimeType,
+        base64: speech.audio.toString("base64"),
+        providers: result.providers,
+        local: result.local,
+      });
+
+      saveRun({
+        result,
+        providers: result.providers,
+        originalAudio: wav,
+        originalMime: "audio/wav",
+        cleanedAudio: result.cleanedAudio,
+        keyId: apiKey?.id,
+      });
+    } catch (error) {
+      logger.error("stream utterance failed", { utterance: id, error });
+      const { code, message, retryable } = publicError(error);
+      send({ type: "error", utterance: id, error: message, code, retryable });
+    }
+  }
+
+  // Socket events fire outside the session's log context; bind it back
+  socket.on(
+    "message",
+    AsyncResource.bind((data, isBinary) => {
+      if (isBinary) {
+        receivedBytes += data.length;
+        if (receivedBytes > maxUploadBytes()) return stopOver(fileTooLarge());
+
+        chunks.push(Buffer.from(data));
+        timer ??= setTimeout(() => {
+          timer = null;
+          schedule(false);
+        }, PROCESS_INTERVAL_MS);
+        return;
+      }
+
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        return send({
+          type: "error",
+          error: "Invalid control message",
+          code: "invalid_request",
+        });
+      }
+
+      if (message.type === "stop") {
+        clearTimeout(timer);
+        timer = null;
+        schedule(true).then(() => {
+          send({ type: "done" });
+          socket.close();
+        });
+      }
+    })
+  );
+
+  socket.on("close", () => {
+    closed = true;
+    clearTimeout(timer);
+  });
+
+  send({ type: "ready" });
+}
+
+async function toWav(pcm) {
+  const wavBlob = pcmToWav(pcm, SAMPLE_RATE);
+  return Buffer.from(await wavBlob.arrayBuffer());
+}
@@ -0,0 +1,94 @@
+/*
+ * Subtitle rendering from timed pipeline segments.
+ *
+ * Formats: SubRip (srt) and WebVTT (vtt). Each cue carries the translated
+ * text, the source text, or both ("bilingual": source line on top,
+ * translation underneath).
+ */
+
+export const SUBTITLE_FORMATS = {
+  srt: { mimeType: "application/x-subrip", extension: "srt" },
+  vtt: { mimeType: "text/vtt", extension: "vtt" },
+};
+
+export const SUBTITLE_TEXTS = ["translated", "source", "bilingual"];
+
+// Cues shorter than this flash by too quickly to read
+const MIN_CUE_SECONDS = 1;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// 3725.5 → "01:02:05,500" (srt) or "01:02:05.500" (vtt)
+function formatTime(seconds, separator) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+  return (
+    `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:` +
+    `${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`
+  );
+}
+
+function cueText(segment, text) {
+  if (text === "source") return segment.sourceText;
+  if (text === "bilingual") {
+    return `${segment.sourceText}\n${segment.translatedText}`;
+  }
+  return segment.translatedText;
+}
+
+/**
+ * Validates subtitle options from a request, before any provider is paid.
+ * @param {{ format?: string, text?: string }} params
+ * @returns {{ format: string, text: string, mimeType: string, extension: string }}
+ */
+export function resolveSubtitleOptions({ format, text } = {}) {
+  format = format || "srt";
+  text = text || "translated";
+
+  // Own keys only: "constructor" and friends are not formats
+  if (typeof format !== "string" || !Object.hasOwn(SUBTITLE_FORMATS, format)) {
+    throw badRequest(`Unsupported subtitle format: ${format}`);
+  }
+  if (!SUBTITLE_TEXTS.includes(text)) {
+    throw badRequest(`text must be one of: ${SUBTITLE_TEXTS.join(", ")}`);
+  }
+
+  return { format, text, ...SUBTITLE_FORMATS[format] };
+}
+
+/**
+ * Renders timed segments as a subtitle file.
+ * @param {{ start: number, end: number, sourceText: string, translatedText: string }[]} segments
+ *   Segments in order, times in seconds.
+ * @param {{ format?: "srt"|"vtt", text?: "translated"|"source"|"bilingual" }} [options]
+ * @returns {string} The subtitle file contents.
+ */
+export function renderSubtitles(segments, options) {
+  const { format, text } = resolveSubtitleOptions(options);
+  const separator = format === "srt" ? "," : ".";
+
+  const cues = segments.map((segment, i) => {
+    // Stretch short cues, but never into the next one
+    const next = segments[i + 1]?.start ?? Infinity;
+    const end = Math.min(
+      Math.max(segment.end, segment.start + MIN_CUE_SECONDS),
+      next
+    );
+    const timing =
+      `${formatTime(segment.start, separator)} --> ` +
+      formatTime(end, separator);
+    const body = cueText(segment, text);
+
+    return format === "srt"
+      ? `${i + 1}\n${timing}\n${body}`
+      : `${timing}\n${body}`;
+  });
+
+  const header = format === "vtt" ? "WEBVTT\n\n" : "";
+  return `${header}${cues.join("\n\n")}\n`;
+}
@@ -0,0 +1,119 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+
+/*
+ * Temp files for the few ffmpeg/ffprobe steps that cannot work on a pipe
+ * (mp4-family containers keep their index at the end of the file).
+ *
+ * Files live in the OS temp directory (or TEMP_DIR), in a folder per
+ * server process that only its user can read:
+ *   <tmp>/assm-translate/<pid>/<uuid>
+ * The assm-translate folder is always there, TEMP_DIR included, so the
+ * sweeper never touches what other programs keep next to it.
+ * and exist only while withTempFile's callback runs, as do the files
+ * tools write next to them (<uuid>.<suffix>, e.g. whisper.cpp's JSON
+ * output; see localEngines.js). A sweeper removes
+ * anything else: files this process no longer uses, and the folders of
+ * processes that are gone (a crash mid-request leaves its recordings
+ * behind only until the next sweep, at the latest the next start).
+ */
+
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+const active = new Set();
+
+// This process' folder, once a file has been written to it
+let ownDir = null;
+
+function tempRoot() {
+  return path.join(config().server.tempDir || os.tmpdir(), "assm-translate");
+}
+
+function processDir() {
+  return path.join(tempRoot(), String(process.pid));
+}
+
+/**
+ * Writes `data` to a fresh temp file, runs `fn` with its path and removes
+ * the file again, whether `fn` succeeds or not. Side outputs `fn` has a
+ * tool write to `${file}.<suffix>` are safe from the sweeper until then;
+ * `fn` removes them itself.
+ * @param {Buffer} data The file contents.
+ * @param {(file: string) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function withTempFile(data, fn) {
+  const dir = processDir();
+  const file = path.join(dir, uuidv4());
+
+  await fs.promises.mkdir(dir, { recursive: true, mode: 0o700 });
+  ownDir = dir;
+  active.add(file);
+
+  try {
+    // "wx" fails instead of overwriting, should a name ever repeat
+    await fs.promises.writeFile(file, data, { flag: "wx", mode: 0o600 });
+    return await fn(file);
+  } finally {
+    await fs.promises.rm(file, { force: true });
+    active.delete(file);
+  }
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: alive, but owned by someone else
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * Removes temp files nothing is using any more.
+ */
+export async function sweepTempFiles() {
+  const root = tempRoot();
+  const entries = await fs.promises.readdir(root).catch(() => []);
+
+  for (const entry of entries) {
+    const dir = path.join(root, entry);
+    const pid = Number(entry);
+
+    try {
+      if (pid === process.pid) {
+        for (const name of await fs.promises.readdir(dir)) {
+          // <uuid>.<suffix> belongs to the temp file <uuid>
+          const owner = path.join(dir, name.split(".")[0]);
+          if (!active.has(owner)) {
+            await fs.promises.rm(path.join(dir, name), { force: true });
+          }
+        }
+      } else if (Number.isInteger(pid) && !isRunning(pid)) {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+        logger.info("removed temp files of a stopped process", { pid });
+      }
+    } catch (error) {
+      logger.warn("temp file sweep failed", { dir, error });
+    }
+  }
+}
+
+// Nothing is left behind on a normal exit; the sync calls are all an
+// exit handler can make
+process.once("exit", () => {
+  if (ownDir) fs.rmSync(ownDir, { recursive: true, force: true });
+});
+
+/**
+ * Sweeps now and every few minutes from then on; called once at boot.
+ */
+export function startTempFileSweeper() {
+  sweepTempFiles();
+  setInterval(sweepTempFiles, SWEEP_INTERVAL_MS).unref();
+}
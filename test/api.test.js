@@ -0,0 +1,431 @@
+import { ADMIN_TOKEN, withSettings } from "./helpers/env.js";
+import assert from "assert/strict";
+import fs from "fs";
+import { describe, it } from "node:test";
+import { selfCheck } from "../selfCheck.js";
+import { request, uploadForm, useServer } from "./helpers/server.js";
+
+useServer();
+
+const asAdmin = { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } };
+const withAuth = (fn) => withSettings({ AUTH_ENABLED: "true" }, fn);
+
+describe("GET /api/health", () => {
+  it("answers while the process is up", async () => {
+    const res = await request("/api/health");
+
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).status, "ok");
+  });
+});
+
+describe("GET /api/ready", () => {
+  it("is ready with ffmpeg and credentials for every stage", async () => {
+    const res = await request("/api/ready");
+    const report = await res.json();
+
+    assert.equal(res.status, 200, report.problems.join("; "));
+    assert.equal(report.ready, true);
+    assert.deepEqual(Object.keys(report.stages), [
+      "langid",
+      "stt",
+      "translation",
+      "tts",
+    ]);
+  });
+
+  it("answers 503 with the problems while a stage has no provider", async () => {
+    await withSettings({ GEMINI_API_KEY: "" }, async () => {
+      await selfCheck({ fresh: true });
+      const res = await request("/api/ready");
+      const report = await res.json();
+
+      assert.equal(res.status, 503);
+      assert.equal(report.ready, false);
+      assert.deepEqual(report.problems, [
+        "no tts provider is usable: gemini (GEMINI_API_KEY is not set)",
+      ]);
+    });
+    await selfCheck({ fresh: true });
+  });
+
+  it("gives up on a provider's setup check that hangs", async (t) => {
+    const { default: espeak } = await import("../providers/tts/espeak.js");
+    t.mock.method(espeak, "checkSetup", () => new Promise(() => {}));
+
+    await withSettings({ TTS_PROVIDER: "espeak" }, async () => {
+      const report = await selfCheck({ fresh: true });
+
+      assert.equal(report.ready, false);
+      assert.deepEqual(report.problems, [
+        "no tts provider is usable: espeak (setup check timed out after 5000 ms)",
+      ]);
+    });
+    await selfCheck({ fresh: true });
+  });
+});
+
+describe("GET /api/languages", () => {
+  it("lists the registry with default voices", async () => {
+    const languages = await (await request("/api/languages")).json();
+    const assamese = languages.find((language) => language.code === "as");
+
+    assert.equal(assamese.name, "Assamese");
+    assert.equal(assamese.nativeName, "অসমীয়া");
+    assert.equal(assamese.defaultVoice, "Puck");
+    assert.ok(languages.some((language) => language.code === "en"));
+  });
+});
+
+describe("GET /api/providers", () => {
+  it("lists each stage's default chain and adapters", async () => {
+    const providers = await (await request("/api/providers")).json();
+
+    assert.equal(providers.stt.default, "openai");
+    assert.equal(providers.translation.default, "google");
+    assert.equal(providers.tts.default, "gemini");
+    assert.ok(providers.stt.available.includes("google-speech"));
+    assert.deepEqual(providers.translation.local, ["phrasebook", "stub"]);
+  });
+});
+
+describe("GET /api/voices", () => {
+  it("lists the default TTS adapter's voices and styles", async () => {
+    const options = await (await request("/api/voices")).json();
+
+    assert.equal(options.provider, "gemini");
+    assert.ok(options.voices.some((voice) => voice.name === "Puck"));
+    assert.ok(options.styles.includes("calm"));
+  });
+
+  it("lists another adapter's voices with ?tts", async () => {
+    const options = await (await request("/api/voices?tts=espeak")).json();
+
+    assert.equal(options.provider, "espeak");
+  });
+
+  it("rejects an unknown adapter", async () => {
+    const res = await request("/api/voices?tts=nobody");
+
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("GET /api/dsp/profiles", () => {
+  it("lists the profiles with their parameters", async () => {
+    const profiles = await (await request("/api/dsp/profiles")).json();
+    const standard = profiles.find((profile) => profile.name === "standard");
+
+    assert.equal(standard.params.trimSilence, true);
+    assert.ok(profiles.some((profile) => profile.name === "phone"));
+  });
+});
+
+describe("POST /api/dsp/analyze", () => {
+  it("measures an upload and suggests a profile", async () => {
+    const res = await request("/api/dsp/analyze", {
+      method: "POST",
+      body: uploadForm("speech.webm"),
+    });
+    const analysis = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(analysis.input.audio.codec, "opus");
+    assert.ok(Math.abs(analysis.duration - 2) < 0.05);
+    assert.ok(analysis.speechRatio > 0.5 && analysis.speechRatio < 0.8);
+    assert.equal(analysis.clipping.samples, 0);
+    assert.equal(analysis.suggestedProfile, "standard");
+  });
+
+  it("needs a file", async () => {
+    const res = await request("/api/dsp/analyze", {
+      method: "POST",
+      body: new FormData(),
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, "missing_file");
+  });
+
+  it("refuses files that are not audio", async () => {
+    const form = new FormData();
+    form.append("audio", new Blob(["just some text"]), "notes.txt");
+    const res = await request("/api/dsp/analyze", {
+      method: "POST",
+      body: form,
+    });
+
+    assert.equal(res.status, 415);
+    assert.equal((await res.json()).code, "unreadable_media");
+  });
+});
+
+describe("GET /metrics", () => {
+  it("exposes request counts in Prometheus format", async () => {
+    await request("/api/health");
+    const res = await request("/metrics");
+
+    assert.match(res.headers.get("content-type"), /^text\/plain/);
+    assert.match(
+      await res.text(),
+      /http_requests_total\{method="GET",route="\/api\/health",status="200"\} \d+/
+    );
+  });
+});
+
+describe("request IDs", () => {
+  it("echoes the caller's X-Request-Id", async () => {
+    const res = await request("/api/health", {
+      headers: { "X-Request-Id": "client-42" },
+    });
+
+    assert.equal(res.headers.get("x-request-id"), "client-42");
+  });
+
+  it("replaces an ID that is not safe to log", async () => {
+    const res = await request("/api/health", {
+      headers: { "X-Request-Id": "<script>" },
+    });
+
+    assert.match(res.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+  });
+});
+
+describe("authentication", () => {
+  it("leaves the read-only lists public", () =>
+    withAuth(async () => {
+      const res = await request("/api/languages");
+
+      assert.equal(res.status, 200);
+    }));
+
+  it("refuses other routes without an API key", () =>
+    withAuth(async () => {
+      const res = await request("/api/glossary");
+
+      assert.equal(res.status, 401);
+      assert.equal((await res.json()).code, "unauthorized");
+    }));
+
+  it("accepts the admin token", () =>
+    withAuth(async () => {
+      const res = await request("/api/glossary", asAdmin);
+
+      assert.equal(res.status, 200);
+    }));
+});
+
+describe("/api/admin/keys", () => {
+  it("issues, lists, meters and revokes keys", () =>
+    withAuth(async () => {
+      const issued = await request("/api/admin/keys", {
+        ...asAdmin,
+        method: "POST",
+        json: { name: "field team", rateLimit: 30 },
+      });
+      assert.equal(issued.status, 201);
+      const { id, secret, rateLimit } = await issued.json();
+      assert.match(secret, /^ak_/);
+      assert.equal(rateLimit, 30);
+
+      const keys = await (await request("/api/admin/keys", asAdmin)).json();
+      assert.ok(keys.some((key) => key.id === id && !("secret" in key)));
+
+      const key = await (
+        await request(`/api/admin/keys/${id}`, asAdmin)
+      ).json();
+      assert.equal(key.name, "field team");
+
+      const byKey = { headers: { "X-API-Key": secret } };
+      const usage = await request("/api/usage", byKey);
+      assert.equal(usage.status, 200);
+      assert.equal((await usage.json()).key.name, "field team");
+
+      // The /api/usage call above counts
+      const history = await request(`/api/admin/keys/${id}/usage`, asAdmin);
+      assert.equal((await history.json()).totals.requests, 1);
+
+      const revoked = await request(`/api/admin/keys/${id}`, {
+        ...asAdmin,
+        method: "DELETE",
+      });
+      assert.equal(revoked.status, 204);
+      assert.equal((await request("/api/usage", byKey)).status, 401);
+    }));
+
+  it("is for the admin only", () =>
+    withAuth(async () => {
+      const issued = await request("/api/admin/keys", {
+        ...asAdmin,
+        method: "POST",
+        json: { name: "not an admin" },
+      });
+      const { secret } = await issued.json();
+
+      const res = await request("/api/admin/keys", {
+        headers: { "X-API-Key": secret },
+      });
+      assert.equal(res.status, 401);
+    }));
+
+  it("needs a name", async () => {
+    const res = await request("/api/admin/keys", {
+      method: "POST",
+      json: {},
+    });
+
+    assert.equal(res.status, 400);
+  });
+
+  it("answers 404 for unknown keys", async () => {
+    for (const path of ["/api/admin/keys/nope", "/api/admin/keys/nope/usage"]) {
+      assert.equal((await request(path)).status, 404);
+    }
+    const res = await request("/api/admin/keys/nope", { method: "DELETE" });
+    assert.equal(res.status, 404);
+  });
+});
+
+describe("GET /api/usage", () => {
+  it("is only for API keys", async () => {
+    const res = await request("/api/usage");
+
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("/api/glossary", () => {
+  it("creates, finds, updates and deletes entries", async () => {
+    const created = await request("/api/glossary", {
+      method: "POST",
+      json: { term: "মাজুলী", translation: "Majuli", category: "place" },
+    });
+    assert.equal(created.status, 201);
+    const entry = await created.json();
+    assert.equal(entry.from, "as");
+    assert.equal(entry.to, "en");
+
+    const found = await (await request("/api/glossary?q=majuli")).json();
+    assert.deepEqual(
+      found.map(({ id }) => id),
+      [entry.id]
+    );
+
+    const updated = await request(`/api/glossary/${entry.id}`, {
+      method: "PUT",
+      json: { translation: "Majuli Island" },
+    });
+    assert.equal((await updated.json()).translation, "Majuli Island");
+    const fetched = await request(`/api/glossary/${entry.id}`);
+    assert.equal((await fetched.json()).translation, "Majuli Island");
+
+    const deleted = await request(`/api/glossary/${entry.id}`, {
+      method: "DELETE",
+    });
+    assert.equal(deleted.status, 204);
+    assert.equal((await request(`/api/glossary/${entry.id}`)).status, 404);
+  });
+
+  it("can only be changed by the admin", () =>
+    withAuth(async () => {
+      const issued = await request("/api/admin/keys", {
+        ...asAdmin,
+        method: "POST",
+        json: { name: "glossary reader" },
+      });
+      const byKey = { headers: { "X-API-Key": (await issued.json()).secret } };
+
+      assert.equal((await request("/api/glossary", byKey)).status, 200);
+      const created = await request("/api/glossary", {
+        ...byKey,
+        method: "POST",
+        json: { term: "মাজুলী", translation: "Majuli" },
+      });
+      assert.equal(created.status, 401);
+      for (const method of ["PUT", "DELETE"]) {
+        const res = await request("/api/glossary/nope", {
+          ...byKey,
+          method,
+          json: { translation: "x" },
+        });
+        assert.equal(res.status, 401, method);
+      }
+    }));
+
+  it("needs a term and a translation", async () => {
+    const res = await request("/api/glossary", {
+      method: "POST",
+      json: { term: "মাজুলী" },
+    });
+
+    assert.equal(res.status, 400);
+  });
+
+  it("answers 404 for unknown entries", async () => {
+    const updated = await request("/api/glossary/nope", {
+      method: "PUT",
+      json: { translation: "x" },
+    });
+    const deleted = await request("/api/glossary/nope", { method: "DELETE" });
+
+    assert.equal(updated.status, 404);
+    assert.equal(deleted.status, 404);
+  });
+});
+
+describe("/api/history", () => {
+  it("starts out empty", async () => {
+    const runs = await (await request("/api/history")).json();
+
+    assert.deepEqual(runs, { items: [], page: 1, pageSize: 20, total: 0 });
+  });
+
+  it("answers 404 for unknown runs", async () => {
+    for (const path of [
+      "/api/history/nope",
+      "/api/history/nope/audio/output",
+    ]) {
+      assert.equal((await request(path)).status, 404);
+    }
+    const res = await request("/api/history/nope", { method: "DELETE" });
+    assert.equal(res.status, 404);
+  });
+});
+
+describe("unknown jobs and results", () => {
+  it("answer 404", async () => {
+    for (const path of [
+      "/api/jobs/nope",
+      "/api/jobs/nope/events",
+      "/api/jobs/nope/result",
+      "/api/results/nope/audio",
+    ]) {
+      assert.equal((await request(path)).status, 404, path);
+    }
+  });
+});
+
+describe("/api/test* routes", () => {
+  it("are for the admin only", () =>
+    withAuth(async () => {
+      for (const path of [
+        "/api/test-text",
+        "/api/test",
+        "/api/test-full-pipeline",
+        "/api/test-dsp",
+      ]) {
+        assert.equal((await request(path)).status, 401, path);
+      }
+    }));
+
+  it(
+    "answer 404 without test_sample.wav",
+    // With the file there, they would run and write their output files
+    { skip: fs.existsSync("test_sample.wav") && "test_sample.wav exists" },
+    async () => {
+      for (const path of ["/api/test", "/api/test-full-pipeline"]) {
+        assert.equal((await request(path, asAdmin)).status, 404, path);
+      }
+    }
+  );
+});
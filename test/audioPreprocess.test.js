@@ -0,0 +1,80 @@
+import "./helpers/env.js";
+import assert from "assert/strict";
+import { describe, it } from "node:test";
+import { preprocessAudioDSP } from "../audioPreprocess.js";
+import { DSP_PROFILES } from "../dspProfiles.js";
+import { parseWav, wavDuration } from "../wavHelper.js";
+import { readClip } from "./helpers/clips.js";
+
+// See clips.js for what the sample clips hold
+const CLIPS = ["speech.webm", "speech.mp3", "quiet.wav"];
+const CLIP_SECONDS = 2;
+const LEADING_SILENCE = 0.6;
+
+// RMS level in dBFS
+function level(pcm) {
+  let sumSquares = 0;
+  for (const sample of pcm) sumSquares += sample * sample;
+  return 20 * Math.log10(Math.sqrt(sumSquares / pcm.length) / 32768);
+}
+
+describe("preprocessAudioDSP", () => {
+  for (const clip of CLIPS) {
+    describe(clip, () => {
+      it("outputs 16kHz mono 16-bit WAV", async () => {
+        const cleaned = await preprocessAudioDSP(readClip(clip));
+        const { sampleRate, numChannels, pcm } = parseWav(cleaned);
+
+        assert.equal(sampleRate, 16000);
+        assert.equal(numChannels, 1);
+        assert.ok(pcm.length > 0);
+      });
+
+      it("trims the leading silence", async () => {
+        const seconds = wavDuration(await preprocessAudioDSP(readClip(clip)));
+
+        assert.ok(
+          Math.abs(seconds - (CLIP_SECONDS - LEADING_SILENCE)) < 0.15,
+          `${seconds}s left`
+        );
+      });
+
+      it("keeps the full length with keepTiming", async () => {
+        const seconds = wavDuration(
+          await preprocessAudioDSP(readClip(clip), { keepTiming: true })
+        );
+
+        assert.ok(Math.abs(seconds - CLIP_SECONDS) < 0.05, `${seconds}s left`);
+      });
+
+      for (const [profile, { params }] of Object.entries(DSP_PROFILES)) {
+        it(`runs the ${profile} profile`, async () => {
+          const cleaned = await preprocessAudioDSP(readClip(clip), { params });
+
+          assert.ok(wavDuration(cleaned) > 1);
+        });
+      }
+    });
+  }
+
+  it("brings loud and quiet recordings closer in level", async () => {
+    const loud = readClip("speech.webm");
+    const quiet = readClip("quiet.wav");
+    const before = await Promise.all(
+      [loud, quiet].map((clip) =>
+        preprocessAudioDSP(clip, { params: DSP_PROFILES.none.params })
+      )
+    );
+    const after = await Promise.all(
+      [loud, quiet].map((clip) => preprocessAudioDSP(clip))
+    );
+
+    const spread = ([a, b]) =>
+      Math.abs(level(parseWav(a).pcm) - level(parseWav(b).pcm));
+    assert.ok(
+      spread(after) < spread(before) * 0.75,
+      `${spread(before).toFixed(1)} dB apart before, ` +
+        `${spread(after).toFixed(1)} dB after`
+    );
+  });
+});
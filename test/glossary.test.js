@@ -0,0 +1,67 @@
+import { DATA_DIR, withSettings } from "./helpers/env.js";
+import assert from "assert/strict";
+import fs from "fs";
+import path from "path";
+import { describe, it } from "node:test";
+import {
+  createEntry,
+  deleteEntry,
+  getEntry,
+  listEntries,
+  protectTerms,
+} from "../glossary.js";
+
+describe("glossary writes", () => {
+  it("keep working after a write failed", async () => {
+    // A file where the glossary's directory should be
+    const blocker = path.join(DATA_DIR, "not-a-directory");
+    fs.writeFileSync(blocker, "");
+
+    await withSettings(
+      { GLOSSARY_FILE: path.join(blocker, "glossary.json") },
+      () =>
+        assert.rejects(createEntry({ term: "মাজুলী", translation: "Majuli" }))
+    );
+    // The failed entry was never added
+    assert.deepEqual(listEntries({ q: "Majuli" }), []);
+
+    const entry = await createEntry({
+      term: "শিৱসাগৰ",
+      translation: "Sivasagar",
+    });
+    const saved = JSON.parse(
+      fs.readFileSync(path.join(DATA_DIR, "glossary.json"), "utf8")
+    );
+    assert.ok(saved.some(({ id }) => id === entry.id));
+    assert.ok(!saved.some(({ term }) => term === "মাজুলী"));
+
+    assert.equal(await deleteEntry(entry.id), true);
+    assert.equal(getEntry(entry.id), null);
+  });
+});
+
+describe("protectTerms", () => {
+  it("shields whole words only, in any script", async () => {
+    // দল (team) is also the start of দলং (bridge)
+    const entries = await Promise.all([
+      createEntry({ term: "দল", translation: "team" }),
+      createEntry({ term: "tea", translation: "cha" }),
+    ]);
+
+    try {
+      const { text, applied, restore } = protectTerms(
+        "দলং পাৰ হৈ দল আহিল, Tea আৰু teapot লৈ।",
+        { from: "as", to: "en" }
+      );
+
+      assert.equal(text, "দলং পাৰ হৈ ⟦1⟧ আহিল, ⟦0⟧ আৰু teapot লৈ।");
+      assert.deepEqual(
+        applied.map(({ term }) => term),
+        ["tea", "দল"]
+      );
+      assert.equal(restore("⟦1⟧ came with ⟦0⟧"), "team came with cha");
+    } finally {
+      for (const { id } of entries) await deleteEntry(id);
+    }
+  });
+});
@@ -0,0 +1,111 @@
+import { TranslationServiceClient } from "@google-cloud/translate";
+import axios from "axios";
+import fs from "fs";
+import { after, before, mock } from "node:test";
+import OpenAI from "openai";
+import { isDeepStrictEqual } from "util";
+import { RECORDING } from "./env.js";
+
+/*
+ * Recorded provider calls ("cassettes"), so the pipeline runs offline.
+ *
+ * A cassette is test/fixtures/cassettes/<name>.json: a list of
+ * { service, request, response } interactions. While one is in use, the
+ * OpenAI transcription, Google Translate and Gemini TTS calls are answered
+ * from it, matched by service and request; a call nobody recorded fails
+ * the test with the request it made.
+ *
+ * To record, run the tests with RECORD_FIXTURES=1 and real credentials in
+ * the environment: the calls go out and each cassette in use is rewritten
+ * with what they returned.
+ */
+
+const CASSETTE_DIR = new URL("../fixtures/cassettes/", import.meta.url);
+
+// Where each service is called, what identifies a call and how answers
+// are stored. Requests leave out what differs between machines: the DSP's
+// audio bytes, API keys and the Google Cloud project.
+const SERVICES = {
+  openai: {
+    target: OpenAI.Audio.Transcriptions.prototype,
+    method: "create",
+    request: ([{ file, ...body }]) => body,
+    save: (transcription) => transcription,
+    load: (transcription) => transcription,
+  },
+  "google-translate": {
+    target: TranslationServiceClient.prototype,
+    method: "translateText",
+    request: ([{ parent, ...request }]) => ({
+      location: parent.split("/").at(-1),
+      ...request,
+    }),
+    // The client answers [response, request, rawResponse]
+    save: ([response]) => response,
+    load: (response) => [response],
+  },
+  gemini: {
+    target: axios,
+    method: "post",
+    request: ([url, body]) => ({ url: url.replace(/\?key=.*$/, ""), body }),
+    save: ({ status, data }) => ({ status, data }),
+    load: (response) => ({ ...response, headers: {} }),
+  },
+};
+
+// Plain JSON, as it would be read back from the file
+const toJson = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Answers provider calls from a cassette for the rest of the test file.
+ * @param {string} name File name in test/fixtures/cassettes, without .json.
+ */
+export function useCassette(name) {
+  const file = new URL(`${name}.json`, CASSETTE_DIR);
+  const interactions = RECORDING
+    ? []
+    : JSON.parse(fs.readFileSync(file, "utf8"));
+
+  before(() => {
+    for (const [service, spec] of Object.entries(SERVICES)) {
+      const original = spec.target[spec.method];
+
+      mock.method(spec.target, spec.method, async function (...args) {
+        const request = toJson(spec.request(args));
+        const match = interactions.find(
+          (interaction) =>
+            interaction.service === service &&
+            isDeepStrictEqual(interaction.request, request)
+        );
+
+        if (RECORDING) {
+          const response = await original.apply(this, args);
+          if (!match) {
+            interactions.push({
+              service,
+              request,
+              response: toJson(spec.save(response)),
+            });
+          }
+          return response;
+        }
+
+        if (!match) {
+          throw new Error(
+            `${name}.json has no ${service} call for ${JSON.stringify(
+              request
+            )}; record it with RECORD_FIXTURES=1`
+          );
+        }
+        return spec.load(structuredClone(match.response));
+      });
+    }
+  });
+
+  after(() => {
+    mock.restoreAll();
+    if (RECORDING) {
+      fs.writeFileSync(file, `${JSON.stringify(interactions, null, 2)}\n`);
+    }
+  });
+}
@@ -0,0 +1,14 @@
+import fs from "fs";
+
+const AUDIO_DIR = new URL("../fixtures/audio/", import.meta.url);
+
+/**
+ * Reads a sample clip. speech.webm, speech.mp3 and quiet.wav hold 0.6s
+ * of silence, then 1.4s of voiced, syllable-paced sound; quiet.wav is
+ * 16kHz WAV, about 14 dB down on the others.
+ * @param {string} clip File name in test/fixtures/audio.
+ * @returns {Buffer}
+ */
+export function readClip(clip) {
+  return fs.readFileSync(new URL(clip, AUDIO_DIR));
+}
@@ -0,0 +1,105 @@
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { reloadConfig } from "../../config.js";
+
+/*
+ * Test environment. Import it first in test files that load the server's
+ * modules: it has to be in place before anything reads config().
+ *
+ * Every setting the tests rely on is set here, over whatever a developer's
+ * .env put in the environment, and their config.json is swapped for an
+ * empty one. Databases, the glossary and temp files live in a fresh
+ * directory per test file, removed on exit.
+ *
+ * Provider credentials are placeholders: the OpenAI, Google Translate and
+ * Gemini calls are replayed from fixtures (cassette.js). With
+ * RECORD_FIXTURES=1 the real credentials from the environment are used
+ * instead, to record new fixtures.
+ */
+
+export const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "translator-"));
+export const ADMIN_TOKEN = "test-admin-token";
+export const RECORDING = process.env.RECORD_FIXTURES === "1";
+
+process.on("exit", () => {
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+// A port nobody listens on, for the server under test
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, "127.0.0.1");
+    probe.on("error", reject);
+    probe.on("listening", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+const emptyConfig = path.join(DATA_DIR, "config.json");
+fs.writeFileSync(emptyConfig, "{}");
+
+Object.assign(process.env, {
+  CONFIG_FILE: emptyConfig,
+  PORT: String(await freePort()),
+  LOG_LEVEL: "error",
+  TEMP_DIR: path.join(DATA_DIR, "tmp"),
+  CORS_ORIGINS: "",
+  LANGID_PROVIDER: "openai",
+  STT_PROVIDER: "openai",
+  TRANSLATION_PROVIDER: "google",
+  TTS_PROVIDER: "gemini",
+  PROVIDER_RETRIES: "0",
+  DEFAULT_FROM: "as",
+  DEFAULT_TO: "en",
+  TTS_VOICES: "",
+  DSP_PROFILE: "standard",
+  CACHE_BACKEND: "off",
+  HISTORY_ENABLED: "true",
+  HISTORY_DB: path.join(DATA_DIR, "history.db"),
+  GLOSSARY_FILE: path.join(DATA_DIR, "glossary.json"),
+  API_KEYS_DB: path.join(DATA_DIR, "keys.db"),
+  AUTH_ENABLED: "false",
+  ADMIN_TOKEN,
+  LOCAL_MODE: "false",
+});
+
+if (!RECORDING) {
+  // The self-check only needs the service account file to exist
+  const serviceAccount = path.join(DATA_DIR, "gcloud-service-account.json");
+  fs.writeFileSync(serviceAccount, "{}");
+
+  Object.assign(process.env, {
+    OPENAI_API_KEY: "test-openai-key",
+    GEMINI_API_KEY: "test-gemini-key",
+    GOOGLE_CLOUD_PROJECT_ID: "test-project",
+    GOOGLE_APPLICATION_CREDENTIALS: serviceAccount,
+  });
+}
+
+/**
+ * Runs `fn` with some settings changed, e.g. { AUTH_ENABLED: "true" },
+ * and puts them back afterwards.
+ * @param {Object<string, string>} settings Environment variables.
+ * @param {() => Promise<*>} fn
+ */
+export async function withSettings(settings, fn) {
+  const previous = Object.fromEntries(
+    Object.keys(settings).map((name) => [name, process.env[name]])
+  );
+
+  Object.assign(process.env, settings);
+  reloadConfig();
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    reloadConfig();
+  }
+}
@@ -0,0 +1,61 @@
+import { once } from "events";
+import { after, before } from "node:test";
+import { readClip } from "./clips.js";
+
+/*
+ * The API server under test, started once per test file on the port
+ * env.js picked. Import env.js (and use a cassette) before this.
+ */
+
+let baseUrl;
+
+/**
+ * Starts the server before the file's tests and stops it after them.
+ */
+export function useServer() {
+  let server;
+
+  before(async () => {
+    ({ server } = await import("../../index.js"));
+    if (!server.listening) await once(server, "listening");
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+}
+
+/**
+ * Calls the API.
+ * @param {string} path E.g. "/api/languages".
+ * @param {RequestInit & { json?: * }} [init] `json` is sent as the body.
+ * @returns {Promise<Response>}
+ */
+export function request(path, { json, headers, ...init } = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    ...init,
+    headers:
+      json === undefined
+        ? headers
+        : { "Content-Type": "application/json", ...headers },
+    body: json === undefined ? init.body : JSON.stringify(json),
+  });
+}
+
+/**
+ * A multipart body with a sample clip from test/fixtures/audio.
+ * @param {string} clip File name, e.g. "speech.webm".
+ * @param {Object<string, string>} [fields] Form fields to add.
+ * @param {string} [field] Name of the file field.
+ * @returns {FormData}
+ */
+export function uploadForm(clip, fields = {}, field = "audio") {
+  const form = new FormData();
+  form.append(field, new Blob([readClip(clip)]), clip);
+  for (const [name, value] of Object.entries(fields)) {
+    form.append(name, value);
+  }
+  return form;
+}
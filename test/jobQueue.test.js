@@ -0,0 +1,73 @@
+import { withSettings } from "./helpers/env.js";
+import assert from "assert/strict";
+import { describe, it } from "node:test";
+import { getUsage, issueKey } from "../apiKeys.js";
+import { resolveDspSettings } from "../dspProfiles.js";
+import { getJob, submitJob, subscribeToJob } from "../jobQueue.js";
+import { resolveProviders } from "../providers/index.js";
+import { resolveVoiceSettings } from "../voiceSettings.js";
+import { wavDuration } from "../wavHelper.js";
+import { readClip } from "./helpers/clips.js";
+
+const audio = readClip("quiet.wav");
+
+// Offline adapters, so jobs run without any provider calls
+const providers = resolveProviders({
+  langid: "stub",
+  stt: "stub",
+  translation: "stub",
+  tts: "stub",
+});
+
+function submit(apiKey) {
+  return submitJob({
+    audio,
+    providers,
+    from: "as",
+    to: "en",
+    dsp: resolveDspSettings(),
+    voice: resolveVoiceSettings({}, providers.tts),
+    apiKey,
+  });
+}
+
+function finished(job) {
+  return new Promise((resolve) => {
+    const unsubscribe = subscribeToJob(job.id, ({ status }) => {
+      if (status !== "completed" && status !== "failed") return;
+      unsubscribe();
+      resolve(getJob(job.id));
+    });
+  });
+}
+
+describe("submitJob", () => {
+  it("charges a key's audio only for jobs it queues", () =>
+    withSettings({ JOB_CONCURRENCY: "1", JOB_QUEUE_MAX: "1" }, async () => {
+      const key = issueKey({ name: "jobs" });
+
+      // One job running, one waiting, and the queue is full
+      const accepted = [submit(key), submit(key)];
+      assert.throws(() => submit(key), { code: "queue_full" });
+
+      const { totals } = getUsage(key.id);
+      assert.equal(totals.audioSeconds, 2 * wavDuration(audio));
+
+      for (const job of await Promise.all(accepted.map(finished))) {
+        assert.equal(job.status, "completed");
+      }
+    }));
+
+  it("gives a failed job's audio back to the key's quota", async (t) => {
+    const { default: stubStt } = await import("../providers/stt/stub.js");
+    t.mock.method(stubStt, "transcribe", async () => {
+      throw new Error("Service unavailable");
+    });
+    const key = issueKey({ name: "failed jobs" });
+
+    const job = await finished(submit(key));
+
+    assert.equal(job.status, "failed");
+    assert.equal(getUsage(key.id).totals.audioSeconds, 0);
+  });
+});
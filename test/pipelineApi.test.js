@@ -0,0 +1,478 @@
+import { ADMIN_TOKEN, withSettings } from "./helpers/env.js";
+import assert from "assert/strict";
+import { describe, it } from "node:test";
+import { parseWav, wavDuration } from "../wavHelper.js";
+import { useCassette } from "./helpers/cassette.js";
+import { request, uploadForm, useServer } from "./helpers/server.js";
+
+// The whole pipeline runs offline: ffmpeg for real, the OpenAI, Google
+// Translate and Gemini calls from the cassette
+useCassette("pipeline");
+useServer();
+
+const SOURCE_TEXT = "নমস্কাৰ, মই এজন ছাত্ৰ।";
+const TRANSLATED_TEXT = "Hello, I am a student.";
+
+// Gemini's speech in the cassette is 0.25s long
+const SPEECH_SECONDS = 0.25;
+
+function translateAudio(clip, fields = {}, query = "") {
+  return request(`/api/translate-audio${query}`, {
+    method: "POST",
+    body: uploadForm(clip, fields),
+  });
+}
+
+const asAdmin = { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } };
+
+// Issues an API key (authentication must be on) and returns the request
+// options that present it
+async function issueKey(name) {
+  const issued = await request("/api/admin/keys", {
+    ...asAdmin,
+    method: "POST",
+    json: { name },
+  });
+  const { secret } = await issued.json();
+  return { headers: { "X-API-Key": secret } };
+}
+
+describe("POST /api/translate-audio", () => {
+  it("answers with the translated speech as WAV", async () => {
+    const res = await translateAudio("speech.webm");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "audio/wav");
+    assert.equal(
+      res.headers.get("x-providers"),
+      "stt=openai, translation=google, tts=gemini"
+    );
+    assert.equal(
+      res.headers.get("x-local-providers"),
+      "stt=false, translation=false, tts=false"
+    );
+    assert.ok(res.headers.get("x-history-id"));
+
+    const audio = Buffer.from(await res.arrayBuffer());
+    assert.equal(wavDuration(audio), SPEECH_SECONDS);
+  });
+
+  it("answers JSON with the texts, timings and audio", async () => {
+    const res = await translateAudio("speech.webm", {}, "?response=json");
+    const result = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(result.from, "as");
+    assert.equal(result.to, "en");
+    assert.equal(result.sourceText, SOURCE_TEXT);
+    assert.equal(result.translatedText, TRANSLATED_TEXT);
+    assert.equal(result.dspProfile, "standard");
+    assert.equal(result.input.audio.codec, "opus");
+    assert.deepEqual(result.local, {
+      stt: false,
+      translation: false,
+      tts: false,
+    });
+    for (const stage of ["dsp", "stt", "translation", "tts", "total"]) {
+      assert.equal(typeof result.timings[stage], "number", stage);
+    }
+
+    assert.equal(result.audio.mimeType, "audio/wav");
+    const audio = Buffer.from(result.audio.base64, "base64");
+    assert.equal(parseWav(audio).sampleRate, 24000);
+  });
+
+  it("encodes the speech in the requested format", async () => {
+    const res = await translateAudio("speech.mp3", {
+      format: "mp3",
+      bitrate: "32",
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "audio/mpeg");
+    assert.match(
+      res.headers.get("content-disposition"),
+      /filename="translation\.mp3"/
+    );
+  });
+
+  it("rejects unknown and repeated formats", async () => {
+    for (const query of [
+      "?format=constructor",
+      "?format=toString",
+      "?format=mp3&format=ogg",
+    ]) {
+      const res = await translateAudio("speech.webm", {}, query);
+
+      assert.equal(res.status, 400, query);
+      assert.equal((await res.json()).code, "invalid_request", query);
+    }
+  });
+
+  it("hands out a short-lived URL for the audio with ?audio=url", async () => {
+    const res = await translateAudio(
+      "speech.webm",
+      {},
+      "?response=json&audio=url"
+    );
+    const { audio } = await res.json();
+
+    const fetched = await request(audio.url);
+    assert.equal(fetched.status, 200);
+    assert.equal(fetched.headers.get("content-type"), "audio/wav");
+    const bytes = Buffer.from(await fetched.arrayBuffer());
+    assert.equal(wavDuration(bytes), SPEECH_SECONDS);
+  });
+
+  it("identifies the spoken language with from=auto", async () => {
+    const res = await translateAudio("speech.webm", { from: "auto" });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("x-detected-language"), "as");
+    assert.equal(res.headers.get("x-language-confidence"), "0.77");
+    assert.match(res.headers.get("x-providers"), /^langid=openai, /);
+  });
+
+  it("keeps glossary terms through STT and translation", async () => {
+    const created = await request("/api/glossary", {
+      method: "POST",
+      json: { term: "মাজুলী", translation: "Majuli" },
+    });
+    const entry = await created.json();
+
+    try {
+      const res = await translateAudio("speech.webm", {}, "?response=json");
+      const result = await res.json();
+
+      assert.equal(result.sourceText, "মাজুলী এখন নদী দ্বীপ।");
+      assert.equal(result.translatedText, "Majuli is a river island.");
+      assert.deepEqual(
+        result.glossaryTerms.map(({ term }) => term),
+        ["মাজুলী"]
+      );
+    } finally {
+      await request(`/api/glossary/${entry.id}`, { method: "DELETE" });
+    }
+  });
+
+  it("is also served at /api/translate", async () => {
+    const res = await request("/api/translate", {
+      method: "POST",
+      body: uploadForm("speech.webm"),
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "audio/wav");
+  });
+
+  it("needs a file", async () => {
+    const res = await request("/api/translate-audio", {
+      method: "POST",
+      body: new FormData(),
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, "missing_file");
+  });
+
+  it("rejects unknown providers and languages", async () => {
+    const provider = await translateAudio("speech.webm", { stt: "nobody" });
+    const language = await translateAudio("speech.webm", { to: "xx" });
+
+    assert.equal(provider.status, 400);
+    assert.equal(language.status, 400);
+  });
+
+  it("rejects languages that are not registry codes", async () => {
+    for (const query of [
+      "?from=constructor",
+      "?to=toString",
+      "?direction=as-en&direction=bn-en",
+    ]) {
+      const res = await translateAudio("speech.webm", {}, query);
+      assert.equal(res.status, 400, query);
+    }
+  });
+
+  it("rejects styles that are not in the list", async () => {
+    const res = await translateAudio("speech.webm", { style: "constructor" });
+
+    assert.equal(res.status, 400);
+  });
+
+  it("rejects a stage's provider given twice", async () => {
+    const res = await translateAudio("speech.webm", {}, "?stt=openai&stt=stub");
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, "invalid_request");
+  });
+
+  it("rejects unknown DSP profiles and parameters", async () => {
+    for (const fields of [
+      { dsp: "constructor" },
+      { dspParams: JSON.stringify({ constructor: 1 }) },
+      { dspParams: '{"__proto__": 1}' },
+    ]) {
+      const res = await translateAudio("speech.webm", fields);
+      assert.equal(res.status, 400, JSON.stringify(fields));
+    }
+  });
+
+  it("reports a failed stage without the provider's message", async (t) => {
+    const { default: openaiStt } = await import("../providers/stt/openai.js");
+    t.mock.method(openaiStt, "transcribe", async () => {
+      throw Object.assign(new Error("Incorrect API key provided: sk-…"), {
+        status: 401,
+      });
+    });
+
+    const res = await translateAudio("speech.webm");
+    const body = await res.json();
+
+    assert.equal(res.status, 502);
+    assert.equal(body.code, "stt_failed");
+    assert.doesNotMatch(body.error, /API key/);
+  });
+});
+
+describe("POST /api/subtitles", () => {
+  it("exports translated SRT with the speech's timing", async () => {
+    const form = uploadForm("speech.webm", { format: "srt" }, "media");
+    const res = await request("/api/subtitles", { method: "POST", body: form });
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^application\/x-subrip/);
+    assert.match(
+      res.headers.get("content-disposition"),
+      /filename="speech\.en\.srt"/
+    );
+    // The last cue is held for the minimum second (subtitles.js)
+    assert.equal(
+      await res.text(),
+      "1\n00:00:00,000 --> 00:00:00,800\nHello,\n\n" +
+        "2\n00:00:00,800 --> 00:00:01,800\nI am a student.\n"
+    );
+  });
+
+  it("rejects unknown formats before running the pipeline", async (t) => {
+    const { default: openaiStt } = await import("../providers/stt/openai.js");
+    const transcribe = t.mock.method(openaiStt, "transcribe");
+
+    for (const format of ["constructor", "ass"]) {
+      const form = uploadForm("speech.webm", { format }, "media");
+      const res = await request("/api/subtitles", {
+        method: "POST",
+        body: form,
+      });
+
+      assert.equal(res.status, 400, format);
+      assert.equal((await res.json()).code, "invalid_request");
+    }
+    assert.equal(transcribe.mock.callCount(), 0);
+  });
+
+  it("exports bilingual WebVTT", async () => {
+    const form = uploadForm(
+      "speech.webm",
+      { format: "vtt", text: "bilingual" },
+      "media"
+    );
+    const res = await request("/api/subtitles", { method: "POST", body: form });
+    const text = await res.text();
+
+    assert.equal(res.status, 200);
+    assert.equal(
+      text,
+      "WEBVTT\n\n" +
+        "00:00:00.000 --> 00:00:00.800\nনমস্কাৰ,\nHello,\n\n" +
+        "00:00:00.800 --> 00:00:01.800\nমই এজন ছাত্ৰ।\nI am a student.\n"
+    );
+  });
+});
+
+describe("/api/jobs", () => {
+  it("runs the pipeline as a job and reports its progress", async () => {
+    const submitted = await request("/api/jobs", {
+      method: "POST",
+      body: uploadForm("speech.webm"),
+    });
+    assert.equal(submitted.status, 202);
+    const { job } = await submitted.json();
+    assert.equal(submitted.headers.get("location"), `/api/jobs/${job.id}`);
+
+    // Progress events until the job is done
+    const events = await request(`/api/jobs/${job.id}/events`);
+    assert.equal(events.headers.get("content-type"), "text/event-stream");
+    const updates = (await events.text())
+      .split("\n\n")
+      .filter(Boolean)
+      .map((event) => JSON.parse(event.replace(/^data: /, "")));
+    assert.equal(updates.at(-1).status, "completed");
+    assert.equal(updates.at(-1).progress, 100);
+
+    const status = await (await request(`/api/jobs/${job.id}`)).json();
+    assert.equal(status.job.status, "completed");
+
+    const res = await request(`/api/jobs/${job.id}/result?response=json`);
+    const result = await res.json();
+    assert.equal(result.sourceText, SOURCE_TEXT);
+    assert.equal(result.translatedText, TRANSLATED_TEXT);
+  });
+
+  it("shows a key's jobs to that key and the admin only", () =>
+    withSettings({ AUTH_ENABLED: "true" }, async () => {
+      const owner = await issueKey("job owner");
+      const other = await issueKey("someone else");
+
+      const submitted = await request("/api/jobs", {
+        ...owner,
+        method: "POST",
+        body: uploadForm("speech.webm"),
+      });
+      const { job } = await submitted.json();
+
+      for (const path of ["", "/events", "/result"]) {
+        const url = `/api/jobs/${job.id}${path}`;
+        assert.equal((await request(url, other)).status, 404, path);
+      }
+      assert.equal((await request(`/api/jobs/${job.id}`, owner)).status, 200);
+      assert.equal((await request(`/api/jobs/${job.id}`, asAdmin)).status, 200);
+
+      // Let it finish before authentication is turned off again
+      await (await request(`/api/jobs/${job.id}/events`, owner)).text();
+    }));
+});
+
+describe("POST /api/text-translate", () => {
+  it("translates and speaks text", async () => {
+    const res = await request("/api/text-translate?response=json", {
+      method: "POST",
+      json: { text: SOURCE_TEXT },
+    });
+    const result = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(result.translatedText, TRANSLATED_TEXT);
+    assert.equal(result.providers.tts, "gemini");
+    assert.equal(
+      wavDuration(Buffer.from(result.audio.base64, "base64")),
+      SPEECH_SECONDS
+    );
+  });
+
+  it("needs text", async () => {
+    const res = await request("/api/text-translate", {
+      method: "POST",
+      json: {},
+    });
+
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("/api/history", () => {
+  it("keeps runs with their texts and audio", async () => {
+    const res = await translateAudio("speech.webm");
+    const id = res.headers.get("x-history-id");
+
+    const run = await (await request(`/api/history/${id}`)).json();
+    assert.equal(run.sourceText, SOURCE_TEXT);
+    assert.equal(run.translatedText, TRANSLATED_TEXT);
+    assert.deepEqual(run.audio, ["original", "cleaned", "output"]);
+
+    const cleaned = await request(`/api/history/${id}/audio/cleaned`);
+    assert.equal(
+      parseWav(Buffer.from(await cleaned.arrayBuffer())).sampleRate,
+      16000
+    );
+
+    const found = await (await request("/api/history?q=student")).json();
+    assert.ok(found.items.some((item) => item.id === id));
+
+    const deleted = await request(`/api/history/${id}`, { method: "DELETE" });
+    assert.equal(deleted.status, 204);
+    assert.equal((await request(`/api/history/${id}`)).status, 404);
+  });
+
+  it("shows a key's runs to that key and the admin only", () =>
+    withSettings({ AUTH_ENABLED: "true" }, async () => {
+      const owner = await issueKey("run owner");
+      const other = await issueKey("someone else");
+
+      const res = await request("/api/translate-audio", {
+        ...owner,
+        method: "POST",
+        body: uploadForm("speech.webm"),
+      });
+      const id = res.headers.get("x-history-id");
+
+      const listed = async (options) => {
+        const { items } = await (await request("/api/history", options)).json();
+        return items.some((item) => item.id === id);
+      };
+      assert.equal(await listed(owner), true);
+      assert.equal(await listed(asAdmin), true);
+      assert.equal(await listed(other), false);
+
+      for (const path of [
+        `/api/history/${id}`,
+        `/api/history/${id}/audio/output`,
+      ]) {
+        assert.equal((await request(path, other)).status, 404, path);
+        assert.equal((await request(path, owner)).status, 200, path);
+      }
+
+      const denied = await request(`/api/history/${id}`, {
+        ...other,
+        method: "DELETE",
+      });
+      assert.equal(denied.status, 404);
+      const deleted = await request(`/api/history/${id}`, {
+        ...owner,
+        method: "DELETE",
+      });
+      assert.equal(deleted.status, 204);
+    }));
+});
+
+describe("usage accounting", () => {
+  it("meters a key's audio and characters", () =>
+    withSettings({ AUTH_ENABLED: "true" }, async () => {
+      const byKey = await issueKey("metered");
+
+      const res = await request("/api/translate-audio", {
+        ...byKey,
+        method: "POST",
+        body: uploadForm("speech.webm"),
+      });
+      assert.equal(res.status, 200);
+
+      const { totals } = await (await request("/api/usage", byKey)).json();
+      assert.ok(Math.abs(totals.audioSeconds - 2) < 0.05);
+      assert.ok(totals.sttSeconds > 1 && totals.sttSeconds < 2);
+      assert.equal(totals.translationChars, SOURCE_TEXT.length);
+      assert.equal(totals.ttsChars, TRANSLATED_TEXT.length);
+    }));
+
+  it("gives a failed run's audio back to the key's quota", (t) =>
+    withSettings({ AUTH_ENABLED: "true" }, async () => {
+      const { default: openaiStt } = await import("../providers/stt/openai.js");
+      t.mock.method(openaiStt, "transcribe", async () => {
+        throw Object.assign(new Error("Service unavailable"), { status: 503 });
+      });
+      const byKey = await issueKey("failed runs");
+
+      for (const path of ["/api/translate-audio", "/api/subtitles"]) {
+        const field = path === "/api/subtitles" ? "media" : "audio";
+        const res = await request(path, {
+          ...byKey,
+          method: "POST",
+          body: uploadForm("speech.webm", {}, field),
+        });
+        assert.equal(res.status, 502, path);
+      }
+
+      const { totals } = await (await request("/api/usage", byKey)).json();
+      assert.equal(totals.audioSeconds, 0);
+    }));
+});
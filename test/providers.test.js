@@ -0,0 +1,112 @@
+import "./helpers/env.js";
+import assert from "assert/strict";
+import axios from "axios";
+import { describe, it } from "node:test";
+import openaiLangid from "../providers/langid/openai.js";
+import openaiStt from "../providers/stt/openai.js";
+import googleTranslate from "../providers/translation/google.js";
+import gemini from "../providers/tts/gemini.js";
+import { parseWav } from "../wavHelper.js";
+import { useCassette } from "./helpers/cassette.js";
+import { readClip } from "./helpers/clips.js";
+
+useCassette("providers");
+
+// Adapters get the DSP's output: 16kHz mono WAV
+const speech = readClip("quiet.wav");
+
+describe("OpenAI speech-to-text", () => {
+  it("transcribes with the language's hint as the prompt", async () => {
+    const { text, segments } = await openaiStt.transcribe(speech, {
+      language: "as",
+    });
+
+    assert.equal(text, "নমস্কাৰ, মই এজন ছাত্ৰ।");
+    assert.equal(segments, undefined);
+  });
+
+  it("adds glossary terms to the prompt as vocabulary", async () => {
+    const { text } = await openaiStt.transcribe(speech, {
+      language: "as",
+      phrases: ["মাজুলী"],
+    });
+
+    assert.equal(text, "মাজুলী এখন নদী দ্বীপ।");
+  });
+
+  it("returns trimmed segments with timestamps", async () => {
+    const { text, segments } = await openaiStt.transcribe(speech, {
+      language: "as",
+      timestamps: true,
+    });
+
+    assert.equal(text, "নমস্কাৰ, মই এজন ছাত্ৰ।");
+    assert.deepEqual(segments, [
+      { start: 0, end: 0.8, text: "নমস্কাৰ," },
+      { start: 0.8, end: 1.4, text: "মই এজন ছাত্ৰ।" },
+    ]);
+  });
+
+  it("fails with no_speech when nothing was recognized", async () => {
+    await assert.rejects(openaiStt.transcribe(speech, { language: "en" }), {
+      code: "no_speech",
+    });
+  });
+});
+
+describe("OpenAI language identification", () => {
+  it("takes Bengali written with Assamese letters for Assamese", async () => {
+    const { language, confidence } = await openaiLangid.identify(speech);
+
+    assert.equal(language, "as");
+    // exp(avg_logprob) * (1 - no_speech_prob), averaged over segments
+    assert.equal(confidence, 0.77);
+  });
+});
+
+describe("Google Translate", () => {
+  it("translates between registry languages", async () => {
+    const { text } = await googleTranslate.translate("নমস্কাৰ, মই এজন ছাত্ৰ।", {
+      from: "as",
+      to: "en",
+    });
+
+    assert.equal(text, "Hello, I am a student.");
+  });
+});
+
+describe("Gemini text-to-speech", () => {
+  it("wraps the returned PCM in a 24kHz WAV", async () => {
+    const { audio, mimeType } = await gemini.synthesize(
+      "Hello, I am a student.",
+      { language: "en" }
+    );
+
+    assert.equal(mimeType, "audio/wav");
+    const { sampleRate, numChannels, pcm } = parseWav(audio);
+    assert.equal(sampleRate, 24000);
+    assert.equal(numChannels, 1);
+    assert.equal(pcm.length, 6000);
+  });
+
+  it("asks for the voice and style it is given", async () => {
+    const { audio } = await gemini.synthesize("Hello, I am a student.", {
+      language: "en",
+      voice: "Kore",
+      style: "calm",
+    });
+
+    assert.equal(parseWav(audio).pcm.length, 6000);
+  });
+
+  it("fails when Gemini answers without audio", async (t) => {
+    t.mock.method(axios, "post", async () => ({
+      data: { candidates: [{ finishReason: "SAFETY" }] },
+    }));
+
+    await assert.rejects(
+      gemini.synthesize("Hello, I am a student.", { language: "en" }),
+      /did not return audio/
+    );
+  });
+});
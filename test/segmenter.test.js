@@ -0,0 +1,36 @@
+import "./helpers/env.js";
+import assert from "assert/strict";
+import { describe, it } from "node:test";
+import { stitchSpeech } from "../segmenter.js";
+import { parseWav, pcmToWav, wavDuration } from "../wavHelper.js";
+
+// Half a second of a 440Hz tone
+async function tone(sampleRate) {
+  const pcm = Int16Array.from(
+    { length: sampleRate / 2 },
+    (_, i) => Math.sin((2 * Math.PI * 440 * i) / sampleRate) * 8000
+  );
+  return Buffer.from(await pcmToWav(pcm, sampleRate).arrayBuffer());
+}
+
+describe("stitchSpeech", () => {
+  it("joins sentences with a pause between them", async () => {
+    const speech = await stitchSpeech([
+      { start: 0, end: 1, clips: [await tone(24000), await tone(24000)] },
+    ]);
+
+    assert.equal(parseWav(speech).sampleRate, 24000);
+    assert.equal(wavDuration(speech), 1.3);
+  });
+
+  it("resamples clips from adapters with another sample rate", async () => {
+    // e.g. Gemini (24kHz) with eSpeak NG (22.05kHz) as the fallback
+    const speech = await stitchSpeech([
+      { start: 0, end: 1, clips: [await tone(24000)] },
+      { start: 1.5, end: 2, clips: [await tone(22050)] },
+    ]);
+
+    assert.equal(parseWav(speech).sampleRate, 24000);
+    assert.ok(Math.abs(wavDuration(speech) - 1.5) < 0.01);
+  });
+});
@@ -0,0 +1,38 @@
+import "./helpers/env.js";
+import assert from "assert/strict";
+import fs from "fs";
+import path from "path";
+import { describe, it } from "node:test";
+import { sweepTempFiles, withTempFile } from "../tempFiles.js";
+
+describe("sweepTempFiles", () => {
+  it("leaves files in use and their side outputs alone", async () => {
+    let sideOutput;
+
+    await withTempFile(Buffer.from("audio"), async (file) => {
+      // Like whisper.cpp's -of <file>.whisper
+      sideOutput = `${file}.whisper.json`;
+      await fs.promises.writeFile(sideOutput, "{}");
+
+      await sweepTempFiles();
+
+      assert.ok(fs.existsSync(file));
+      assert.ok(fs.existsSync(sideOutput));
+    });
+
+    // Once the file is done with, a leftover side output goes
+    await sweepTempFiles();
+    assert.equal(fs.existsSync(sideOutput), false);
+  });
+
+  it("leaves other programs' folders in TEMP_DIR alone", async () => {
+    // A numeric name, like this process' own folder, of no running process
+    const foreign = path.join(process.env.TEMP_DIR, "999999999");
+    fs.mkdirSync(foreign, { recursive: true });
+
+    await withTempFile(Buffer.from("audio"), async () => {});
+    await sweepTempFiles();
+
+    assert.ok(fs.existsSync(foreign));
+  });
+});
@@ -0,0 +1,98 @@
+import assert from "assert/strict";
+import { describe, it } from "node:test";
+import {
+  base64ToArrayBuffer,
+  parseWav,
+  pcmToWav,
+  wavDuration,
+} from "../wavHelper.js";
+
+async function wavBytes(pcm, sampleRate) {
+  return Buffer.from(await pcmToWav(pcm, sampleRate).arrayBuffer());
+}
+
+describe("pcmToWav", () => {
+  it("writes a 44-byte PCM header in front of the samples", async () => {
+    const pcm = Int16Array.from([0, 1000, -1000, 32767, -32768]);
+    const wav = await wavBytes(pcm, 24000);
+
+    assert.equal(wav.length, 44 + pcm.length * 2);
+    assert.equal(wav.toString("ascii", 0, 4), "RIFF");
+    assert.equal(wav.readUInt32LE(4), wav.length - 8);
+    assert.equal(wav.toString("ascii", 8, 16), "WAVEfmt ");
+    assert.equal(wav.readUInt32LE(16), 16); // fmt chunk size
+    assert.equal(wav.readUInt16LE(20), 1); // PCM
+    assert.equal(wav.readUInt16LE(22), 1); // mono
+    assert.equal(wav.readUInt32LE(24), 24000);
+    assert.equal(wav.readUInt32LE(28), 48000); // bytes per second
+    assert.equal(wav.readUInt16LE(32), 2); // block align
+    assert.equal(wav.readUInt16LE(34), 16); // bits per sample
+    assert.equal(wav.toString("ascii", 36, 40), "data");
+    assert.equal(wav.readUInt32LE(40), pcm.length * 2);
+  });
+
+  it("stores samples as little-endian 16-bit", async () => {
+    const pcm = Int16Array.from([0, 1000, -1000, 32767, -32768]);
+    const wav = await wavBytes(pcm, 16000);
+
+    const samples = [];
+    for (let offset = 44; offset < wav.length; offset += 2) {
+      samples.push(wav.readInt16LE(offset));
+    }
+    assert.deepEqual(samples, [...pcm]);
+  });
+
+  it("returns a Blob typed audio/wav", () => {
+    const blob = pcmToWav(new Int16Array(10), 16000);
+
+    assert.ok(blob instanceof Blob);
+    assert.equal(blob.type, "audio/wav");
+  });
+
+  it("writes a header-only file for no samples", async () => {
+    const wav = await wavBytes(new Int16Array(0), 16000);
+
+    assert.equal(wav.length, 44);
+    assert.equal(wav.readUInt32LE(40), 0);
+  });
+
+  it("reads back through parseWav and wavDuration", async () => {
+    const pcm = Int16Array.from({ length: 8000 }, (_, i) =>
+      Math.round(Math.sin(i / 10) * 10000)
+    );
+    const wav = await wavBytes(pcm, 16000);
+
+    const parsed = parseWav(wav);
+    assert.equal(parsed.sampleRate, 16000);
+    assert.equal(parsed.numChannels, 1);
+    assert.deepEqual(parsed.pcm, pcm);
+    assert.equal(wavDuration(wav), 0.5);
+  });
+});
+
+describe("base64ToArrayBuffer", () => {
+  it("decodes to the original bytes", () => {
+    const bytes = Uint8Array.from([0, 1, 127, 128, 254, 255]);
+    const decoded = base64ToArrayBuffer(Buffer.from(bytes).toString("base64"));
+
+    assert.ok(decoded instanceof ArrayBuffer);
+    assert.deepEqual(new Uint8Array(decoded), bytes);
+  });
+
+  it("decodes an empty string to an empty buffer", () => {
+    assert.equal(base64ToArrayBuffer("").byteLength, 0);
+  });
+
+  it("turns Gemini's base64 PCM into samples pcmToWav accepts", async () => {
+    const pcm = Int16Array.from([-32768, -1, 0, 1, 32767]);
+    const base64 = Buffer.from(pcm.buffer).toString("base64");
+
+    const samples = new Int16Array(base64ToArrayBuffer(base64));
+    assert.deepEqual(samples, pcm);
+    assert.deepEqual(parseWav(await wavBytes(samples, 24000)).pcm, pcm);
+  });
+
+  it("rejects text that is not base64", () => {
+    assert.throws(() => base64ToArrayBuffer("not base64!"));
+  });
+});
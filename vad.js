@@ -0,0 +1,95 @@
+/*
+ * Energy-based voice activity detection on raw 16-bit PCM.
+ *
+ * Splits audio into speech segments separated by pauses, which is what the
+ * live translation stream uses to decide where one utterance ends.
+ */
+
+/**
+ * Finds speech segments in mono PCM audio.
+ * @param {Int16Array} pcm The 16-bit samples.
+ * @param {number} sampleRate The sample rate (e.g., 16000).
+ * @param {Object} [options]
+ * @param {number} [options.frameMs=30] Analysis frame length.
+ * @param {number} [options.minSilenceMs=700] Pause length that ends a segment.
+ * @param {number} [options.minSpeechMs=250] Shorter bursts are ignored.
+ * @param {number} [options.floorDb=-45] Quietest level ever treated as speech.
+ * @param {number} [options.ceilingDb=-30] Loudest level ever treated as noise.
+ * @returns {{ start: number, end: number }[]} Segments as sample offsets.
+ */
+export function detectSpeechSegments(
+  pcm,
+  sampleRate,
+  {
+    frameMs = 30,
+    minSilenceMs = 700,
+    minSpeechMs = 250,
+    floorDb = -45,
+    ceilingDb = -30,
+  } = {}
+) {
+  const frameSize = Math.round((sampleRate * frameMs) / 1000);
+  const levels = frameLevels(pcm, sampleRate, frameMs);
+
+  if (levels.length === 0) return [];
+
+  // Adapt to the background noise: speech must stand 10 dB above the
+  // quietest tenth of the recording, clamped so that recordings with no
+  // pauses at all still register as speech.
+  const sorted = [...levels].sort((a, b) => a - b);
+  const noiseFloor = sorted[Math.floor(sorted.length / 10)];
+  const threshold = Math.min(ceilingDb, Math.max(floorDb, noiseFloor + 10));
+
+  const minSilenceFrames = Math.ceil(minSilenceMs / frameMs);
+  const minSpeechFrames = Math.ceil(minSpeechMs / frameMs);
+  const segments = [];
+  let start = -1;
+  let lastVoiced = -1;
+
+  for (let i = 0; i < levels.length; i++) {
+    if (levels[i] < threshold) continue;
+
+    if (start === -1) {
+      start = i;
+    } else if (i - lastVoiced > minSilenceFrames) {
+      segments.push([start, lastVoiced]);
+      start = i;
+    }
+    lastVoiced = i;
+  }
+  if (start !== -1) segments.push([start, lastVoiced]);
+
+  return segments
+    .filter(([first, last]) => last - first + 1 >= minSpeechFrames)
+    .map(([first, last]) => ({
+      start: first * frameSize,
+      end: Math.min((last + 1) * frameSize, pcm.length),
+    }));
+}
+
+/**
+ * RMS level of every whole frame, in dBFS.
+ * @param {Int16Array} pcm The 16-bit samples.
+ * @param {number} sampleRate The sample rate.
+ * @param {number} [frameMs=30] Frame length.
+ * @returns {number[]}
+ */
+export function frameLevels(pcm, sampleRate, frameMs = 30) {
+  const frameSize = Math.round((sampleRate * frameMs) / 1000);
+  const levels = [];
+
+  for (let offset = 0; offset + frameSize <= pcm.length; offset += frameSize) {
+    levels.push(frameLevelDb(pcm, offset, frameSize));
+  }
+  return levels;
+}
+
+// RMS level of one frame in dBFS
+function frameLevelDb(pcm, offset, frameSize) {
+  let sum = 0;
+  for (let i = offset; i < offset + frameSize; i++) {
+    sum += pcm[i] * pcm[i];
+  }
+  const rms = Math.sqrt(sum / frameSize) / 32768;
+  return rms > 0 ? 20 * Math.log10(rms) : -120;
+}
@@ -0,0 +1,139 @@
+import { decodeToPcm } from "./audioPreprocess.js";
+import { parseWav, pcmToWav } from "./wavHelper.js";
+
+/*
+ * Voice settings for translated speech.
+ *
+ * Requests may pick a voice from the TTS adapter's list (GET /api/voices),
+ * a speaking style and prosody:
+ * - voice : adapter voice name (the language's default voice if unset)
+ * - style : delivery the adapter is asked for (see VOICE_STYLES)
+ * - rate  : speaking rate multiplier, 0.5 (half speed) to 2
+ * - pitch : pitch shift in semitones, -12 to 12
+ *
+ * Rate and pitch are applied to the synthesized WAV with ffmpeg, so they
+ * work the same whichever adapter produced the speech.
+ */
+
+// Instructions handed to adapters that take a natural-language prompt
+export const VOICE_STYLES = {
+  neutral: null,
+  calm: "Say calmly and gently:",
+  cheerful: "Say in a cheerful, upbeat tone:",
+  serious: "Say in a serious, formal tone:",
+  clear: "Say slowly and clearly, pronouncing every word distinctly:",
+};
+
+export const PROSODY = {
+  rate: { min: 0.5, max: 2, default: 1 },
+  pitch: { min: -12, max: 12, default: 0 },
+};
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Form fields and query strings arrive as strings
+function parseProsody(name, value) {
+  if (value == null || value === "") return PROSODY[name].default;
+
+  const number = Number(value);
+  const { min, max } = PROSODY[name];
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw badRequest(`${name} must be between ${min} and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Validates voice options from a request, before any provider is paid.
+ * @param {{ voice?: string, style?: string, rate?: string|number, pitch?: string|number }} params
+ * @param {import("./providers/index.js").TtsProvider} tts The adapter that
+ *   will speak; a voice must be one it lists.
+ * @returns {{ voice: ?string, style: string, rate: number, pitch: number }}
+ */
+export function resolveVoiceSettings({ voice, style, rate, pitch } = {}, tts) {
+  voice = voice || null;
+  style = style || "neutral";
+
+  if (voice && tts?.voices && !tts.voices.some((v) => v.name === voice)) {
+    throw badRequest(`Unknown voice for ${tts.name}: ${voice}`);
+  }
+  // Own keys only: "constructor" and friends are not styles
+  if (typeof style !== "string" || !Object.hasOwn(VOICE_STYLES, style)) {
+    throw badRequest(
+      `style must be one of: ${Object.keys(VOICE_STYLES).join(", ")}`
+    );
+  }
+
+  return {
+    voice,
+    style,
+    rate: parseProsody("rate", rate),
+    pitch: parseProsody("pitch", pitch),
+  };
+}
+
+/**
+ * Lists what a TTS adapter offers, for a settings panel.
+ * @param {import("./providers/index.js").TtsProvider} tts
+ */
+export function listVoiceOptions(tts) {
+  return {
+    provider: tts.name,
+    voices: (tts.voices || []).map(({ name, description }) => ({
+      name,
+      description,
+    })),
+    styles: Object.keys(VOICE_STYLES),
+    ...PROSODY,
+  };
+}
+
+// atempo only takes factors between 0.5 and 2, so larger changes are
+// chained
+function tempoFilters(factor) {
+  const filters = [];
+  while (factor > 2) {
+    filters.push("atempo=2");
+    factor /= 2;
+  }
+  while (factor < 0.5) {
+    filters.push("atempo=0.5");
+    factor /= 0.5;
+  }
+  if (Math.abs(factor - 1) > 1e-3) filters.push(`atempo=${factor}`);
+  return filters;
+}
+
+/**
+ * Applies rate and pitch to synthesized speech. Speech at the default
+ * rate and pitch is returned as it is.
+ * @param {Buffer} wav Speech from a TTS adapter (16-bit mono WAV).
+ * @param {{ rate: number, pitch: number }} settings
+ * @returns {Promise<Buffer>} The adjusted WAV, at the same sample rate.
+ */
+export async function adjustSpeech(wav, { rate = 1, pitch = 0 } = {}) {
+  if (rate === 1 && pitch === 0) return wav;
+
+  const { sampleRate } = parseWav(wav);
+
+  // Resampling shifts pitch and tempo together; atempo then restores the
+  // tempo and applies the requested rate
+  const pitchFactor = 2 ** (pitch / 12);
+  const filters = [
+    ...(pitch
+      ? [
+          `asetrate=${Math.round(sampleRate * pitchFactor)}`,
+          `aresample=${sampleRate}`,
+        ]
+      : []),
+    ...tempoFilters(rate / pitchFactor),
+  ];
+
+  const pcm = await decodeToPcm(wav, sampleRate, filters);
+  const wavBlob = pcmToWav(pcm, sampleRate);
+  return Buffer.from(await wavBlob.arrayBuffer());
+}
@@ -64,6 +64,60 @@ export function pcmToWav(pcmData, sampleRate) {
   return new Blob([buffer], { type: "audio/wav" });
 }
 
+/**
+ * Reads a PCM WAV file back into its samples.
+ * Walks the RIFF chunks instead of assuming a 44-byte header, since ffmpeg
+ * adds a LIST chunk before the audio data.
+ * @param {Buffer|ArrayBuffer} wav The WAV file (16-bit PCM).
+ * @returns {{ sampleRate: number, numChannels: number, pcm: Int16Array }}
+ */
+export function parseWav(wav) {
+  const bytes = wav instanceof ArrayBuffer ? new Uint8Array(wav) : wav;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (readString(view, 0, 4) !== "RIFF" || readString(view, 8, 4) !== "WAVE") {
+    throw new Error("Not a WAV file");
+  }
+
+  let sampleRate = 0;
+  let numChannels = 0;
+  let offset = 12;
+
+  while (offset + 8 <= view.byteLength) {
+    const chunkId = readString(view, offset, 4);
+    const chunkSize = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (chunkId === "fmt ") {
+      numChannels = view.getUint16(body + 2, true);
+      sampleRate = view.getUint32(body + 4, true);
+    } else if (chunkId === "data") {
+      // Streamed WAVs may carry a placeholder size; clamp to what we have
+      const end = Math.min(body + chunkSize, view.byteLength);
+      const samples = Math.floor((end - body) / 2);
+      const pcm = new Int16Array(samples);
+      for (let i = 0; i < samples; i++) {
+        pcm[i] = view.getInt16(body + i * 2, true);
+      }
+      return { sampleRate, numChannels, pcm };
+    }
+
+    offset = body + chunkSize + (chunkSize % 2); // chunks are word-aligned
+  }
+
+  throw new Error("WAV file has no data chunk");
+}
+
+/**
+ * Length of a 16-bit PCM WAV file.
+ * @param {Buffer|ArrayBuffer} wav The WAV file.
+ * @returns {number} Duration in seconds.
+ */
+export function wavDuration(wav) {
+  const { sampleRate, numChannels, pcm } = parseWav(wav);
+  return pcm.length / (numChannels || 1) / sampleRate;
+}
+
 /**
  * Helper to write a string to a DataView.
  * @param {DataView} view The DataView to write to.
@@ -75,3 +129,18 @@ function writeString(view, offset, string) {
     view.setUint8(offset + i, string.charCodeAt(i));
   }
 }
+
+/**
+ * Helper to read a string from a DataView.
+ * @param {DataView} view The DataView to read from.
+ * @param {number} offset The offset to read at.
+ * @param {number} length The number of characters.
+ * @returns {string}
+ */
+function readString(view, offset, length) {
+  let string = "";
+  for (let i = 0; i < length; i++) {
+    string += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return string;
+}